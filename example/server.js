@@ -9,7 +9,8 @@ dotenv.config({ path: path.join(__dirname, '../.env') });
 
 import { createApp } from '../src/app.js';
 
-const app = createApp();
+// Named resolvers invoked with POST /api/resolvers/:name
+const app = createApp({ resolversDir: path.join(__dirname, 'resolvers') });
 const PORT = process.env.PORT || 3000;
 
 app.listen(PORT, () => {
@@ -2,30 +2,77 @@ import { createApp } from './src/app.js';
 import authRoutes from './src/routes/authRoutes.js';
 import dataSourceRoutes from './src/routes/dataSourceRoutes.js';
 import { validateRequest } from './src/middleware/validationMiddleware.js';
+import { requireAuth, requirePolicy } from './src/middleware/authMiddleware.js';
+import { rateLimit } from './src/middleware/rateLimitMiddleware.js';
+import { createRateLimiter } from './src/services/rateLimiter.js';
+import { MemoryUserStore } from './src/stores/memoryUserStore.js';
+import { RedisUserStore } from './src/stores/redisUserStore.js';
+import { hashPassword, verifyPassword } from './src/utils/passwordHasher.js';
 import { dataSourceManager } from './src/datasources/dataSourceManager.js';
+import { httpAdapter } from './src/datasources/adapters/httpAdapter.js';
+import { graphqlAdapter } from './src/datasources/adapters/graphqlAdapter.js';
+import {
+  registerResolver,
+  unregisterResolver,
+  getResolver,
+  listResolvers,
+  loadResolversFromDirectory
+} from './src/services/resolverRegistry.js';
 import { 
   initializeRedis, 
   getFromCache, 
   setInCache, 
   deleteFromCache, 
   clearCacheByPattern, 
+  purgeCacheByTag,
   isRedisConnectedStatus, 
-  disconnectRedis 
+  disconnectRedis,
+  getRedisClient,
+  inspectCacheKey,
+  getCacheInfo
 } from './src/services/cacheService.js';
+import { getCacheStats, resetCacheStats } from './src/services/cacheStats.js';
+import { createCacheAdminRouter } from './src/routes/cacheAdminRoutes.js';
+
+// Register custom datasource types (adapters) before the first datasource call
+const registerType = (typeName, adapter) => dataSourceManager.registerType(typeName, adapter);
 
 export { 
   createApp, 
   authRoutes, 
   dataSourceRoutes, 
   validateRequest, 
+  requireAuth,
+  requirePolicy,
+  rateLimit,
+  createRateLimiter,
+  MemoryUserStore,
+  RedisUserStore,
+  hashPassword,
+  verifyPassword,
   dataSourceManager,
+  registerType,
+  httpAdapter,
+  graphqlAdapter,
+  registerResolver,
+  unregisterResolver,
+  getResolver,
+  listResolvers,
+  loadResolversFromDirectory,
   initializeRedis,
   getFromCache,
   setInCache,
   deleteFromCache,
   clearCacheByPattern,
+  purgeCacheByTag,
   isRedisConnectedStatus,
-  disconnectRedis
+  disconnectRedis,
+  getRedisClient,
+  inspectCacheKey,
+  getCacheInfo,
+  getCacheStats,
+  resetCacheStats,
+  createCacheAdminRouter
 }; 
 
 // Default export for convenience
@@ -34,12 +81,35 @@ export default {
   authRoutes, 
   dataSourceRoutes, 
   validateRequest, 
+  requireAuth,
+  requirePolicy,
+  rateLimit,
+  createRateLimiter,
+  MemoryUserStore,
+  RedisUserStore,
+  hashPassword,
+  verifyPassword,
   dataSourceManager,
+  registerType,
+  httpAdapter,
+  graphqlAdapter,
+  registerResolver,
+  unregisterResolver,
+  getResolver,
+  listResolvers,
+  loadResolversFromDirectory,
   initializeRedis,
   getFromCache,
   setInCache,
   deleteFromCache,
   clearCacheByPattern,
+  purgeCacheByTag,
   isRedisConnectedStatus,
-  disconnectRedis
+  disconnectRedis,
+  getRedisClient,
+  inspectCacheKey,
+  getCacheInfo,
+  getCacheStats,
+  resetCacheStats,
+  createCacheAdminRouter
 };
\ No newline at end of file
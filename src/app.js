@@ -3,19 +3,93 @@ import cors from 'cors';
 import authRoutes from './routes/authRoutes.js';
 import dataSourceRoutes from './routes/dataSourceRoutes.js';
 import resolverRoutes from '../src/routes/resolverRoutes.js';
+import { createGeneratedRouter } from './routes/generatedRoutes.js';
+import { createCacheAdminRouter } from './routes/cacheAdminRoutes.js';
+import { authGate } from './middleware/authMiddleware.js';
+import { rateLimitGate } from './middleware/rateLimitMiddleware.js';
+import { requestId } from './middleware/requestIdMiddleware.js';
+import { DEFAULT_REQUEST_HEADERS } from './utils/requestContext.js';
+import { authService } from './services/authService.js';
+import { loadResolversFromDirectory, getRoutedResolvers } from './services/resolverRegistry.js';
+
+// Route groups checked by the auth gate when createApp is called without an auth option
+const DEFAULT_AUTH = {
+  protectedPaths: ['/api'],
+  publicPaths: ['/health', '/auth/login', '/auth/register', '/auth/refresh-token']
+};
 
 /**
  * createApp - Factory that returns a configured Express app.
  * Use this when embedding the package into another project.
+ *
+ * Options:
+ * - resolversDir: directory of named resolver definitions (default: RESOLVERS_DIR)
+ *   Resolvers declaring http: { method, path } get a REST route under /api, so register
+ *   resolvers in code before calling createApp
+ * - allowRawResolvers: allow client-posted resolver configs, for development only
+ *   (default: ALLOW_RAW_RESOLVERS=true)
+ * - auth: route groups that require a Bearer access token, or false to disable
+ *   { protectedPaths: ['/api'], publicPaths: ['/health', '/auth/login', '/auth/register', '/auth/refresh-token'] }
+ * - requestHeaders: inbound headers exposed to resolvers as $request.headers and available for
+ *   datasource header propagation (default: accept-language, user-agent, x-request-id, x-correlation-id)
+ * - userStore: UserStore used by /auth (see stores/userStore.js), default: in-memory demo users
+ * - rateLimit: rate limit rule or list of rules, off by default (see middleware/rateLimitMiddleware.js)
+ *   e.g. [{ paths: ['/api'], keyBy: 'user', limit: 100, windowMs: 60000 },
+ *         { paths: ['/auth/login'], keyBy: 'ip', algorithm: 'token-bucket', limit: 5, windowMs: 60000 }]
+ * - cacheAdmin: policy of the cache administration routes under /api/admin/cache, or false to disable
+ *   (default: { roles: ['admin'] }, see routes/cacheAdminRoutes.js)
  */
-export function createApp() {
+export function createApp(options = {}) {
+  const {
+    resolversDir = process.env.RESOLVERS_DIR,
+    allowRawResolvers = process.env.ALLOW_RAW_RESOLVERS === 'true',
+    auth = DEFAULT_AUTH,
+    requestHeaders = DEFAULT_REQUEST_HEADERS,
+    userStore,
+    rateLimit = null,
+    cacheAdmin = { roles: ['admin'] }
+  } = options;
+
   const app = express();
 
+  // Resolver GET routes set their own ETag over the data (see controllers/resolverController.js),
+  // Express' default one would hash the whole body, meta block included, and tag every method
+  app.set('etag', false);
+
+  if (userStore) {
+    authService.setUserStore(userStore);
+  }
+
+  // Named resolvers are loaded at startup, invalid definitions fail fast
+  if (resolversDir) {
+    loadResolversFromDirectory(resolversDir);
+  }
+
+  app.locals.allowRawResolvers = allowRawResolvers;
+  app.locals.requestHeaders = requestHeaders.map(header => header.toLowerCase());
+  if (allowRawResolvers) {
+    console.warn('⚠ Raw resolver execution is enabled (development mode), do not use in production');
+  }
+
   // Middleware
+  app.use(requestId);
   app.use(cors());
   app.use(express.json());
   app.use(express.urlencoded({ extended: true }));
 
+  // Rate limits run before authentication so unauthenticated and invalid-token traffic is limited too,
+  // rules keyed by user read the caller from the Bearer token
+  if (rateLimit) {
+    app.use(rateLimitGate(Array.isArray(rateLimit) ? rateLimit : [rateLimit]));
+  }
+
+  // Authentication for the protected route groups
+  if (auth) {
+    app.use(authGate({ ...DEFAULT_AUTH, ...auth }));
+  } else {
+    console.warn('⚠ Authentication is disabled, /api routes are public');
+  }
+
   // Health check route
   app.get('/health', (req, res) => {
     res.status(200).json({ status: 'OK', message: 'Server is running' });
@@ -25,6 +99,11 @@ export function createApp() {
   app.use('/auth', authRoutes);
 //   app.use('/api', dataSourceRoutes);
   app.use('/api', resolverRoutes)
+  if (cacheAdmin) {
+    app.use('/api/admin/cache', createCacheAdminRouter(cacheAdmin));
+  }
+  // Routes declared by resolver definitions (conflicts throw at startup)
+  app.use('/api', createGeneratedRouter(getRoutedResolvers()));
 
   // 404 handler
   app.use((req, res) => {
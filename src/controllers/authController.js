@@ -40,7 +40,7 @@ export const authController = {
   logout: async (req, res) => {
     try {
       // Get token from Authorization header or body
-      const token = req.headers.authorization?.split(' ')[1] || req.body.token;
+      const token = req.headers.authorization?.split(' ')[1] || req.body?.token;
       
       if (!token) {
         return res.status(400).json({
@@ -49,7 +49,8 @@ export const authController = {
         });
       }
       
-      const result = await authService.logout(token);
+      // An optional refresh token ends its token family as well
+      const result = await authService.logout(token, req.body?.refreshToken);
       
       res.status(200).json({
         status: 'success',
@@ -63,6 +64,23 @@ export const authController = {
     }
   },
 
+  // Requires requireAuth (req.user)
+  logoutAll: async (req, res) => {
+    try {
+      const result = await authService.logoutAll(req.user.id);
+      
+      res.status(200).json({
+        status: 'success',
+        data: result
+      });
+    } catch (error) {
+      res.status(500).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+  },
+
   refreshToken: async (req, res) => {
     try {
       const { token } = req.body;
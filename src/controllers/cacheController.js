@@ -0,0 +1,100 @@
+import {
+  inspectCacheKey,
+  deleteFromCache,
+  clearCacheByPattern,
+  purgeCacheByTag,
+  getCacheInfo
+} from '../services/cacheService.js';
+import { getCacheStats, resetCacheStats } from '../services/cacheStats.js';
+
+/**
+ * Cache Controller
+ * Cache administration: statistics, key lookup, deletes and purges (admin only, see routes/cacheAdminRoutes.js)
+ * Keys and patterns are relative to CACHE_KEY_PREFIX, other Redis data is out of reach
+ */
+
+export const cacheController = {
+  /**
+   * GET /api/admin/cache/stats
+   * Counters of this instance plus Redis connection state and LRU usage
+   */
+  stats: async (req, res) => {
+    res.status(200).json({
+      status: 'success',
+      data: {
+        ...getCacheInfo(),
+        ...getCacheStats()
+      }
+    });
+  },
+
+  /**
+   * DELETE /api/admin/cache/stats
+   * Reset the counters of this instance
+   */
+  resetStats: async (req, res) => {
+    resetCacheStats();
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Cache statistics reset'
+    });
+  },
+
+  /**
+   * GET /api/admin/cache/keys/:key
+   * Value and remaining TTL of a key, in the in-process tier and in Redis
+   */
+  getKey: async (req, res) => {
+    const entry = await inspectCacheKey(req.params.key);
+
+    if (!entry.found) {
+      return res.status(404).json({
+        status: 'error',
+        message: `Cache key '${req.params.key}' not found`,
+        data: entry
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: entry
+    });
+  },
+
+  /**
+   * DELETE /api/admin/cache/keys/:key
+   */
+  deleteKey: async (req, res) => {
+    const deleted = await deleteFromCache(req.params.key);
+
+    res.status(200).json({
+      status: 'success',
+      data: { key: req.params.key, deleted }
+    });
+  },
+
+  /**
+   * POST /api/admin/cache/purge
+   * Body: { pattern } - Redis glob pattern relative to the cache key prefix, e.g. "resolver:getOrders:*"
+   *    or { tag }     - every entry stored with the tag (see cacheTags), e.g. "orders"
+   */
+  purge: async (req, res) => {
+    const { pattern, tag } = req.body;
+
+    if (tag) {
+      const cleared = await purgeCacheByTag(tag);
+      return res.status(200).json({
+        status: 'success',
+        data: { tag, cleared }
+      });
+    }
+
+    const cleared = await clearCacheByPattern(pattern);
+
+    res.status(200).json({
+      status: 'success',
+      data: { pattern, cleared }
+    });
+  }
+};
@@ -1,5 +1,6 @@
 import { dataSourceManager } from '../datasources/dataSourceManager.js';
 import { getFromCache, setInCache } from '../services/cacheService.js';
+import { buildRequestContext } from '../utils/requestContext.js';
 
 /**
  * DataSource Controller
@@ -19,6 +20,11 @@ export const dataSourceController = {
         body = null,
         headers = {},
         params = null,
+        query,
+        variables = null,
+        operationName = null,
+        errorPolicy,
+        retryPolicy,
         isToBeCached = false,
         cachingKeys = null
       } = req.body;
@@ -32,6 +38,11 @@ export const dataSourceController = {
         });
       }
 
+      const requestContext = buildRequestContext(req, req.app.locals.requestHeaders);
+
+      // Checked before the cache so cached responses stay protected
+      dataSourceManager.authorizeDatasource(datasource, requestContext.identity);
+
       // Check cache if enabled
       if (isToBeCached && cachingKeys) {
         const cachedData = await getFromCache(cachingKeys);
@@ -56,30 +67,43 @@ export const dataSourceController = {
         path,
         data: body,
         headers,
-        params
+        params,
+        query,
+        variables,
+        operationName,
+        errorPolicy,
+        retryPolicy,
+        requestContext
       });
 
-      // Cache the response if enabled
-      if (isToBeCached && cachingKeys) {
+      // Cache the response if enabled (partial GraphQL results are never cached)
+      if (isToBeCached && cachingKeys && !result.partial) {
         await setInCache(cachingKeys, result.data);
       }
 
       res.status(result.status || 200).json({
         status: 'success',
         data: result.data,
+        ...(result.errors ? { errors: result.errors } : {}),
         datasource: result.datasource,
         meta: {
           statusCode: result.status,
           timestamp: new Date().toISOString(),
           fromCache: false,
           cached: isToBeCached && cachingKeys ? true : false,
-          cacheKey: isToBeCached && cachingKeys ? cachingKeys : null
+          cacheKey: isToBeCached && cachingKeys ? cachingKeys : null,
+          httpCache: result.httpCache
         }
       });
     } catch (error) {
-      res.status(500).json({
+      const status = { CIRCUIT_OPEN: 503, FORBIDDEN: 403, RATE_LIMITED: 429 }[error.code] || 500;
+      if (error.retryAfterMs) {
+        res.set('Retry-After', String(Math.max(Math.ceil(error.retryAfterMs / 1000), 1)));
+      }
+      res.status(status).json({
         status: 'error',
         message: error.message,
+        code: error.code,
         available: dataSourceManager.listDatasources()
       });
     }
@@ -96,6 +120,7 @@ export const dataSourceController = {
         status: 'success',
         data: {
           total: datasources.length,
+          types: dataSourceManager.listTypes(),
           datasources
         }
       });
@@ -107,28 +132,50 @@ export const dataSourceController = {
     }
   },
 
+  /**
+   * Check datasource health using its type adapter
+   */
+  health: async (req, res) => {
+    try {
+      const result = await dataSourceManager.healthCheck(req.params.name);
+
+      res.status(result.healthy === false ? 503 : 200).json({
+        status: result.healthy === false ? 'error' : 'success',
+        data: result
+      });
+    } catch (error) {
+      res.status(404).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+  },
+
   /**
    * Register new datasource at runtime
    */
   register: async (req, res) => {
     try {
-      const { name, type, baseUrl, timeout, retryCount, headers } = req.body;
+      // Everything except the name is handed to the type's adapter
+      const { name, ...config } = req.body;
 
       // Validate required fields
-      if (!name || !baseUrl) {
+      if (!name) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'name is required'
+        });
+      }
+
+      const type = (config.type || 'http').toLowerCase();
+      if (['http', 'rest', 'graphql'].includes(type) && !config.baseUrl) {
         return res.status(400).json({
           status: 'error',
           message: 'name and baseUrl are required'
         });
       }
 
-      dataSourceManager.registerDatasource(name, {
-        type,
-        baseUrl,
-        timeout,
-        retryCount,
-        headers
-      });
+      dataSourceManager.registerDatasource(name, config);
 
       res.status(201).json({
         status: 'success',
@@ -1,21 +1,157 @@
 import { executeResolver } from '../services/resolverService.js';
+import { getResolver, listResolvers } from '../services/resolverRegistry.js';
+import { buildRequestContext } from '../utils/requestContext.js';
+import { computeEtag } from '../utils/etag.js';
 
 /**
  * Resolver Controller
  * Handles unit and pipeline resolver execution (AppSync-like)
  */
 
+// HTTP status of failed executions by error code, anything else is a 500
+const ERROR_STATUS = {
+  CIRCUIT_OPEN: 503, // the upstream is known to be down
+  FORBIDDEN: 403,
+  RATE_LIMITED: 429 // a datasource rate limit was exceeded
+};
+
+/**
+ * HTTP status of a failed execution, sets Retry-After when the result says when to retry
+ */
+function failureStatus(res, result) {
+  if (result.retryAfterMs) {
+    res.set('Retry-After', String(Math.max(Math.ceil(result.retryAfterMs / 1000), 1)));
+  }
+  return ERROR_STATUS[result.code] || 500;
+}
+
+/**
+ * $identity / $request of a resolver execution
+ */
+function requestContextOf(req) {
+  return buildRequestContext(req, req.app.locals.requestHeaders);
+}
+
+/**
+ * Tag a successful GET/HEAD response with an ETag over its data (and partial errors)
+ * Express then answers requests whose If-None-Match matches with 304, responses to other methods
+ * cannot be revalidated and are left untagged
+ */
+function setDataEtag(req, res, data, errors) {
+  if (req.method === 'GET' || req.method === 'HEAD') {
+    res.set('ETag', computeEtag(errors ? { data, errors } : data));
+  }
+}
+
+/**
+ * Execute a registered resolver and send the response
+ */
+async function sendNamedResolver(req, res, resolver, input, successStatus = 200) {
+  const result = await executeResolver(resolver.config, input, requestContextOf(req), { name: resolver.name });
+
+  if (!result.success) {
+    return res.status(failureStatus(res, result)).json({
+      status: 'error',
+      message: result.error,
+      code: result.code
+    });
+  }
+
+  setDataEtag(req, res, result.data, result.errors);
+  res.status(successStatus).json({
+    status: 'success',
+    data: result.data,
+    ...(result.errors ? { errors: result.errors } : {}),
+    meta: {
+      timestamp: new Date().toISOString(),
+      resolver: resolver.name,
+      type: resolver.config.type,
+      fromCache: result.fromCache,
+      cached: result.cached,
+      cacheStatus: result.cacheStatus,
+      invalidated: result.invalidated
+    }
+  });
+}
+
 export const resolverController = {
+  /**
+   * GET /api/resolvers
+   * List the named resolvers registered on the server
+   */
+  list: async (req, res) => {
+    const resolvers = listResolvers();
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        total: resolvers.length,
+        resolvers
+      }
+    });
+  },
+
+  /**
+   * POST /api/resolvers/:name
+   * Invoke a named (server-side) resolver
+   *
+   * Request body: input arguments only, available as $input in the resolver definition
+   */
+  invoke: async (req, res) => {
+    try {
+      const { name } = req.params;
+      const resolver = getResolver(name);
+
+      if (!resolver) {
+        return res.status(404).json({
+          status: 'error',
+          message: `Resolver '${name}' not found`
+        });
+      }
+
+      await sendNamedResolver(req, res, resolver, req.body || {});
+    } catch (error) {
+      res.status(400).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+  },
+
+  /**
+   * Handler for a route declared by a resolver definition (http: { method, path, status })
+   * $input merges the body, query string and path params (path params win)
+   */
+  route: (resolver) => async (req, res) => {
+    try {
+      const input = { ...(req.body || {}), ...req.query, ...req.params };
+      await sendNamedResolver(req, res, resolver, input, resolver.route.status);
+    } catch (error) {
+      res.status(400).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+  },
+
   /**
    * POST /api/resolvers
-   * Execute a resolver (unit or pipeline)
+   * Execute a raw resolver config (unit or pipeline), development mode only
+   * (createApp({ allowRawResolvers: true }) or ALLOW_RAW_RESOLVERS=true)
    * 
    * Request body:
    * - type: 'unit' | 'pipeline' (required)
    * - If unit: datasource, method, path, body, headers, params
-   * - If pipeline: steps (array of datasource calls), onError
+   *   (graphql datasources: query, variables, operationName, errorPolicy)
+   * - If pipeline: steps (array of datasource calls), onError, concurrency
+   *   (steps declare dependsOn: [stepNames] to run in parallel)
+   * - response: optional response mapping (unit, step or whole pipeline)
    * - isToBeCached: boolean (caches entire result)
-   * - cachingKeys: string (cache key)
+   * - cachingKeys: cache key template, e.g. "users:$input.userId" (default: hash of the request)
+   * - cacheScope: 'global' or any of 'resolver', 'user', 'tenant' (cache key namespaces)
+   * - cachePolicy: { ttl, staleWhileRevalidate, staleIfError } in seconds, lockMs
+   * - cacheTags: tags (templates) given to the cached entry, purgeable by tag
+   * - invalidates: cache keys or glob patterns (templates) deleted after a successful call
    */
   execute: async (req, res) => {
     try {
@@ -32,26 +168,33 @@ export const resolverController = {
       const input = req.body;
 
       // Execute the resolver
-      const result = await executeResolver(req.body, input);
+      const result = await executeResolver(req.body, input, requestContextOf(req));
 
       if (!result.success) {
-        return res.status(500).json({
+        return res.status(failureStatus(res, result)).json({
           status: 'error',
           message: result.error,
+          code: result.code,
           steps: result.steps
         });
       }
 
+      // Pipelines return their step results unless a response mapping shapes the data
+      const data = type === 'pipeline' && !result.mapped ? result.steps : result.data;
+
       res.status(200).json({
         status: 'success',
-        data: type === 'pipeline' ? result.steps : result.data,
+        data,
+        ...(result.errors ? { errors: result.errors } : {}),
         meta: {
           timestamp: new Date().toISOString(),
           type: type,
           // resolverChain: type === 'pipeline' ? result.steps : undefined,
           fromCache: result.fromCache,
           cached: result.cached,
-          cacheKey: result.cacheKey
+          cacheKey: result.cacheKey,
+          cacheStatus: result.cacheStatus,
+          invalidated: result.invalidated
         }
       });
     } catch (error) {
@@ -64,7 +207,7 @@ export const resolverController = {
 
   /**
    * POST /api/resolvers/test
-   * Test a resolver without caching
+   * Test a raw resolver config without caching, development mode only
    * Returns detailed execution information for debugging
    */
   test: async (req, res) => {
@@ -83,12 +226,13 @@ export const resolverController = {
       const input = req.body;
 
       // Execute the resolver
-      const result = await executeResolver(testConfig, input);
+      const result = await executeResolver(testConfig, input, requestContextOf(req));
 
       if (!result.success) {
-        return res.status(500).json({
+        return res.status(failureStatus(res, result)).json({
           status: 'error',
           message: result.error,
+          code: result.code,
           steps: result.steps,
           timestamp: new Date().toISOString()
         });
@@ -124,17 +268,37 @@ export const resolverController = {
         title: 'AppSync-like Resolver System',
         description: 'Execute unit or pipeline resolvers with variable substitution',
         endpoints: {
+          list: {
+            path: 'GET /api/resolvers',
+            description: 'List the named resolvers registered on the server'
+          },
+          invoke: {
+            path: 'POST /api/resolvers/:name',
+            description: 'Invoke a named resolver, the request body is its $input',
+            caching: 'Supported'
+          },
           execute: {
-            path: 'POST /api/resolvers',
-            description: 'Execute any resolver (unit or pipeline)',
+            path: 'POST /api/resolverss',
+            description: 'Execute a raw resolver config (development mode only)',
             caching: 'Supported'
           },
           test: {
             path: 'POST /api/resolvers/test',
-            description: 'Test resolver without caching (debugging)',
+            description: 'Test a raw resolver config without caching (development mode only)',
             caching: 'Disabled'
           }
         },
+        namedResolvers: {
+          description: 'Resolver definitions live on the server, clients only send input arguments',
+          registration: "registerResolver('getUserDashboard', definition) or createApp({ resolversDir }) / RESOLVERS_DIR",
+          files: 'One .json, .yaml or .yml file per resolver, named by its name field or the file name',
+          routes: {
+            description: 'A definition with http: { method, path } is also served as a REST endpoint under /api',
+            example: { http: { method: 'GET', path: '/users/:id/dashboard' } },
+            input: '$input merges the request body, query string and path params (path params win)',
+            conflicts: 'Two resolvers with the same method and path, or a path under /resolvers, /datasources or /admin/cache, fail at startup'
+          }
+        },
         resolverTypes: {
           unit: {
             description: 'Single datasource call',
@@ -145,14 +309,34 @@ export const resolverController = {
               path: '/users/1',
               isToBeCached: true,
               cachingKeys: 'users:1'
+            },
+            graphqlExample: {
+              type: 'unit',
+              datasource: 'GRAPHQL_API',
+              query: 'query GetProduct($id: ID!) { product(id: $id) { id name price } }',
+              variables: { id: '42' },
+              operationName: 'GetProduct',
+              errorPolicy: 'none'
             }
           },
           pipeline: {
             description: 'Multiple datasource calls with variable substitution',
+            dependencies: {
+              dependsOn: 'Step names that must finish first; independent steps run concurrently',
+              default: 'A step without dependsOn runs after the previous step',
+              concurrency: 'Max steps running at the same time (default 5)'
+            },
             variableSupport: {
-              $prev: 'Output from previous step',
+              $prev: 'Output from previous step (the last step listed in dependsOn)',
               '$steps.stepName': 'Output from specific named step',
-              '$input.fieldName': 'Input field from request'
+              '$input.fieldName': 'Input field from request',
+              '$errors.stepName': 'Error of a failed step: { message, status, code }',
+              '$identity.claim': 'Verified JWT claim of the caller, e.g. $identity.id (null when anonymous)',
+              '$request': 'Inbound request: $request.id, $request.ip, $request.headers["accept-language"]',
+              paths: 'Dot access and array indexes, e.g. $steps.getUserPosts[0].id or $input["first-name"]',
+              defaults: '${$input.page ?? 1} uses 1 when $input.page is missing',
+              types: 'A value that is exactly one reference (e.g. "$steps.getUser") keeps its type',
+              encoding: 'Values substituted into path (including its query string) are URL-encoded'
             },
             example: {
               type: 'pipeline',
@@ -177,6 +361,128 @@ export const resolverController = {
                   path: '/comments?postId=$steps.getUserPosts[0].id'
                 }
               ]
+            },
+            conditions: {
+              when: "Skip the step unless the expression holds, e.g. \"$steps.getUser.tier == 'gold'\"",
+              branch: '{ cases: [{ when, ...datasource call }], default } runs the first matching call',
+              continueOnError: 'A failed step does not fail the pipeline, later steps can check $errors.stepName.status',
+              auth: "{ roles: ['admin'], scopes: ['audit:read'] } on a resolver, step or datasource: any listed role and every scope, else 403 FORBIDDEN",
+              operators: '== != === !== < <= > >= in && || ! ?? and literals (strings, numbers, true/false/null, [arrays])',
+              skipped: 'Skipped steps are listed with skipped: true and the reason'
+            },
+            conditionalExample: {
+              type: 'pipeline',
+              steps: [
+                { name: 'getUser', datasource: 'USER_SERVICE', path: '/users/$input.userId' },
+                {
+                  name: 'getLoyalty',
+                  datasource: 'LOYALTY_SERVICE',
+                  path: '/loyalty/$steps.getUser.id',
+                  dependsOn: ['getUser'],
+                  when: "$steps.getUser.tier == 'gold'"
+                },
+                { name: 'getOrders', datasource: 'ORDER_SERVICE', path: '/v2/orders?userId=$steps.getUser.id', dependsOn: ['getUser'], continueOnError: true },
+                {
+                  name: 'getLegacyOrders',
+                  datasource: 'LEGACY_ORDER_SERVICE',
+                  path: '/orders?userId=$steps.getUser.id',
+                  dependsOn: ['getUser', 'getOrders'],
+                  when: '$errors.getOrders.status == 404'
+                },
+                {
+                  name: 'getOffers',
+                  dependsOn: ['getUser'],
+                  branch: {
+                    cases: [{ when: "$steps.getUser.tier in ['gold', 'platinum']", datasource: 'OFFER_SERVICE', path: '/offers/premium' }],
+                    default: { datasource: 'OFFER_SERVICE', path: '/offers/standard' }
+                  }
+                }
+              ]
+            },
+            forEach: {
+              description: 'Call the datasource once per element of an array, results keep the array order',
+              variables: '$item is the current element, $index its position',
+              concurrency: 'Max item calls at the same time (default 5)',
+              onError: "'fail' (default) fails the step, 'skip' drops the element, 'null' inserts null"
+            },
+            forEachExample: {
+              type: 'pipeline',
+              steps: [
+                { name: 'getOrders', datasource: 'ORDER_SERVICE', path: '/orders?userId=$input.userId' },
+                {
+                  name: 'getShipments',
+                  datasource: 'SHIPPING_SERVICE',
+                  forEach: '$steps.getOrders.items',
+                  path: '/shipments/$item.shipmentId',
+                  concurrency: 4,
+                  onError: 'null',
+                  response: { orderId: '$item.id', status: '$result.status' }
+                }
+              ]
+            },
+            caching: {
+              isToBeCached: 'Cache a unit resolver, a step or a whole pipeline',
+              cachingKeys: 'Key template over $input, $identity, $request and $steps, e.g. "orders:$identity.id:${$input.page ?? 1}"',
+              autoKeys: 'Without cachingKeys the key is a hash of the substituted request (datasource, method, path, params, body); pipelines hash their definition, input and caller',
+              cacheScope: "'global' (default) or any of 'resolver', 'user', 'tenant': prefixes the key with resolver:<name>, user:<$identity.id>, tenant:<$identity.tenantId>",
+              cachePolicy: '{ ttl, staleWhileRevalidate, staleIfError } in seconds: ttl defaults to CACHE_TTL; after it, stale data is served while it is refreshed in the background, or when the upstream fails',
+              lockMs: 'cachePolicy.lockMs: one instance refreshes an entry under a Redis lock, the others wait for it (concurrent misses within an instance always share one call)',
+              cacheStatus: "meta.cacheStatus is 'fresh', 'stale', 'stale-if-error', 'revalidated' or 'miss'",
+              cacheTags: 'Tags given to the stored entry, templates like cachingKeys, e.g. ["orders", "user:$identity.id"]; POST /api/admin/cache/purge { "tag": "orders" } deletes every entry of a tag',
+              invalidates: 'Keys or glob patterns deleted after a successful call, templates over the same scope plus $result (the upstream response)'
+            },
+            cachingExample: {
+              type: 'unit',
+              datasource: 'ORDER_SERVICE',
+              path: '/orders?userId=$identity.id&page=${$input.page ?? 1}',
+              isToBeCached: true,
+              cachingKeys: 'orders:${$input.page ?? 1}',
+              cacheScope: ['resolver', 'user'],
+              cachePolicy: { ttl: 60, staleWhileRevalidate: 300, staleIfError: 3600 },
+              cacheTags: ['orders', 'user:$identity.id']
+            },
+            invalidationExample: {
+              type: 'unit',
+              datasource: 'ORDER_SERVICE',
+              method: 'POST',
+              path: '/orders',
+              body: { userId: '$identity.id', items: '$input.items' },
+              invalidates: ['resolver:getOrders:user:$identity.id:*', 'orders:count:$result.userId']
+            },
+            responseMapping: {
+              description: 'Optional response template on unit resolvers, steps and pipelines; $result is the raw output',
+              fields: '{ "id": "$result.id", "owner": { "name": "$steps.getUser.name" } }',
+              pick: '{ "$pick": ["id", "title"], "from": "$result" }',
+              map: '{ "$map": "$steps.getPosts", "to": { "id": "$item.id", "position": "$index" } }'
+            },
+            mappingExample: {
+              type: 'pipeline',
+              steps: [
+                { name: 'getUser', datasource: 'USER_SERVICE', path: '/users/$input.userId', response: { $pick: ['id', 'name', 'email'] } },
+                { name: 'getPosts', datasource: 'POST_SERVICE', path: '/posts?userId=$steps.getUser.id' }
+              ],
+              response: {
+                profile: '$steps.getUser',
+                posts: { $map: '$steps.getPosts', to: { id: '$item.id', title: '$item.title' } },
+                postCount: '$steps.getPosts.length'
+              }
+            },
+            parallelExample: {
+              type: 'pipeline',
+              concurrency: 3,
+              steps: [
+                { name: 'getUser', datasource: 'USER_SERVICE', path: '/users/1', dependsOn: [] },
+                { name: 'getNotifications', datasource: 'NOTIFICATION_SERVICE', path: '/notifications?userId=1', dependsOn: [] },
+                { name: 'getRecommendations', datasource: 'PRODUCT_SERVICE', path: '/recommendations?userId=1', dependsOn: [] },
+                {
+                  name: 'getDashboard',
+                  datasource: 'DASHBOARD_SERVICE',
+                  method: 'POST',
+                  path: '/dashboard',
+                  dependsOn: ['getUser', 'getNotifications', 'getRecommendations'],
+                  body: { user: '$steps.getUser', notifications: '$steps.getNotifications' }
+                }
+              ]
             }
           }
         }
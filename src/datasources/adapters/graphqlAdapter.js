@@ -0,0 +1,161 @@
+import { httpAdapter, sendRequest } from './httpAdapter.js';
+
+/**
+ * GraphQL DataSource Adapter
+ * POSTs { query, variables, operationName } and unwraps the { data, errors } envelope
+ */
+
+// Tokens of a GraphQL document: block strings, strings and comments (skipped), names and punctuators
+const DOCUMENT_TOKENS = /"""[\s\S]*?"""|"(?:\\.|[^"\\\n])*"|#[^\n\r]*|[_A-Za-z][_0-9A-Za-z]*|[^\s,]/g;
+
+const OPERATION_KEYWORDS = new Set(['query', 'mutation', 'subscription']);
+
+/**
+ * Type of the operation a request runs ('query', 'mutation' or 'subscription'), null when unsure:
+ * the operation named operationName, else the only operation of the document (a `{ ... }` shorthand
+ * is a query). Comments and fragment definitions are skipped.
+ */
+function operationType(query, operationName) {
+  const operations = [];
+  let definition = null;
+  let braces = 0;
+  let parens = 0;
+
+  for (const [token] of String(query || '').matchAll(DOCUMENT_TOKENS)) {
+    if (token.startsWith('#') || token.startsWith('"')) {
+      continue;
+    }
+    if (token === '(' || token === ')') {
+      parens += token === '(' ? 1 : -1;
+    } else if (token === '{' && parens === 0) {
+      if (braces === 0 && !definition) {
+        operations.push({ type: 'query', name: null });
+        definition = {};
+      }
+      braces++;
+    } else if (token === '}' && parens === 0) {
+      braces--;
+      if (braces === 0) {
+        definition = null;
+      }
+    } else if (braces === 0 && parens === 0 && !definition) {
+      if (OPERATION_KEYWORDS.has(token)) {
+        definition = { type: token };
+        operations.push(definition);
+      } else if (token === 'fragment') {
+        definition = {};
+      } else {
+        return null;
+      }
+    } else if (definition && definition.type && definition.name === undefined) {
+      definition.name = /^[_A-Za-z]/.test(token) ? token : null;
+    }
+
+    if (braces < 0 || parens < 0) {
+      return null;
+    }
+  }
+
+  if (braces !== 0 || parens !== 0) {
+    return null;
+  }
+
+  const operation = operationName
+    ? operations.find(candidate => candidate.name === operationName)
+    : operations.length === 1 ? operations[0] : null;
+  return operation ? operation.type : null;
+}
+
+export const graphqlAdapter = {
+  /**
+   * Same transport settings as http, plus the GraphQL errorPolicy:
+   * 'none' fails on any error, 'all' returns partial data alongside the errors
+   */
+  parseConfig(config) {
+    return {
+      ...httpAdapter.parseConfig(config),
+      errorPolicy: config.errorPolicy || 'none'
+    };
+  },
+
+  async call(datasource, request) {
+    const {
+      path = '',
+      query,
+      variables = null,
+      operationName = null,
+      headers = {},
+      params = null,
+      errorPolicy = datasource.errorPolicy || 'none'
+    } = request;
+
+    if (!query) {
+      const error = new Error(`DataSource '${datasource.name}' is a graphql datasource and requires a query`);
+      error.retryable = false;
+      throw error;
+    }
+
+    const response = await sendRequest(datasource, {
+      method: 'POST',
+      path,
+      data: {
+        query,
+        ...(variables ? { variables } : {}),
+        ...(operationName ? { operationName } : {})
+      },
+      headers,
+      params
+    });
+
+    const payload = response.data || {};
+    const errors = Array.isArray(payload.errors) && payload.errors.length > 0 ? payload.errors : null;
+    const hasData = payload.data !== undefined && payload.data !== null;
+
+    if (errors && !(errorPolicy === 'all' && hasData)) {
+      const error = new Error(
+        `GraphQL operation failed on ${datasource.name}: ` +
+        errors.map(e => e.message).join('; ')
+      );
+      error.graphqlErrors = errors;
+      // GraphQL errors are returned by a reachable upstream, retrying will not change them
+      error.retryable = false;
+      throw error;
+    }
+
+    if (!errors && !hasData) {
+      const error = new Error(`GraphQL response from ${datasource.name} contained no data`);
+      error.retryable = false;
+      throw error;
+    }
+
+    return {
+      status: response.status,
+      data: payload.data,
+      ...(errors ? { errors, partial: true } : {}),
+      headers: response.headers
+    };
+  },
+
+  /**
+   * Queries are safe to retry, mutations are judged like a POST by the retry policy, and so is any
+   * document whose operation cannot be told (several operations without a matching operationName)
+   */
+  retryMethod(request) {
+    return operationType(request.query, request.operationName) === 'query' ? 'GET' : 'POST';
+  },
+
+  async healthCheck(datasource) {
+    const response = await sendRequest(datasource, {
+      method: 'POST',
+      data: { query: '{ __typename }' }
+    });
+    const healthy = Boolean(response.data && response.data.data);
+    return { healthy, status: response.status };
+  },
+
+  async close() {
+    // Shares the stateless http transport, nothing to release
+  }
+};
+
+export default graphqlAdapter;
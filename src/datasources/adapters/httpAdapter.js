@@ -0,0 +1,82 @@
+import axios from 'axios';
+import { normalizeHttpCacheOptions, cachedHttpCall } from '../httpCache.js';
+
+/**
+ * HTTP/REST DataSource Adapter
+ * Default adapter used for the 'http' and 'rest' datasource types
+ * GET calls can go through an HTTP cache honouring the upstream caching headers (see ../httpCache.js)
+ */
+
+/**
+ * Get default headers for all requests
+ */
+export function getDefaultHeaders() {
+  return {
+    'Content-Type': 'application/json',
+    'User-Agent': 'BFF-DataSourceManager/1.0.0'
+  };
+}
+
+/**
+ * Send a single request to the datasource (no retries)
+ * validateStatus overrides which statuses resolve (default: 2xx)
+ */
+export async function sendRequest(datasource, request) {
+  const {
+    method = 'GET',
+    path = '',
+    data = null,
+    headers = {},
+    params = null,
+    validateStatus
+  } = request;
+
+  return axios({
+    method,
+    url: `${datasource.baseUrl}${path}`,
+    data,
+    headers: { ...datasource.headers, ...headers },
+    params,
+    timeout: datasource.timeout,
+    ...(validateStatus ? { validateStatus } : {})
+  });
+}
+
+export const httpAdapter = {
+  /**
+   * Build the adapter specific part of the datasource config
+   */
+  parseConfig(config) {
+    return {
+      baseUrl: (config.baseUrl || '').trim(),
+      headers: { ...getDefaultHeaders(), ...(config.headers || {}) },
+      healthPath: config.healthPath || '',
+      httpCache: normalizeHttpCacheOptions(config.httpCache)
+    };
+  },
+
+  async call(datasource, request) {
+    const response = await cachedHttpCall(datasource, request, cacheRequest => sendRequest(datasource, cacheRequest));
+
+    return {
+      status: response.status,
+      data: response.data,
+      headers: response.headers,
+      ...(response.httpCache ? { httpCache: response.httpCache } : {})
+    };
+  },
+
+  /**
+   * Any response below 500 from the health path means the upstream is reachable
+   */
+  async healthCheck(datasource) {
+    const response = await sendRequest(datasource, { method: 'GET', path: datasource.healthPath });
+    return { healthy: true, status: response.status };
+  },
+
+  async close() {
+    // axios keeps no persistent connections per datasource, nothing to release
+  }
+};
+
+export default httpAdapter;
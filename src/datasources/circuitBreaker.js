@@ -0,0 +1,235 @@
+/**
+ * Circuit Breaker - per datasource closed/open/half-open state machine
+ *
+ * closed:    calls pass through, outcomes are kept in a sliding window of the last `windowSize` calls.
+ *            Once `minimumRequests` are recorded and the failure rate reaches `failureRateThreshold` it opens.
+ * open:      calls fail fast until `openDurationMs` has elapsed, then it moves to half-open.
+ * half-open: up to `halfOpenMaxCalls` probe calls are let through. All probes succeeding closes
+ *            the breaker again, any probe failing re-opens it.
+ */
+
+export const CIRCUIT_STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half-open'
+};
+
+export const CIRCUIT_OPEN_CODE = 'CIRCUIT_OPEN';
+
+const DEFAULT_OPTIONS = {
+  enabled: true,
+  failureRateThreshold: 0.5,
+  minimumRequests: 10,
+  windowSize: 20,
+  openDurationMs: 30000,
+  halfOpenMaxCalls: 1
+};
+
+/**
+ * Normalize circuit breaker settings from a datasource config
+ * `false` disables the breaker, an object overrides individual defaults
+ */
+export function normalizeCircuitBreakerOptions(options) {
+  if (options === false) {
+    return { ...DEFAULT_OPTIONS, enabled: false };
+  }
+
+  const merged = { ...DEFAULT_OPTIONS, ...(options && typeof options === 'object' ? options : {}) };
+  return {
+    enabled: merged.enabled !== false,
+    failureRateThreshold: Math.min(Math.max(Number(merged.failureRateThreshold) || DEFAULT_OPTIONS.failureRateThreshold, 0.01), 1),
+    minimumRequests: Math.max(parseInt(merged.minimumRequests) || DEFAULT_OPTIONS.minimumRequests, 1),
+    windowSize: Math.max(parseInt(merged.windowSize) || DEFAULT_OPTIONS.windowSize, 1),
+    openDurationMs: Math.max(parseInt(merged.openDurationMs) || DEFAULT_OPTIONS.openDurationMs, 0),
+    halfOpenMaxCalls: Math.max(parseInt(merged.halfOpenMaxCalls) || DEFAULT_OPTIONS.halfOpenMaxCalls, 1)
+  };
+}
+
+// Error codes raised when the upstream could not be reached or did not answer in time
+const NETWORK_ERROR_CODES = new Set([
+  'ECONNREFUSED',
+  'ECONNRESET',
+  'ECONNABORTED',
+  'ETIMEDOUT',
+  'ESOCKETTIMEDOUT',
+  'EPIPE',
+  'ENOTFOUND',
+  'EAI_AGAIN',
+  'EHOSTUNREACH',
+  'ENETUNREACH',
+  'ERR_NETWORK',
+  'UND_ERR_CONNECT_TIMEOUT',
+  'UND_ERR_HEADERS_TIMEOUT',
+  'UND_ERR_SOCKET'
+]);
+
+/**
+ * Only failures that say something about upstream health count against the breaker:
+ * network errors, timeouts and 5xx responses. 4xx and GraphQL errors mean the upstream answered,
+ * and errors without a response or a network code (bad config, request validation) never reached it.
+ */
+export function isUpstreamFailure(error) {
+  if (!error || error.code === CIRCUIT_OPEN_CODE || error.graphqlErrors) {
+    return false;
+  }
+
+  const status = error.response && error.response.status;
+  if (status) {
+    return status >= 500;
+  }
+
+  return NETWORK_ERROR_CODES.has(String(error.code || '').toUpperCase());
+}
+
+export class CircuitBreaker {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.options = normalizeCircuitBreakerOptions(options);
+    this.reset();
+  }
+
+  reset() {
+    this.state = CIRCUIT_STATES.CLOSED;
+    this.outcomes = []; // true = success, false = failure
+    this.openedAt = null;
+    this.halfOpenInFlight = 0;
+    this.halfOpenSuccesses = 0;
+  }
+
+  _transition(state) {
+    if (this.state !== state) {
+      console.warn(`⚠ Circuit breaker for ${this.name}: ${this.state} → ${state}`);
+    }
+    this.state = state;
+  }
+
+  _open() {
+    this._transition(CIRCUIT_STATES.OPEN);
+    this.openedAt = Date.now();
+    this.halfOpenInFlight = 0;
+    this.halfOpenSuccesses = 0;
+  }
+
+  /**
+   * Ask for permission to call the upstream
+   * Must be followed by recordSuccess() or recordFailure() when it returns true
+   */
+  allowRequest() {
+    if (!this.options.enabled) {
+      return true;
+    }
+
+    if (this.state === CIRCUIT_STATES.OPEN) {
+      if (Date.now() - this.openedAt < this.options.openDurationMs) {
+        return false;
+      }
+      this._transition(CIRCUIT_STATES.HALF_OPEN);
+    }
+
+    if (this.state === CIRCUIT_STATES.HALF_OPEN) {
+      if (this.halfOpenInFlight + this.halfOpenSuccesses >= this.options.halfOpenMaxCalls) {
+        return false;
+      }
+      this.halfOpenInFlight++;
+    }
+
+    return true;
+  }
+
+  recordSuccess() {
+    if (!this.options.enabled) {
+      return;
+    }
+
+    if (this.state === CIRCUIT_STATES.HALF_OPEN) {
+      this.halfOpenInFlight = Math.max(this.halfOpenInFlight - 1, 0);
+      this.halfOpenSuccesses++;
+
+      if (this.halfOpenSuccesses >= this.options.halfOpenMaxCalls) {
+        this.reset();
+        console.log(`✓ Circuit breaker for ${this.name} closed`);
+      }
+      return;
+    }
+
+    this._record(true);
+  }
+
+  recordFailure() {
+    if (!this.options.enabled) {
+      return;
+    }
+
+    if (this.state === CIRCUIT_STATES.HALF_OPEN) {
+      this._open();
+      return;
+    }
+
+    this._record(false);
+
+    const failureRate = this.getFailureRate();
+    if (this.outcomes.length >= this.options.minimumRequests && failureRate >= this.options.failureRateThreshold) {
+      this._open();
+    }
+  }
+
+  _record(success) {
+    this.outcomes.push(success);
+    if (this.outcomes.length > this.options.windowSize) {
+      this.outcomes.shift();
+    }
+  }
+
+  getFailureRate() {
+    if (this.outcomes.length === 0) {
+      return 0;
+    }
+    return this.outcomes.filter(outcome => !outcome).length / this.outcomes.length;
+  }
+
+  /**
+   * Milliseconds until an open breaker lets a probe through
+   */
+  getRetryAfterMs() {
+    if (this.state !== CIRCUIT_STATES.OPEN) {
+      return 0;
+    }
+    return Math.max(this.options.openDurationMs - (Date.now() - this.openedAt), 0);
+  }
+
+  /**
+   * Snapshot for datasource listings and resolver step results
+   */
+  getState() {
+    // Report an expired open breaker as half-open without consuming a probe
+    const state = this.state === CIRCUIT_STATES.OPEN && this.getRetryAfterMs() === 0
+      ? CIRCUIT_STATES.HALF_OPEN
+      : this.state;
+
+    return {
+      enabled: this.options.enabled,
+      state,
+      failureRate: Number(this.getFailureRate().toFixed(2)),
+      recordedCalls: this.outcomes.length,
+      ...(state === CIRCUIT_STATES.OPEN
+        ? {
+          openedAt: new Date(this.openedAt).toISOString(),
+          retryAfterMs: this.getRetryAfterMs()
+        }
+        : {})
+    };
+  }
+
+  /**
+   * Error thrown for calls rejected by an open breaker
+   */
+  createOpenError() {
+    const error = new Error(`Circuit breaker for DataSource '${this.name}' is open, failing fast`);
+    error.code = CIRCUIT_OPEN_CODE;
+    error.retryable = false;
+    error.retryAfterMs = this.getRetryAfterMs();
+    return error;
+  }
+}
+
+export default CircuitBreaker;
@@ -1,16 +1,48 @@
-import axios from 'axios';
+import { httpAdapter, getDefaultHeaders } from './adapters/httpAdapter.js';
+import { graphqlAdapter } from './adapters/graphqlAdapter.js';
+import {
+  CircuitBreaker,
+  CIRCUIT_STATES,
+  isUpstreamFailure,
+  normalizeCircuitBreakerOptions
+} from './circuitBreaker.js';
+import { resolveRetryPolicy, shouldRetry, computeRetryDelay } from './retryPolicy.js';
+import { normalizeHeaderPolicy, buildPropagatedHeaders, comparableHeaders } from './headerPropagation.js';
+import { assertAuthorized } from '../utils/authorization.js';
+import { createRateLimiter, createRateLimitError } from '../services/rateLimiter.js';
+import { createSingleflight } from '../utils/singleflight.js';
+import { hashValue } from '../utils/stableHash.js';
 
 /**
  * DataSource Manager - Plugin Architecture similar to AWS AppSync
  * Manages multiple datasources with dynamic routing capabilities
  *
+ * Each datasource type is backed by an adapter ({ parseConfig, call, healthCheck, close }).
+ * http/rest and graphql are built in, custom types are added with registerType()
+ * Every datasource gets its own circuit breaker (see circuitBreaker.js) and retry policy (see retryPolicy.js)
+ * and may forward the caller's headers and identity (see headerPropagation.js).
+ * An `auth: { roles, scopes }` option restricts which callers may use a datasource (see utils/authorization.js)
+ * and a `rateLimit: { algorithm, limit, windowMs }` option caps the calls made to it (see services/rateLimiter.js)
+ * Identical read calls in flight at the same time share one upstream call unless `coalesce: false`
+ *
  * Note: dotenv is loaded in server.js before this module is imported
  * so process.env contains all .env variables
  */
 
+// Calls that may share one upstream call (see callDatasource)
+const COALESCED_METHODS = new Set(['GET', 'HEAD', 'OPTIONS']);
+
 class DataSourceManager {
   constructor() {
     this.dataSources = new Map();
+    this.types = new Map([
+      ['http', httpAdapter],
+      ['rest', httpAdapter],
+      ['graphql', graphqlAdapter]
+    ]);
+    this.circuitBreakers = new Map();
+    this.rateLimiters = new Map();
+    this.inFlight = createSingleflight(); // Coalesced calls by coalescingKey()
     this._initialized = false;
   }
 
@@ -23,7 +55,7 @@ class DataSourceManager {
 
   /**
    * Initialize all datasources from environment variables
-   * Format: DATASOURCE_<NAME>=<TYPE>|<BASE_URL>|<TIMEOUT>|<RETRY_COUNT>
+   * Format: DATASOURCE_<NAME>=<TYPE>|<BASE_URL>|<TIMEOUT>|<RETRY_COUNT>[|<OPTIONS_JSON>]
    */
   initializeDatasources() {
     const datasourcePattern = /^DATASOURCE_(.+)$/;
@@ -37,21 +69,34 @@ class DataSourceManager {
         // Preserve the original (raw) name in the config, but use a lowercase key for lookups
         const rawName = String(match[1]);
         const keyName = rawName.toLowerCase();
-        const [type = 'http', baseUrl = '', timeout, retryCount] = value.split('|');
+        const [type = 'http', baseUrl = '', timeout, retryCount, ...rest] = value.split('|');
+        const options = this.parseOptions(rawName, rest.join('|'));
+
+        // Unknown types (e.g. the legacy "https") use the http adapter instead of dropping the datasource
+        let typeName = (type || 'http').toLowerCase();
+        if (!this.types.has(typeName)) {
+          console.warn(`⚠ DataSource ${rawName}: unknown type '${type}', using the http adapter`);
+          typeName = 'http';
+        }
 
-        const datasourceConfig = {
+        let datasourceConfig;
+        try {
           // preserve original name exactly as provided in .env (no trimming/case-change)
-          name: rawName,
-          type: (type || 'http').toLowerCase(),
-          baseUrl: (baseUrl || '').trim(),
-          timeout: parseInt(timeout) || 5000,
-          retryCount: parseInt(retryCount) || 3,
-          headers: this.getDefaultHeaders()
-        };
+          datasourceConfig = this.buildConfig(rawName, {
+            ...options,
+            type: typeName,
+            baseUrl,
+            timeout: parseInt(timeout),
+            retryCount: parseInt(retryCount)
+          });
+        } catch (error) {
+          console.warn(`⚠ Skipping DataSource ${rawName}: ${error.message}`);
+          return;
+        }
 
         // store under lowercase key for case-insensitive lookup, but keep config.name unchanged
         this.dataSources.set(keyName, datasourceConfig);
-        console.log(`  ✓ DataSource: ${rawName} → ${datasourceConfig.baseUrl}`);
+        console.log(`  ✓ DataSource: ${rawName} → ${datasourceConfig.baseUrl || datasourceConfig.type}`);
         count++;
       }
     });
@@ -64,15 +109,92 @@ class DataSourceManager {
   }
 
   /**
-   * Get default headers for all requests
+   * Parse the optional trailing JSON options segment of a datasource definition
+   * e.g. DATASOURCE_GRAPHQL_API=graphql|http://localhost:4003/graphql|15000|3|{"errorPolicy":"all"}
    */
-  getDefaultHeaders() {
+  parseOptions(name, raw) {
+    if (!raw || !raw.trim()) {
+      return {};
+    }
+
+    try {
+      const options = JSON.parse(raw);
+      return options && typeof options === 'object' ? options : {};
+    } catch (error) {
+      console.warn(`⚠ Ignoring invalid options for DataSource ${name}: ${error.message}`);
+      return {};
+    }
+  }
+
+  /**
+   * Build a datasource config: common settings plus whatever the type's adapter parses
+   */
+  buildConfig(name, config) {
+    const type = (config.type || 'http').toLowerCase();
+    const adapter = this.getAdapter(type);
+
     return {
-      'Content-Type': 'application/json',
-      'User-Agent': 'BFF-DataSourceManager/1.0.0'
+      ...(adapter.parseConfig ? adapter.parseConfig(config) : {}),
+      name,
+      type,
+      timeout: config.timeout || 5000,
+      retryCount: config.retryCount || 3,
+      retryPolicy: config.retryPolicy || null,
+      circuitBreaker: normalizeCircuitBreakerOptions(config.circuitBreaker),
+      headerPolicy: normalizeHeaderPolicy(config),
+      authPolicy: config.auth || null,
+      rateLimit: config.rateLimit || null,
+      coalesce: config.coalesce !== false
     };
   }
 
+  /**
+   * Register a datasource type backed by an adapter
+   * adapter: { parseConfig(config)?, call(datasource, request), healthCheck(datasource)?, close(datasource)? }
+   * call() resolves to { status, data, headers } and may flag errors with retryable = false
+   * retryMethod(request)? returns the HTTP method the retry policy should judge the request by
+   */
+  registerType(typeName, adapter) {
+    if (!typeName || typeof typeName !== 'string') {
+      throw new Error('Datasource type name must be a non-empty string');
+    }
+
+    if (!adapter || typeof adapter.call !== 'function') {
+      throw new Error(`Adapter for datasource type '${typeName}' must implement call()`);
+    }
+
+    this.types.set(typeName.toLowerCase(), adapter);
+    console.log(`✓ DataSource type registered: ${typeName}`);
+  }
+
+  /**
+   * Get the adapter for a datasource type
+   */
+  getAdapter(typeName) {
+    const adapter = this.types.get(String(typeName).toLowerCase());
+
+    if (!adapter) {
+      const available = Array.from(this.types.keys()).join(', ');
+      throw new Error(`DataSource type '${typeName}' is not registered. Available: ${available}`);
+    }
+
+    return adapter;
+  }
+
+  /**
+   * List registered datasource types
+   */
+  listTypes() {
+    return Array.from(this.types.keys());
+  }
+
+  /**
+   * Get default headers for all requests
+   */
+  getDefaultHeaders() {
+    return getDefaultHeaders();
+  }
+
   /**
    * Get datasource configuration by name
    */
@@ -98,66 +220,222 @@ class DataSourceManager {
       type: ds.type,
       baseUrl: ds.baseUrl,
       timeout: ds.timeout,
-      retryCount: ds.retryCount
+      retryCount: ds.retryCount,
+      circuitBreaker: this.getCircuitState(ds.name)
     }));
   }
 
+  /**
+   * Get (or lazily create) the circuit breaker of a datasource
+   */
+  getCircuitBreaker(datasource) {
+    const key = String(datasource.name).toLowerCase();
+    let breaker = this.circuitBreakers.get(key);
+
+    if (!breaker) {
+      breaker = new CircuitBreaker(datasource.name, datasource.circuitBreaker);
+      this.circuitBreakers.set(key, breaker);
+    }
+
+    return breaker;
+  }
+
+  /**
+   * Current circuit breaker state of a datasource, e.g. { state: 'open', failureRate: 0.8, ... }
+   * Returns null for unknown datasources
+   */
+  getCircuitState(name) {
+    this._ensureInitialized();
+    const datasource = this.dataSources.get(String(name).toLowerCase());
+    return datasource ? this.getCircuitBreaker(datasource).getState() : null;
+  }
+
+  /**
+   * Headers the datasource's propagation policy adds for a request context ({ identity, request })
+   */
+  getPropagatedHeaders(name, requestContext) {
+    const datasource = this.getDatasource(name);
+    return buildPropagatedHeaders(datasource.headerPolicy, requestContext);
+  }
+
+  /**
+   * Count a call against the datasource rate limit (all callers and instances share it)
+   * Throws a RATE_LIMITED error once the limit is exceeded
+   */
+  async consumeRateLimit(datasource) {
+    if (!datasource.rateLimit) {
+      return;
+    }
+
+    const key = String(datasource.name).toLowerCase();
+    let limiter = this.rateLimiters.get(key);
+    if (!limiter) {
+      limiter = createRateLimiter({ ...datasource.rateLimit, prefix: 'ratelimit:datasource' });
+      this.rateLimiters.set(key, limiter);
+    }
+
+    const result = await limiter.consume(key);
+    if (!result.allowed) {
+      throw createRateLimitError(`datasource '${datasource.name}'`, result);
+    }
+  }
+
+  /**
+   * Throw a FORBIDDEN error unless the caller ($identity claims) may use the datasource
+   */
+  authorizeDatasource(name, identity) {
+    const datasource = this.getDatasource(name);
+    assertAuthorized(datasource.authPolicy, identity, `datasource '${datasource.name}'`);
+  }
+
+  /**
+   * Coalescing key of a call: the datasource plus everything sent upstream
+   * The caller's identity counts through the headers it propagates; request ids are left out,
+   * a shared call carries the ids of the request that started it
+   */
+  coalescingKey(datasource, request, retryPolicy) {
+    const headers = comparableHeaders(request.headers);
+    return `${datasource.name}:${hashValue({ ...request, headers, retryPolicy: retryPolicy || null })}`;
+  }
+
   /**
    * Call datasource with automatic retry logic
+   * The request is handed to the adapter of the datasource type, e.g.
+   * { method, path, data, headers, params } for http or { query, variables, operationName } for graphql
+   * config.retryPolicy overrides the datasource retry policy for this call
+   * config.requestContext ({ identity, request }) feeds the datasource header propagation policy,
+   * headers set by the resolver win over propagated ones, and is checked against the datasource auth policy
+   *
+   * Identical reads (GET/HEAD/OPTIONS, GraphQL queries) in flight at the same time share one upstream call
+   * and count once against the rate limit. Every caller is still authorized on its own.
    */
   async callDatasource(datasourceName, config) {
     this._ensureInitialized();
     const datasource = this.getDatasource(datasourceName);
+    const adapter = this.getAdapter(datasource.type);
+    const { retryPolicy, requestContext, ...callConfig } = config;
+
+    assertAuthorized(datasource.authPolicy, requestContext && requestContext.identity, `datasource '${datasource.name}'`);
+    const request = {
+      ...callConfig,
+      headers: { ...buildPropagatedHeaders(datasource.headerPolicy, requestContext), ...(callConfig.headers || {}) }
+    };
+    const method = adapter.retryMethod ? adapter.retryMethod(request) : (request.method || 'GET');
+
+    const call = async () => {
+      await this.consumeRateLimit(datasource);
+      const response = await this.executeWithRetry(datasourceName, datasource, () => adapter.call(datasource, request), {
+        method,
+        policy: resolveRetryPolicy(datasource.retryPolicy, retryPolicy)
+      });
 
-    const {
-      method = 'GET',
-      path = '',
-      data = null,
-      headers = {},
-      params = null
-    } = config;
+      return {
+        ...response,
+        success: true,
+        datasource: datasourceName
+      };
+    };
 
-    const url = `${datasource.baseUrl}${path}`;
-    const mergedHeaders = { ...datasource.headers, ...headers };
+    if (!datasource.coalesce || !COALESCED_METHODS.has(String(method).toUpperCase())) {
+      return call();
+    }
+    return this.inFlight.run(this.coalescingKey(datasource, request, retryPolicy), call);
+  }
 
+  /**
+   * Run an adapter call with the datasource's retry policy
+   * Every attempt goes through the circuit breaker, an open breaker fails fast with code CIRCUIT_OPEN
+   */
+  async executeWithRetry(datasourceName, datasource, operation, { method = 'GET', policy = resolveRetryPolicy() } = {}) {
+    const breaker = this.getCircuitBreaker(datasource);
+    const maxAttempts = Math.max(parseInt(policy.maxAttempts) || datasource.retryCount, 1);
     let lastError;
+    let attempts = 0;
 
     // Retry logic
-    for (let attempt = 1; attempt <= datasource.retryCount; attempt++) {
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      if (!breaker.allowRequest()) {
+        // Rejected before the first attempt: fail fast. Mid-retry: stop retrying and report the upstream error
+        if (attempt === 1) {
+          throw breaker.createOpenError();
+        }
+        break;
+      }
+
+      attempts = attempt;
       try {
-        const response = await axios({
-          method,
-          url,
-          data,
-          headers: mergedHeaders,
-          params,
-          timeout: datasource.timeout
-        });
-
-        return {
-          success: true,
-          status: response.status,
-          data: response.data,
-          headers: response.headers,
-          datasource: datasourceName
-        };
+        const result = await operation();
+        breaker.recordSuccess();
+        return result;
       } catch (error) {
         lastError = error;
 
-        if (attempt < datasource.retryCount) {
-          // Exponential backoff: 100ms, 200ms, 400ms, etc.
-          const delay = Math.pow(2, attempt - 1) * 100;
-          await new Promise(resolve => setTimeout(resolve, delay));
-          console.warn(`Retry attempt ${attempt} for ${datasourceName}...`);
+        if (isUpstreamFailure(error)) {
+          breaker.recordFailure();
+        } else {
+          breaker.recordSuccess();
         }
+
+        // Adapters flag failures that a retry cannot fix
+        if (error.retryable === false) {
+          throw error;
+        }
+
+        if (attempt >= maxAttempts || !shouldRetry(policy, method, error)) {
+          break;
+        }
+
+        // No point waiting for a retry the breaker will reject
+        if (breaker.state === CIRCUIT_STATES.OPEN) {
+          break;
+        }
+
+        const delay = computeRetryDelay(policy, attempt, error);
+        if (delay === null) {
+          console.warn(`⚠ Not retrying ${datasourceName}: Retry-After exceeds ${policy.maxRetryAfterMs}ms`);
+          break;
+        }
+
+        console.warn(`Retry attempt ${attempt} for ${datasourceName} in ${delay}ms...`);
+        await new Promise(resolve => setTimeout(resolve, delay));
       }
     }
 
-    // All retries failed
-    throw new Error(
-      `DataSource call failed after ${datasource.retryCount} attempts. ` +
-      `Error: ${lastError.message || 'Unknown error'}`
+    // All retries failed (or the failure was not retryable)
+    const error = new Error(
+      `DataSource call failed after ${attempts} attempt${attempts === 1 ? '' : 's'}. ` +
+      `Error: ${lastError.message || 'Unknown error'}`,
+      { cause: lastError }
     );
+    error.status = lastError.response ? lastError.response.status : undefined;
+    error.code = lastError.code;
+    throw error;
+  }
+
+  /**
+   * Check that a datasource is reachable using its adapter's healthCheck()
+   */
+  async healthCheck(name) {
+    const datasource = this.getDatasource(name);
+    const adapter = this.getAdapter(datasource.type);
+
+    if (typeof adapter.healthCheck !== 'function') {
+      return { name: datasource.name, type: datasource.type, healthy: null, message: 'Health check not supported' };
+    }
+
+    const startedAt = Date.now();
+    try {
+      const result = await adapter.healthCheck(datasource);
+      return { name: datasource.name, type: datasource.type, ...result, latencyMs: Date.now() - startedAt };
+    } catch (error) {
+      return {
+        name: datasource.name,
+        type: datasource.type,
+        healthy: false,
+        error: error.message,
+        latencyMs: Date.now() - startedAt
+      };
+    }
   }
 
   /**
@@ -165,16 +443,11 @@ class DataSourceManager {
    */
   registerDatasource(name, config) {
     this._ensureInitialized();
-    const datasourceConfig = {
-      name: String(name).toLowerCase(),
-      type: (config.type || 'http').toLowerCase(),
-      baseUrl: config.baseUrl,
-      timeout: config.timeout || 5000,
-      retryCount: config.retryCount || 3,
-      headers: { ...this.getDefaultHeaders(), ...(config.headers || {}) }
-    };
-    
+    const datasourceConfig = this.buildConfig(String(name).toLowerCase(), config);
+
     this.dataSources.set(String(name).toLowerCase(), datasourceConfig);
+    this.circuitBreakers.delete(String(name).toLowerCase());
+    this.rateLimiters.delete(String(name).toLowerCase());
     console.log(`✓ DataSource registered: ${name}`);
   }
 
@@ -183,12 +456,40 @@ class DataSourceManager {
    */
   unregisterDatasource(name) {
     this._ensureInitialized();
-    const deleted = this.dataSources.delete(String(name).toLowerCase());
+    const key = String(name).toLowerCase();
+    const datasource = this.dataSources.get(key);
+    const deleted = this.dataSources.delete(key);
     if (deleted) {
+      this.circuitBreakers.delete(key);
+      this.rateLimiters.delete(key);
+      this.closeDatasource(datasource);
       console.log(`✓ DataSource unregistered: ${name}`);
     }
     return deleted;
   }
+
+  /**
+   * Release adapter resources for a single datasource
+   */
+  async closeDatasource(datasource) {
+    const adapter = this.types.get(datasource.type);
+    if (!adapter || typeof adapter.close !== 'function') {
+      return;
+    }
+
+    try {
+      await adapter.close(datasource);
+    } catch (error) {
+      console.warn(`⚠ Error closing DataSource ${datasource.name}:`, error.message);
+    }
+  }
+
+  /**
+   * Release adapter resources for all datasources (call at app shutdown)
+   */
+  async close() {
+    await Promise.all(Array.from(this.dataSources.values()).map(ds => this.closeDatasource(ds)));
+  }
 }
 
 // Export singleton instance
@@ -0,0 +1,69 @@
+import { renderTemplate } from '../utils/template.js';
+
+/**
+ * Header propagation policy of a datasource
+ * Carries the end user's context to downstream services, set in the datasource options:
+ *
+ * - propagateHeaders: inbound headers forwarded as-is, e.g. ["accept-language", "x-request-id"]
+ *   (only headers exposed as $request.headers, see utils/requestContext.js)
+ * - injectHeaders: headers built from the caller's context, e.g. { "X-User-Id": "$identity.id" }
+ *   (templates over $identity and $request, headers rendering to an empty value are left out)
+ */
+
+// Per-request headers, ignored when matching identical calls (coalescing and the HTTP cache)
+const REQUEST_ID_HEADERS = new Set(['x-request-id', 'x-correlation-id']);
+
+/**
+ * Headers of a call as compared between calls: lowercase names, request id headers left out
+ */
+export function comparableHeaders(headers = {}) {
+  return Object.fromEntries(Object.entries(headers)
+    .filter(([name]) => !REQUEST_ID_HEADERS.has(name.toLowerCase()))
+    .map(([name, value]) => [name.toLowerCase(), value]));
+}
+
+/**
+ * Normalize the propagation options of a datasource, null when nothing is propagated
+ */
+export function normalizeHeaderPolicy({ propagateHeaders, injectHeaders } = {}) {
+  const propagate = Array.isArray(propagateHeaders)
+    ? propagateHeaders.map(header => String(header).toLowerCase())
+    : [];
+  const inject = injectHeaders && typeof injectHeaders === 'object' ? injectHeaders : {};
+
+  if (propagate.length === 0 && Object.keys(inject).length === 0) {
+    return null;
+  }
+
+  return { propagate, inject };
+}
+
+/**
+ * Headers to add to a datasource call for a request context ({ identity, request })
+ */
+export function buildPropagatedHeaders(policy, requestContext) {
+  if (!policy || !requestContext) {
+    return {};
+  }
+
+  const headers = {};
+  const request = requestContext.request || {};
+  const inboundHeaders = request.headers || {};
+
+  policy.propagate.forEach(header => {
+    const value = header === 'x-request-id' ? request.id : inboundHeaders[header];
+    if (value !== undefined && value !== null && value !== '') {
+      headers[header] = value;
+    }
+  });
+
+  const scope = { identity: requestContext.identity || null, request };
+  Object.entries(policy.inject).forEach(([header, template]) => {
+    const value = renderTemplate(template, scope);
+    if (value !== undefined && value !== null && value !== '') {
+      headers[header] = String(value);
+    }
+  });
+
+  return headers;
+}
@@ -0,0 +1,151 @@
+import { getFromCache, setInCache, DEFAULT_CACHE_TTL } from '../services/cacheService.js';
+import { hashValue } from '../utils/stableHash.js';
+import { comparableHeaders } from './headerPropagation.js';
+
+/**
+ * HTTP Caching for http/rest datasources (opt-in with the `httpCache` option)
+ * The BFF acts as a shared HTTP cache for GET calls, following the upstream response headers:
+ *
+ * - Cache-Control s-maxage / max-age (minus Age) sets how long a 200 response is fresh
+ * - no-store and private responses are never stored, no-cache ones are stored but always revalidated
+ * - Entries with an ETag or Last-Modified are kept `revalidateTtl` seconds (default CACHE_TTL) after they
+ *   go stale and revalidated with If-None-Match / If-Modified-Since; a 304 refreshes the stored response
+ * - maxTtl (seconds) caps the freshness announced by the upstream
+ *
+ * Entries are keyed by the datasource and everything sent upstream (path, params and headers, except
+ * request id headers), so responses to different propagated identities are never shared.
+ * e.g. DATASOURCE_CATALOG='http|http://localhost:4007|5000|3|{"httpCache":{"maxTtl":300}}'
+ */
+
+// Response headers kept with a cached entry
+const STORED_HEADERS = ['cache-control', 'content-type', 'etag', 'last-modified'];
+
+/**
+ * Normalize the `httpCache` option: true or { revalidateTtl, maxTtl }, null when disabled
+ */
+export function normalizeHttpCacheOptions(option) {
+  if (!option) {
+    return null;
+  }
+
+  const options = option === true ? {} : option;
+  return {
+    revalidateTtl: parseInt(options.revalidateTtl) || DEFAULT_CACHE_TTL,
+    maxTtl: parseInt(options.maxTtl) || null
+  };
+}
+
+/**
+ * Parse a Cache-Control header into the directives the cache uses
+ */
+export function parseCacheControl(header) {
+  const directives = {};
+  String(header || '').split(',').forEach(part => {
+    const [name, value] = part.trim().split('=');
+    if (name) {
+      directives[name.toLowerCase()] = value === undefined ? true : value.replace(/^"|"$/g, '');
+    }
+  });
+
+  const seconds = (value) => {
+    const parsed = parseInt(value);
+    return Number.isFinite(parsed) && parsed >= 0 ? parsed : null;
+  };
+
+  return {
+    noStore: 'no-store' in directives,
+    noCache: 'no-cache' in directives,
+    private: 'private' in directives,
+    maxAge: seconds(directives['max-age']),
+    sMaxage: seconds(directives['s-maxage'])
+  };
+}
+
+function pickStoredHeaders(headers = {}) {
+  const picked = {};
+  STORED_HEADERS.forEach(name => {
+    if (headers[name] !== undefined && headers[name] !== null) {
+      picked[name] = String(headers[name]);
+    }
+  });
+  return picked;
+}
+
+function cacheKeyOf(datasource, request) {
+  const headers = comparableHeaders(request.headers);
+  return `http:${datasource.name}:${hashValue({ path: request.path || '', params: request.params || null, headers })}`;
+}
+
+/**
+ * Store a 200 response unless its headers forbid it
+ */
+async function storeResponse(key, response, headers, age, options) {
+  const cacheControl = parseCacheControl(headers['cache-control']);
+  if (cacheControl.noStore || cacheControl.private) {
+    return;
+  }
+
+  const announced = cacheControl.sMaxage ?? cacheControl.maxAge ?? 0;
+  const capped = options.maxTtl ? Math.min(announced, options.maxTtl) : announced;
+  const freshness = cacheControl.noCache ? 0 : Math.max(capped - (parseInt(age) || 0), 0);
+  const revalidatable = Boolean(headers.etag || headers['last-modified']);
+
+  if (freshness === 0 && !revalidatable) {
+    return;
+  }
+
+  await setInCache(key, {
+    status: response.status,
+    data: response.data,
+    headers,
+    freshUntil: Date.now() + freshness * 1000
+  }, freshness + (revalidatable ? options.revalidateTtl : 0));
+}
+
+/**
+ * Send a request through the datasource's HTTP cache
+ * send(request) performs the upstream call and resolves to an axios-like { status, data, headers }
+ * Resolves to { status, data, headers, httpCache } with httpCache 'hit', 'revalidated' or 'miss'
+ * (no httpCache field when the request is not cacheable)
+ */
+export async function cachedHttpCall(datasource, request, send) {
+  const method = String(request.method || 'GET').toUpperCase();
+  if (!datasource.httpCache || method !== 'GET') {
+    return send(request);
+  }
+
+  const key = cacheKeyOf(datasource, request);
+  const entry = await getFromCache(key);
+
+  if (entry && Date.now() < entry.freshUntil) {
+    return { status: entry.status, data: entry.data, headers: entry.headers, httpCache: 'hit' };
+  }
+
+  // Conditional request for a stale entry, the upstream answers 304 when it did not change
+  const conditionalHeaders = {};
+  if (entry && entry.headers.etag) {
+    conditionalHeaders['If-None-Match'] = entry.headers.etag;
+  }
+  if (entry && entry.headers['last-modified']) {
+    conditionalHeaders['If-Modified-Since'] = entry.headers['last-modified'];
+  }
+
+  const response = await send({
+    ...request,
+    headers: { ...request.headers, ...conditionalHeaders },
+    validateStatus: status => (status >= 200 && status < 300) || (Boolean(entry) && status === 304)
+  });
+
+  if (response.status === 304) {
+    // A 304 may carry new validators and freshness for the stored response
+    const headers = { ...entry.headers, ...pickStoredHeaders(response.headers) };
+    await storeResponse(key, entry, headers, response.headers.age, datasource.httpCache);
+    return { status: entry.status, data: entry.data, headers, httpCache: 'revalidated' };
+  }
+
+  if (response.status === 200) {
+    await storeResponse(key, response, pickStoredHeaders(response.headers), response.headers.age, datasource.httpCache);
+  }
+
+  return { status: response.status, data: response.data, headers: response.headers, httpCache: 'miss' };
+}
@@ -0,0 +1,102 @@
+/**
+ * Retry Policy - decides whether and when a failed datasource call is retried
+ *
+ * Policies are merged: defaults ← datasource `retryPolicy` ← per resolver/step `retryPolicy`.
+ * Non-idempotent methods (POST, PATCH) are not retried unless a policy lists them in `methods`.
+ */
+
+export const DEFAULT_RETRY_POLICY = {
+  maxAttempts: null, // null = use the datasource retryCount
+  methods: ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'],
+  statusCodes: [408, 429, 500, 502, 503, 504],
+  errorCodes: ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ERR_NETWORK'],
+  baseDelayMs: 100,
+  maxDelayMs: 5000,
+  jitter: 'full', // 'full' | 'none'
+  respectRetryAfter: true,
+  maxRetryAfterMs: 30000 // give up instead of waiting longer than this for Retry-After
+};
+
+const upper = list => (Array.isArray(list) ? list.map(item => String(item).toUpperCase()) : list);
+
+/**
+ * Merge policy layers on top of the defaults (later layers win, undefined values are ignored)
+ */
+export function resolveRetryPolicy(...layers) {
+  const policy = { ...DEFAULT_RETRY_POLICY };
+
+  layers
+    .filter(layer => layer && typeof layer === 'object')
+    .forEach(layer => {
+      Object.entries(layer).forEach(([key, value]) => {
+        if (value !== undefined && key in DEFAULT_RETRY_POLICY) {
+          policy[key] = value;
+        }
+      });
+    });
+
+  policy.methods = upper(policy.methods);
+  policy.errorCodes = upper(policy.errorCodes);
+  return policy;
+}
+
+/**
+ * Should a failed attempt be retried?
+ * error.retryable (set by adapters) overrides the status/code checks, but never the method check
+ */
+export function shouldRetry(policy, method, error) {
+  if (!error || error.retryable === false) {
+    return false;
+  }
+
+  if (!policy.methods.includes(String(method || 'GET').toUpperCase())) {
+    return false;
+  }
+
+  if (error.retryable === true) {
+    return true;
+  }
+
+  const status = error.response && error.response.status;
+  if (status) {
+    return policy.statusCodes.includes(status);
+  }
+
+  return Boolean(error.code) && policy.errorCodes.includes(String(error.code).toUpperCase());
+}
+
+/**
+ * Parse a Retry-After header (delta seconds or HTTP date) into milliseconds
+ */
+export function parseRetryAfter(error) {
+  const headers = error && error.response && error.response.headers;
+  const value = headers && (typeof headers.get === 'function' ? headers.get('retry-after') : headers['retry-after']);
+
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(seconds * 1000, 0);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
+}
+
+/**
+ * Delay before the next attempt, or null when the retry should be abandoned
+ * Exponential backoff capped at maxDelayMs, with optional full jitter; Retry-After wins when honoured
+ */
+export function computeRetryDelay(policy, attempt, error) {
+  if (policy.respectRetryAfter) {
+    const retryAfter = parseRetryAfter(error);
+    if (retryAfter !== null) {
+      return retryAfter > policy.maxRetryAfterMs ? null : retryAfter;
+    }
+  }
+
+  const exponential = Math.min(policy.baseDelayMs * Math.pow(2, attempt - 1), policy.maxDelayMs);
+  return policy.jitter === 'full' ? Math.floor(Math.random() * exponential) : exponential;
+}
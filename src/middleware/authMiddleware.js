@@ -0,0 +1,72 @@
+import { authService } from '../services/authService.js';
+import { getAuthorizationError, FORBIDDEN_CODE } from '../utils/authorization.js';
+
+/**
+ * Require a valid access token: Authorization: Bearer <token>
+ * Tokens revoked via /auth/logout are rejected. The token claims are attached as req.user
+ */
+export const requireAuth = async (req, res, next) => {
+  const [scheme, token] = (req.headers.authorization || '').split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return res.status(401).json({
+      status: 'error',
+      message: 'Authorization header with a Bearer token is required'
+    });
+  }
+
+  try {
+    req.user = await authService.verifyAccessToken(token);
+  } catch (error) {
+    return res.status(401).json({
+      status: 'error',
+      message: `Invalid token: ${error.message}`
+    });
+  }
+
+  next();
+};
+
+// Express routing is case-insensitive, so the gate is too (/API/resolvers must not bypass it)
+function matchesPath(requestPath, prefixes) {
+  const lowerPath = requestPath.toLowerCase();
+  return prefixes.some(prefix => {
+    const lowerPrefix = prefix.toLowerCase().replace(/\/$/, '');
+    return lowerPath === lowerPrefix || lowerPath.startsWith(`${lowerPrefix}/`);
+  });
+}
+
+/**
+ * App-level gate applying requireAuth to the protected route groups
+ * - protectedPaths: path prefixes that require a token
+ * - publicPaths: path prefixes that never require one (wins over protectedPaths)
+ */
+export const authGate = ({ protectedPaths = [], publicPaths = [] } = {}) => {
+  return (req, res, next) => {
+    if (matchesPath(req.path, publicPaths) || !matchesPath(req.path, protectedPaths)) {
+      return next();
+    }
+
+    requireAuth(req, res, next);
+  };
+};
+
+/**
+ * Require an authorization policy { roles, scopes } from the authenticated caller (see utils/authorization.js)
+ * Use after requireAuth, denied callers get 403 with code FORBIDDEN
+ */
+export const requirePolicy = (policy) => {
+  return (req, res, next) => {
+    const reason = getAuthorizationError(policy, req.user || null);
+
+    if (reason) {
+      return res.status(403).json({
+        status: 'error',
+        message: `Access denied: ${reason}`,
+        code: FORBIDDEN_CODE
+      });
+    }
+
+    next();
+  };
+};
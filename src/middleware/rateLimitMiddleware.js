@@ -0,0 +1,96 @@
+import { createRateLimiter } from '../services/rateLimiter.js';
+import { authService } from '../services/authService.js';
+
+/**
+ * Rate limit middleware
+ * Options: the limiter options (algorithm, limit, windowMs, see services/rateLimiter.js) plus
+ * - keyBy: 'ip' (default), 'user' (req.user.id, or the id of a correctly signed Bearer token when the
+ *   limit runs before authentication, falls back to the IP), 'client' (API client header, falls back
+ *   to the IP) or a function (req) => key
+ * - clientHeader: header identifying the API client for keyBy 'client' (default x-client-id)
+ * - name: names the limiter, rules with different names count separately (default 'api')
+ *
+ * Sets RateLimit-Limit / RateLimit-Remaining / RateLimit-Reset / RateLimit-Policy headers
+ * and answers 429 with Retry-After once the limit is exceeded.
+ */
+
+// Caller of the request: set by requireAuth, else read from the Bearer token (revocation is not checked)
+function callerOf(req) {
+  if (req.user) {
+    return req.user;
+  }
+  const [scheme, token] = (req.headers.authorization || '').split(' ');
+  return scheme === 'Bearer' && token ? authService.readAccessToken(token) : null;
+}
+
+const KEY_FUNCTIONS = {
+  ip: req => `ip:${req.ip}`,
+  user: req => {
+    const caller = callerOf(req);
+    return caller && caller.id !== undefined ? `user:${caller.id}` : `ip:${req.ip}`;
+  },
+  client: (req, clientHeader) => {
+    const clientId = req.get(clientHeader);
+    return clientId ? `client:${clientId}` : `ip:${req.ip}`;
+  }
+};
+
+export const rateLimit = (options = {}) => {
+  const { keyBy = 'ip', clientHeader = 'x-client-id', name = 'api', ...limiterOptions } = options;
+  const limiter = createRateLimiter({ ...limiterOptions, prefix: `ratelimit:${name}` });
+  const keyOf = typeof keyBy === 'function' ? keyBy : KEY_FUNCTIONS[keyBy];
+
+  if (!keyOf) {
+    throw new Error(`Unknown rate limit keyBy '${keyBy}' (use ip, user, client or a function)`);
+  }
+
+  const policy = `${limiter.limit};w=${Math.ceil(limiter.windowMs / 1000)}`;
+
+  return async (req, res, next) => {
+    const result = await limiter.consume(keyOf(req, clientHeader));
+
+    res.set({
+      'RateLimit-Limit': String(result.limit),
+      'RateLimit-Remaining': String(result.remaining),
+      'RateLimit-Reset': String(Math.ceil(result.resetMs / 1000)),
+      'RateLimit-Policy': policy
+    });
+
+    if (!result.allowed) {
+      res.set('Retry-After', String(Math.max(Math.ceil(result.retryAfterMs / 1000), 1)));
+      return res.status(429).json({
+        status: 'error',
+        message: 'Too many requests, please retry later',
+        code: 'RATE_LIMITED'
+      });
+    }
+
+    next();
+  };
+};
+
+/**
+ * App-level rate limiting for route groups: each rule is rateLimit options plus
+ * paths (path prefixes it applies to, default ['/api'])
+ */
+export const rateLimitGate = (rules) => {
+  const limiters = rules.map(({ paths = ['/api'], ...options }, index) => ({
+    paths: paths.map(prefix => prefix.toLowerCase().replace(/\/$/, '')),
+    middleware: rateLimit({ name: options.name || `rule${index}`, ...options })
+  }));
+
+  return (req, res, next) => {
+    const lowerPath = req.path.toLowerCase();
+    const matching = limiters.filter(({ paths }) =>
+      paths.some(prefix => lowerPath === prefix || lowerPath.startsWith(`${prefix}/`)));
+
+    // Run the matching rules one after the other, the first exceeded one answers 429
+    const run = (index) => {
+      if (index >= matching.length) {
+        return next();
+      }
+      matching[index].middleware(req, res, () => run(index + 1)).catch(next);
+    };
+    run(0);
+  };
+};
@@ -0,0 +1,14 @@
+/**
+ * Only allow raw (client-posted) resolver configs when explicitly enabled,
+ * via createApp({ allowRawResolvers: true }) or ALLOW_RAW_RESOLVERS=true (development only)
+ */
+export const requireRawResolvers = (req, res, next) => {
+  if (!req.app.locals.allowRawResolvers) {
+    return res.status(403).json({
+      status: 'error',
+      message: 'Raw resolver execution is disabled. Invoke a named resolver with POST /api/resolvers/:name'
+    });
+  }
+
+  next();
+};
@@ -0,0 +1,15 @@
+import { randomUUID } from 'crypto';
+
+// Accept caller supplied ids only when they are short and plain
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+/**
+ * Give every request an id (req.id): the inbound X-Request-Id when valid, else a new UUID
+ * The id is echoed in the X-Request-Id response header
+ */
+export const requestId = (req, res, next) => {
+  const inboundId = req.get('x-request-id');
+  req.id = inboundId && REQUEST_ID_PATTERN.test(inboundId) ? inboundId : randomUUID();
+  res.set('X-Request-Id', req.id);
+  next();
+};
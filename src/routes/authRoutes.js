@@ -2,6 +2,7 @@ import express from 'express';
 import { authController } from '../controllers/authController.js';
 import { loginSchema, registerSchema, refreshTokenSchema } from '../validators/loginValidator.js';
 import { validateRequest } from '../middleware/validationMiddleware.js';
+import { requireAuth } from '../middleware/authMiddleware.js';
 
 const router = express.Router();
 
@@ -9,6 +10,7 @@ const router = express.Router();
 router.post('/login', validateRequest(loginSchema), authController.login);
 router.post('/register', validateRequest(registerSchema), authController.register);
 router.post('/logout', authController.logout);
+router.post('/logout-all', requireAuth, authController.logoutAll);
 router.post('/refresh-token', validateRequest(refreshTokenSchema), authController.refreshToken);
 
 export default router;
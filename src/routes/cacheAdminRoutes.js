@@ -0,0 +1,32 @@
+import express from 'express';
+import { cacheController } from '../controllers/cacheController.js';
+import { cachePurgeSchema } from '../validators/cacheValidator.js';
+import { validateRequest } from '../middleware/validationMiddleware.js';
+import { requireAuth, requirePolicy } from '../middleware/authMiddleware.js';
+
+/**
+ * Cache Administration Routes, mounted at /api/admin/cache
+ * Every route requires a Bearer token satisfying the admin policy (default: role admin),
+ * also when createApp({ auth: false }) disables the /api auth gate
+ *
+ * GET    /api/admin/cache/stats       - Counters, Redis connection state and LRU usage
+ * DELETE /api/admin/cache/stats       - Reset the counters
+ * GET    /api/admin/cache/keys/:key   - Look up a key with its TTL
+ * DELETE /api/admin/cache/keys/:key   - Delete a key
+ * POST   /api/admin/cache/purge       - Delete every key matching { pattern } or stored with { tag }
+ */
+export function createCacheAdminRouter({ roles = ['admin'], scopes = [] } = {}) {
+  const router = express.Router();
+
+  router.use(requireAuth, requirePolicy({ roles, scopes }));
+
+  router.get('/stats', cacheController.stats);
+  router.delete('/stats', cacheController.resetStats);
+  router.get('/keys/:key', cacheController.getKey);
+  router.delete('/keys/:key', cacheController.deleteKey);
+  router.post('/purge', validateRequest(cachePurgeSchema), cacheController.purge);
+
+  return router;
+}
+
+export default createCacheAdminRouter;
@@ -10,6 +10,7 @@ const router = express.Router();
  * DataSource Routes (AppSync-like plugin architecture)
  * 
  * GET  /datasources - List all available datasources
+ * GET  /datasources/:name/health - Check a datasource via its type adapter
  * POST /datasources/call - Call a specific datasource
  * POST /datasources/register - Register new datasource at runtime
  * POST /datasources/unregister - Unregister a datasource
@@ -18,6 +19,9 @@ const router = express.Router();
 // List all datasources
 router.get('/datasources', dataSourceController.list);
 
+// Check datasource health
+router.get('/datasources/:name/health', dataSourceController.health);
+
 // Call a datasource with resolver technique
 // router.get('/resolver', resolverController.execute);
 
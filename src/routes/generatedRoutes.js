@@ -0,0 +1,121 @@
+import express from 'express';
+import { resolverController } from '../controllers/resolverController.js';
+
+/**
+ * Generated Routes
+ * REST endpoints declared by named resolvers, mounted under /api by createApp
+ *
+ * A resolver definition with http: { method: 'GET', path: '/users/:id/dashboard' }
+ * is served at GET /api/users/:id/dashboard
+ */
+
+// Path prefixes owned by the built-in /api routers, no generated route may match a path under them
+const RESERVED_PREFIXES = ['/resolvers', '/resolverss', '/datasources', '/admin/cache'];
+
+/**
+ * Route signature used for conflict detection: method plus the path with parameter
+ * names dropped (/users/:id and /users/:userId match the same requests)
+ */
+function routeSignature(route) {
+  const normalizedPath = route.path
+    .toLowerCase()
+    .replace(/:[A-Za-z0-9_]+/g, ':param')
+    .replace(/\/+$/, '') || '/';
+  return `${route.method} ${normalizedPath}`;
+}
+
+function pathSegments(routePath) {
+  return routePath.toLowerCase().split('/').filter(Boolean);
+}
+
+/**
+ * Whether a path segment can match the same value as another one: a segment with a
+ * parameter (:id, :name.json) is matched as a pattern against a static one, two segments
+ * with parameters are assumed to overlap
+ */
+function segmentsOverlap(a, b) {
+  if (a === b) {
+    return true;
+  }
+  const [pattern, value] = a.includes(':') ? [a, b] : [b, a];
+  if (!pattern.includes(':')) {
+    return false;
+  }
+  if (value.includes(':')) {
+    return true;
+  }
+  const source = pattern
+    .split(/:[A-Za-z0-9_]+/)
+    .map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+    .join('[^/]+');
+  return new RegExp(`^${source}$`).test(value);
+}
+
+/**
+ * Whether two routes of the same method can match the same request, like
+ * GET /users/:id and GET /users/me
+ */
+function routesOverlap(a, b) {
+  const aSegments = pathSegments(a.path);
+  const bSegments = pathSegments(b.path);
+  return a.method === b.method
+    && aSegments.length === bSegments.length
+    && aSegments.every((segment, index) => segmentsOverlap(segment, bSegments[index]));
+}
+
+function isReservedPath(routePath) {
+  const segments = pathSegments(routePath);
+  return RESERVED_PREFIXES.some(prefix => {
+    const reserved = pathSegments(prefix);
+    return segments.length >= reserved.length
+      && reserved.every((segment, index) => segmentsOverlap(segment, segments[index]));
+  });
+}
+
+/**
+ * Throw when two resolvers declare the same route, two routes can match the same request
+ * (a parameter and a static segment, whichever is mounted first would win) or a route
+ * shadows a built-in one
+ */
+export function detectRouteConflicts(resolvers) {
+  const seen = new Map();
+  const mounted = [];
+
+  resolvers.forEach(({ name, route }) => {
+    if (isReservedPath(route.path)) {
+      throw new Error(`Route ${route.method} /api${route.path} of resolver '${name}' conflicts with a built-in route`);
+    }
+
+    const signature = routeSignature(route);
+    if (seen.has(signature)) {
+      throw new Error(`Route ${route.method} /api${route.path} is declared by both '${seen.get(signature)}' and '${name}'`);
+    }
+    seen.set(signature, name);
+
+    const overlapping = mounted.find(other => routesOverlap(other.route, route));
+    if (overlapping) {
+      throw new Error(
+        `Route ${route.method} /api${route.path} of resolver '${name}' overlaps ` +
+        `${overlapping.route.method} /api${overlapping.route.path} of resolver '${overlapping.name}'`
+      );
+    }
+    mounted.push({ name, route });
+  });
+}
+
+/**
+ * Build a router with one route per resolver declaring http: { method, path }
+ */
+export function createGeneratedRouter(resolvers) {
+  detectRouteConflicts(resolvers);
+
+  const router = express.Router();
+
+  resolvers.forEach(resolver => {
+    const { method, path } = resolver.route;
+    router[method.toLowerCase()](path, resolverController.route(resolver));
+    console.log(`✓ Route mounted: ${method} /api${path} -> ${resolver.name}`);
+  });
+
+  return router;
+}
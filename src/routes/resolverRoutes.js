@@ -2,6 +2,7 @@ import express from 'express';
 import { resolverController } from '../controllers/resolverController.js';
 import { resolverSchema } from '../validators/resolverValidator.js';
 import { validateRequest } from '../middleware/validationMiddleware.js';
+import { requireRawResolvers } from '../middleware/rawResolverMiddleware.js';
 
 const router = express.Router();
 
@@ -9,18 +10,26 @@ const router = express.Router();
  * Resolver Routes
  * AppSync-like unit and pipeline resolver endpoints
  * 
- * POST  /api/resolvers        - Execute resolver (unit or pipeline)
- * POST  /api/resolvers/test   - Test resolver (no caching)
+ * GET   /api/resolvers        - List named resolvers
+ * POST  /api/resolvers/:name  - Invoke a named resolver with input arguments
+ * POST  /api/resolverss       - Execute raw resolver config (development mode only)
+ * POST  /api/resolvers/test   - Test raw resolver config, no caching (development mode only)
  * GET   /api/resolvers/docs   - Resolver documentation
  */
 
 // Execute resolver (unit or pipeline)
-router.post('/resolverss', validateRequest(resolverSchema), resolverController.execute);
+router.post('/resolverss', requireRawResolvers, validateRequest(resolverSchema), resolverController.execute);
 
 // Test resolver (for debugging, disables caching)
-router.post('/resolvers/test', validateRequest(resolverSchema), resolverController.test);
+router.post('/resolvers/test', requireRawResolvers, validateRequest(resolverSchema), resolverController.test);
 
 // Get resolver documentation
 router.get('/resolvers/docs', resolverController.docs);
 
+// List named resolvers
+router.get('/resolvers', resolverController.list);
+
+// Invoke a named resolver (registered after the fixed /resolvers/* routes)
+router.post('/resolvers/:name', resolverController.invoke);
+
 export default router;
@@ -1,73 +1,214 @@
 import jwt from 'jsonwebtoken';
+import { randomUUID } from 'crypto';
+import { MemoryUserStore } from '../stores/memoryUserStore.js';
+import { assertUserStore } from '../stores/userStore.js';
+import { authStateStore } from '../stores/ttlStore.js';
+import { hashPassword, verifyPassword, verifyLegacyPassword, needsRehash } from '../utils/passwordHasher.js';
 
-// Dummy users database (in production, this would be a real database)
-let dummyUsers = [
+// Demo users of the default in-memory store (in production, plug in a real store, see stores/userStore.js)
+// Their plaintext passwords are legacy records, replaced by an scrypt hash on first login
+const dummyUsers = [
   {
     id: 1,
     username: 'admin',
     password: 'password123',
     email: 'admin@example.com',
-    name: 'Administrator'
+    name: 'Administrator',
+    roles: ['admin', 'user'],
+    scopes: ['read', 'write', 'admin']
   },
   {
     id: 2,
     username: 'user',
     password: 'userpass456',
     email: 'user@example.com',
-    name: 'Regular User'
+    name: 'Regular User',
+    roles: ['user'],
+    scopes: ['read', 'write']
   },
   {
     id: 3,
     username: 'test',
     password: 'testpass789',
     email: 'test@example.com',
-    name: 'Test User'
+    name: 'Test User',
+    roles: ['user'],
+    scopes: ['read']
   }
 ];
 
-// Token blacklist (in production, use Redis or database)
-const tokenBlacklist = new Set();
+let userStore = new MemoryUserStore(dummyUsers);
+
+/**
+ * Check a login password against the stored user
+ * Returns { valid, rehash } where rehash is true for legacy plaintext or outdated hashes
+ */
+async function checkPassword(user, password) {
+  if (user.passwordHash) {
+    const valid = await verifyPassword(password, user.passwordHash);
+    return { valid, rehash: valid && needsRehash(user.passwordHash) };
+  }
+
+  const valid = verifyLegacyPassword(password, user.password);
+  return { valid, rehash: valid };
+}
 
 const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-in-production';
 const JWT_EXPIRY = process.env.JWT_EXPIRY || '24h';
 const REFRESH_TOKEN_SECRET = process.env.REFRESH_TOKEN_SECRET || 'your-super-secret-refresh-key-change-in-production';
 const REFRESH_TOKEN_EXPIRY = process.env.REFRESH_TOKEN_EXPIRY || '7d';
 
+// Roles and scopes of users that have none stored
+const DEFAULT_ROLES = ['user'];
+const DEFAULT_SCOPES = ['read'];
+
+// Lifetime in seconds of a '24h' / '7d' style expiry, parsed the way jsonwebtoken does
+function lifetimeOf(expiresIn) {
+  const { iat, exp } = jwt.decode(jwt.sign({}, 'lifetime', { expiresIn }));
+  return exp - iat;
+}
+
+// Revocation state must outlive every token it applies to
+const MAX_TOKEN_LIFETIME = Math.max(lifetimeOf(JWT_EXPIRY), lifetimeOf(REFRESH_TOKEN_EXPIRY));
+
+/**
+ * Per-user token version, bumped by logout-all. Tokens carry the version they were issued
+ * with (ver claim) and stop working once it changes. The counter is kept for as long as a
+ * token issued with it may live, so an expired counter (version 0) never revives old tokens.
+ */
+async function getTokenVersion(userId) {
+  return Number(await authStateStore.get(`token-version:${userId}`)) || 0;
+}
+
+/**
+ * Remaining lifetime of a verified token in seconds
+ */
+function remainingLifetime(decoded) {
+  return decoded.exp - Date.now() / 1000;
+}
+
+/**
+ * Access token with the user's claims (roles and scopes drive resolver authorization)
+ */
+function signAccessToken(user, version) {
+  return jwt.sign(
+    {
+      id: user.id,
+      username: user.username,
+      email: user.email,
+      roles: user.roles || DEFAULT_ROLES,
+      scopes: user.scopes || DEFAULT_SCOPES,
+      ver: version
+    },
+    JWT_SECRET,
+    { expiresIn: JWT_EXPIRY, jwtid: randomUUID() }
+  );
+}
+
+/**
+ * Refresh tokens rotate on every use. Tokens issued from one login form a family (fam claim)
+ * whose state { userId, currentJti, revoked } lives in the auth state store until the
+ * family's last refresh token expires. Only the family's current jti is accepted.
+ *
+ * rotatedJti: jti of the refresh token being exchanged. The family moves on from it with a
+ * compare-and-set, so of two requests presenting the same token only one gets a new one;
+ * resolves to null for the other (or when the family was revoked meanwhile).
+ */
+async function issueRefreshToken(user, familyId, version, rotatedJti = null) {
+  const jti = randomUUID();
+  const refreshToken = jwt.sign(
+    {
+      id: user.id,
+      username: user.username,
+      fam: familyId,
+      ver: version
+    },
+    REFRESH_TOKEN_SECRET,
+    { expiresIn: REFRESH_TOKEN_EXPIRY, jwtid: jti }
+  );
+
+  const { exp } = jwt.decode(refreshToken);
+  const familyKey = `refresh-family:${familyId}`;
+  const family = { userId: user.id, currentJti: jti, revoked: false };
+
+  if (rotatedJti === null) {
+    await authStateStore.set(familyKey, family, exp - Date.now() / 1000);
+    return refreshToken;
+  }
+
+  const rotated = await authStateStore.compareAndSet(
+    familyKey,
+    { currentJti: rotatedJti, revoked: false },
+    family,
+    exp - Date.now() / 1000
+  );
+  return rotated ? refreshToken : null;
+}
+
+/**
+ * Access and refresh token pair of a user, tagged with the current token version
+ * Resolves to null when the rotation of rotatedJti lost a race (see issueRefreshToken)
+ */
+async function issueTokens(user, familyId, rotatedJti = null) {
+  const version = await getTokenVersion(user.id);
+  if (version > 0) {
+    await authStateStore.touch(`token-version:${user.id}`, MAX_TOKEN_LIFETIME);
+  }
+
+  const refreshToken = await issueRefreshToken(user, familyId, version, rotatedJti);
+  if (!refreshToken) {
+    return null;
+  }
+
+  return {
+    accessToken: signAccessToken(user, version),
+    refreshToken
+  };
+}
+
+/**
+ * A refresh token was presented after it had been rotated: it may have been stolen,
+ * revoke the whole family (every refresh token issued from that login) and reject the request
+ */
+async function rejectTokenReuse(familyKey, family, decoded) {
+  await authStateStore.set(familyKey, { ...family, revoked: true }, remainingLifetime(decoded));
+  console.warn(`⚠ Refresh token reuse detected for user ${decoded.id}, token family revoked`);
+  throw new Error('Refresh token reuse detected, please log in again');
+}
+
 // Auth Service - Contains business logic for authentication
 export const authService = {
+  /**
+   * Replace the user store (see stores/userStore.js)
+   */
+  setUserStore: (store) => {
+    userStore = assertUserStore(store);
+  },
+
+  getUserStore: () => userStore,
+
   login: async (username, password) => {
     try {
-      // 1. Query dummy user database for user
-      const user = dummyUsers.find(u => u.username === username);
+      // 1. Look the user up in the user store
+      const user = await userStore.findByUsername(username);
 
       if (!user) {
         throw new Error('User not found');
       }
 
-      // 2. Validate password (in production, compare with hashed password)
-      if (user.password !== password) {
+      // 2. Validate password against the stored hash
+      const { valid, rehash } = await checkPassword(user, password);
+      if (!valid) {
         throw new Error('Invalid password');
       }
 
-      // 3. Generate JWT tokens with production quality
-      const accessToken = jwt.sign(
-        {
-          id: user.id,
-          username: user.username,
-          email: user.email
-        },
-        JWT_SECRET,
-        { expiresIn: JWT_EXPIRY }
-      );
+      // Upgrade legacy plaintext / outdated hashes now that the password is known
+      if (rehash) {
+        await userStore.update(user.id, { passwordHash: await hashPassword(password), password: undefined });
+      }
 
-      const refreshToken = jwt.sign(
-        {
-          id: user.id,
-          username: user.username
-        },
-        REFRESH_TOKEN_SECRET,
-        { expiresIn: REFRESH_TOKEN_EXPIRY }
-      );
+      // 3. Generate JWT tokens, the refresh token starts a new token family
+      const { accessToken, refreshToken } = await issueTokens(user, randomUUID());
 
       // 4. Return user data and tokens in response
       return {
@@ -91,23 +232,21 @@ export const authService = {
   register: async (username, password, email, name) => {
     try {
       // 1. Check if user already exists
-      const existingUser = dummyUsers.find(u => u.username === username || u.email === email);
+      const existingUser = (await userStore.findByUsername(username)) || (await userStore.findByEmail(email));
 
       if (existingUser) {
         throw new Error('User already exists');
       }
 
-      // 2. Create new user (in production, hash password and save to database)
-      const newUser = {
-        id: dummyUsers.length + 1,
+      // 2-3. Hash the password and save the user (the store assigns the id)
+      const newUser = await userStore.create({
         username: username,
-        password: password, // In production, hash this!
+        passwordHash: await hashPassword(password),
         email: email,
-        name: name
-      };
-
-      // 3. Add user to dummy database
-      dummyUsers.push(newUser);
+        name: name,
+        roles: DEFAULT_ROLES,
+        scopes: DEFAULT_SCOPES
+      });
 
       // 4. Return success response
       return {
@@ -125,15 +264,26 @@ export const authService = {
     }
   },
 
-  logout: async (token) => {
+  /**
+   * Revoke an access token (by jti, until it expires) and optionally the family of a refresh token
+   */
+  logout: async (token, refreshToken = null) => {
     try {
-      // 1. Verify token is valid
-      const decoded = jwt.verify(token, JWT_SECRET);
+      // 1. Verify token is valid (and not revoked already)
+      const decoded = await authService.verifyAccessToken(token);
 
-      // 2. Add token to blacklist (in production, store in Redis with TTL)
-      tokenBlacklist.add(token);
+      // 2. Revoke the token for the rest of its lifetime
+      await authStateStore.set(`revoked:${decoded.jti}`, true, remainingLifetime(decoded));
 
-      // 3. Return success response
+      // 3. End the refresh token family of this session as well
+      if (refreshToken) {
+        const refreshDecoded = jwt.verify(refreshToken, REFRESH_TOKEN_SECRET);
+        if (String(refreshDecoded.id) === String(decoded.id) && refreshDecoded.fam) {
+          await authStateStore.set(`refresh-family:${refreshDecoded.fam}`, { userId: decoded.id, revoked: true }, remainingLifetime(refreshDecoded));
+        }
+      }
+
+      // 4. Return success response
       return {
         success: true,
         message: 'Logout successful'
@@ -143,31 +293,101 @@ export const authService = {
     }
   },
 
+  /**
+   * Revoke every access and refresh token of a user (logout everywhere)
+   */
+  logoutAll: async (userId) => {
+    try {
+      const version = await authStateStore.increment(`token-version:${userId}`, MAX_TOKEN_LIFETIME);
+
+      return {
+        success: true,
+        tokenVersion: version,
+        message: 'Logged out from all sessions'
+      };
+    } catch (error) {
+      throw new Error(`Logout failed: ${error.message}`);
+    }
+  },
+
+  /**
+   * Claims of a correctly signed, unexpired access token, null otherwise
+   * Skips the revocation checks (no store lookup), so it only suits uses like keying rate limits
+   */
+  readAccessToken: (token) => {
+    try {
+      return jwt.verify(token, JWT_SECRET);
+    } catch (error) {
+      return null;
+    }
+  },
+
+  /**
+   * Verify an access token and return its claims
+   * Rejects expired tokens, tokens revoked via logout and tokens of an older token version
+   */
+  verifyAccessToken: async (token) => {
+    // 1. Verify signature and expiry
+    const decoded = jwt.verify(token, JWT_SECRET);
+
+    if (!decoded.jti) {
+      throw new Error('Token has no jti claim, please log in again');
+    }
+
+    // 2. Reject tokens revoked via logout or logout-all
+    if (await authStateStore.get(`revoked:${decoded.jti}`)) {
+      throw new Error('Token has been revoked');
+    }
+
+    if ((decoded.ver || 0) !== (await getTokenVersion(decoded.id))) {
+      throw new Error('Token has been revoked');
+    }
+
+    return decoded;
+  },
+
   refreshToken: async (refreshToken) => {
     try {
-      // 1. Check if token is blacklisted (revoked)
-      if (tokenBlacklist.has(refreshToken)) {
+      // 1-2. Verify refresh token
+      const decoded = jwt.verify(refreshToken, REFRESH_TOKEN_SECRET);
+      if (!decoded.jti || !decoded.fam) {
+        throw new Error('Refresh token is not part of a token family, please log in again');
+      }
+
+      // Tokens issued before a logout-all are revoked
+      if ((decoded.ver || 0) !== (await getTokenVersion(decoded.id))) {
         throw new Error('Token has been revoked');
       }
 
-      // 2. Verify refresh token
-      const decoded = jwt.verify(refreshToken, REFRESH_TOKEN_SECRET);
+      // 3. Only the family's current token is valid
+      const familyKey = `refresh-family:${decoded.fam}`;
+      const family = await authStateStore.get(familyKey);
 
-      // 3. Generate new access token
-      const newAccessToken = jwt.sign(
-        {
-          id: decoded.id,
-          username: decoded.username,
-          email: decoded.email
-        },
-        JWT_SECRET,
-        { expiresIn: JWT_EXPIRY }
-      );
+      if (!family || family.revoked) {
+        throw new Error('Token has been revoked');
+      }
+
+      if (family.currentJti !== decoded.jti) {
+        await rejectTokenReuse(familyKey, family, decoded);
+      }
+
+      // 4. Load the user so the new access token carries all claims
+      const user = await userStore.findByUsername(decoded.username);
+      if (!user || String(user.id) !== String(decoded.id)) {
+        throw new Error('User not found');
+      }
+
+      // 5. Rotate: new access token and a new refresh token in the same family. A concurrent
+      //    request that rotated the same token first makes this one a reuse
+      const tokens = await issueTokens(user, decoded.fam, decoded.jti);
+      if (!tokens) {
+        await rejectTokenReuse(familyKey, family, decoded);
+      }
 
-      // 4. Return new access token
       return {
         success: true,
-        accessToken: newAccessToken,
+        accessToken: tokens.accessToken,
+        refreshToken: tokens.refreshToken,
         expiresIn: JWT_EXPIRY,
         message: 'Token refreshed successfully'
       };
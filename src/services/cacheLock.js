@@ -0,0 +1,78 @@
+import { randomUUID } from 'crypto';
+import { getRedisClient } from './cacheService.js';
+
+/**
+ * Cache Lock
+ * Short Redis locks (SET NX PX) letting one BFF instance refresh a cache entry while the others wait
+ * for its result instead of calling the upstream too. Locks expire on their own, so a crashed holder
+ * delays the others by at most the lock TTL. Without Redis there is no other instance to wait for
+ * and every lock is granted.
+ */
+
+// Delete the lock only while it still holds our token (it may have expired and been taken since)
+const RELEASE_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('DEL', KEYS[1])
+end
+return 0
+`;
+
+const POLL_INTERVAL_MS = 50;
+
+const noop = async () => {};
+
+/**
+ * Try to take the lock for ttlMs
+ * Resolves to { acquired, release() }
+ */
+export async function acquireLock(name, ttlMs) {
+  const client = getRedisClient();
+  if (!client) {
+    return { acquired: true, release: noop };
+  }
+
+  const token = randomUUID();
+  try {
+    const reply = await client.set(name, token, { NX: true, PX: ttlMs });
+    if (reply !== 'OK') {
+      return { acquired: false, release: noop };
+    }
+  } catch (error) {
+    console.warn(`⚠ Cache lock ${name} unavailable: ${error.message}`);
+    return { acquired: true, release: noop };
+  }
+
+  return {
+    acquired: true,
+    release: async () => {
+      try {
+        await client.eval(RELEASE_SCRIPT, { keys: [name], arguments: [token] });
+      } catch (error) {
+        console.warn(`⚠ Error releasing cache lock ${name}: ${error.message}`);
+      }
+    }
+  };
+}
+
+/**
+ * Wait until the lock is released or expired, for at most timeoutMs
+ */
+export async function waitForLock(name, timeoutMs) {
+  const deadline = Date.now() + timeoutMs;
+
+  while (Date.now() < deadline) {
+    const client = getRedisClient();
+    if (!client) {
+      return;
+    }
+
+    await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL_MS));
+    try {
+      if (!(await client.exists(name))) {
+        return;
+      }
+    } catch (error) {
+      return;
+    }
+  }
+}
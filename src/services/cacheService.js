@@ -1,16 +1,194 @@
 import redis from 'redis';
+import { randomUUID } from 'crypto';
+import { LruCache } from '../utils/lruCache.js';
+import { recordCacheEvent } from './cacheStats.js';
 
 /**
  * Cache Service - Manages Redis caching for datasource responses
  * Functional approach with connection pooling and TTL support
+ *
+ * Two tiers: a bounded in-process LRU (CACHE_LRU_MAX_ENTRIES / CACHE_LRU_MAX_BYTES) in front of Redis.
+ * Hits in the LRU skip the network round trip and JSON.parse, and the LRU keeps serving while Redis
+ * is down. Sets, deletes and pattern clears are broadcast over Redis pub/sub so other instances drop
+ * their local copies.
+ *
+ * Every entry is stored in Redis under CACHE_KEY_PREFIX (default "cache:"). Keys and patterns passed
+ * to this module are always relative to it, so no cache key, invalidation pattern or admin call can
+ * reach the user store, auth state or rate limiter keys kept in the same Redis database.
+ *
+ * Entries can be tagged when they are set. Each tag is a Redis set of the keys it was given to
+ * (kept as long as its longest-lived entry), purgeCacheByTag deletes them all at once.
+ *
+ * Hits, misses, sets, deletes, errors and LRU evictions are counted per key prefix (see cacheStats.js).
  */
 
 let redisClient = null;
+let subscriberClient = null;
 let isRedisConnected = false;
-const defaultTTL = parseInt(process.env.CACHE_TTL) || 3600; // 1 hour default
+
+export const DEFAULT_CACHE_TTL = parseInt(process.env.CACHE_TTL) || 3600; // 1 hour default
+
+const localCache = new LruCache({
+  maxEntries: parseInt(process.env.CACHE_LRU_MAX_ENTRIES) || 1000,
+  maxBytes: parseInt(process.env.CACHE_LRU_MAX_BYTES) || 50 * 1024 * 1024,
+  onEvict: key => recordCacheEvent(key, 'evictions'),
+  onDelete: key => untagLocally(key)
+});
+
+export const CACHE_KEY_PREFIX = process.env.CACHE_KEY_PREFIX || 'cache:';
+
+// Redis key of a cache entry
+function redisKey(key) {
+  return `${CACHE_KEY_PREFIX}${key}`;
+}
+
+// Redis glob of a cache pattern, the prefix itself is matched literally
+function redisPattern(pattern) {
+  return `${CACHE_KEY_PREFIX.replace(/[*?[\]\\]/g, '\\$&')}${pattern}`;
+}
+
+// Redis set of the keys given a tag, outside the key space of cache keys and patterns
+function redisTagKey(tag) {
+  return `${CACHE_KEY_PREFIX.replace(/:$/, '')}-tags:${tag}`;
+}
+
+// Add the key to the tag set and extend the set's TTL to the entry's when it is shorter
+const TAG_SCRIPT = `
+redis.call('SADD', KEYS[1], ARGV[1])
+if redis.call('TTL', KEYS[1]) < tonumber(ARGV[2]) then
+  redis.call('EXPIRE', KEYS[1], ARGV[2])
+end
+return 1
+`;
+
+// Tagged keys of the in-process tier (tag → Set of keys) and the tags of each key. Keys leave the
+// index when the LRU drops them, so it never holds more than the LRU does
+const localTags = new Map();
+const localKeyTags = new Map();
+
+function tagLocally(key, tags) {
+  if (tags.length === 0) {
+    return;
+  }
+  localKeyTags.set(key, tags);
+  tags.forEach(tag => {
+    let keys = localTags.get(tag);
+    if (!keys) {
+      keys = new Set();
+      localTags.set(tag, keys);
+    }
+    keys.add(key);
+  });
+}
+
+function untagLocally(key) {
+  const tags = localKeyTags.get(key);
+  if (!tags) {
+    return;
+  }
+  localKeyTags.delete(key);
+  tags.forEach(tag => {
+    const keys = localTags.get(tag);
+    if (keys) {
+      keys.delete(key);
+      if (keys.size === 0) {
+        localTags.delete(tag);
+      }
+    }
+  });
+}
+
+function purgeLocalTag(tag, keys = []) {
+  const tagged = new Set([...(localTags.get(tag) || []), ...keys]);
+  localTags.delete(tag);
+
+  let cleared = 0;
+  tagged.forEach(key => {
+    if (localCache.delete(key)) {
+      cleared++;
+    }
+  });
+  return cleared;
+}
+
+// Keys requested per SCAN page when clearing by pattern
+const SCAN_COUNT = parseInt(process.env.CACHE_SCAN_COUNT) || 500;
+
+const INVALIDATION_CHANNEL = process.env.CACHE_INVALIDATION_CHANNEL || 'bff:cache:invalidate';
+// Identifies this instance so it ignores its own invalidation messages
+const instanceId = randomUUID();
+
+/**
+ * Tell the other instances to drop local copies ({ key }, { pattern } or { tag, keys })
+ */
+async function publishInvalidation(message) {
+  if (!isRedisConnected || !redisClient) {
+    return;
+  }
+
+  try {
+    await redisClient.publish(INVALIDATION_CHANNEL, JSON.stringify({ ...message, origin: instanceId }));
+  } catch (error) {
+    console.warn('⚠ Error publishing cache invalidation:', error.message);
+  }
+}
+
+function handleInvalidation(raw) {
+  try {
+    const message = JSON.parse(raw);
+    if (message.origin === instanceId) {
+      return;
+    }
+    if (message.tag) {
+      purgeLocalTag(message.tag, message.keys);
+    } else if (message.pattern) {
+      localCache.deleteByPattern(message.pattern);
+    } else if (message.key) {
+      localCache.delete(message.key);
+    }
+  } catch (error) {
+    console.warn('⚠ Ignoring invalid cache invalidation message:', error.message);
+  }
+}
+
+/**
+ * Subscribe to invalidations from other instances (once, the subscriber reconnects on its own)
+ * Messages missed while disconnected cannot be replayed, so the LRU is cleared on reconnect
+ */
+async function subscribeToInvalidations() {
+  if (subscriberClient) {
+    return;
+  }
+
+  subscriberClient = redisClient.duplicate();
+  let disconnected = false;
+
+  subscriberClient.on('error', (err) => {
+    console.warn('⚠ Cache invalidation subscriber error:', err.message);
+    disconnected = true;
+  });
+
+  subscriberClient.on('ready', () => {
+    if (disconnected) {
+      localCache.clear();
+      disconnected = false;
+    }
+  });
+
+  try {
+    await subscriberClient.connect();
+    await subscriberClient.subscribe(INVALIDATION_CHANNEL, handleInvalidation);
+  } catch (error) {
+    console.warn('⚠ Cache invalidation subscriber not available:', error.message);
+    subscriberClient = null;
+  }
+}
 
 /**
  * Initialize Redis connection
+ * Resolves once the first connection attempt has succeeded or failed. After a failure the client keeps
+ * reconnecting in the background and only the in-process cache is used until Redis is ready; the
+ * invalidation subscriber is started on the first 'ready', whenever it happens.
  */
 export async function initializeRedis() {
   try {
@@ -22,55 +200,92 @@ export async function initializeRedis() {
       isRedisConnected = false;
     });
 
-    redisClient.on('connect', () => {
+    redisClient.on('ready', () => {
       console.log('✓ Connected to Redis');
       isRedisConnected = true;
+      subscribeToInvalidations();
     });
 
-    await redisClient.connect();
-    isRedisConnected = true;
+    const connecting = redisClient.connect();
+    // Still pending while the client retries, rejected when it is disconnected before connecting
+    connecting.catch(() => {});
+    const firstError = new Promise((resolve, reject) => redisClient.once('error', reject));
+    await Promise.race([connecting, firstError]);
   } catch (error) {
-    console.warn('⚠ Redis connection not available, caching will be disabled:', error.message);
+    console.warn('⚠ Redis connection not available, only the in-process cache is used:', error.message);
     isRedisConnected = false;
   }
 }
 
 /**
- * Get cached data by key
+ * Get cached data by key (in-process LRU first, then Redis)
  */
 export async function getFromCache(key) {
+  const local = localCache.get(key);
+  if (local !== undefined) {
+    console.log(`✓ Cache hit (local): ${key}`);
+    recordCacheEvent(key, 'hits');
+    return local;
+  }
+
   if (!isRedisConnected || !redisClient) {
+    recordCacheEvent(key, 'misses');
     return null;
   }
 
   try {
-    const cached = await redisClient.get(key);
+    const [cached, ttlMs] = await redisClient.multi().get(redisKey(key)).pTTL(redisKey(key)).exec();
     if (cached) {
       console.log(`✓ Cache hit: ${key}`);
-      return JSON.parse(cached);
+      recordCacheEvent(key, 'hits');
+      const value = JSON.parse(cached);
+      // Keep the local copy no longer than Redis keeps the key
+      if (Number(ttlMs) > 0) {
+        localCache.set(key, value, Number(ttlMs) / 1000, Buffer.byteLength(cached));
+      }
+      return value;
     }
+    recordCacheEvent(key, 'misses');
     return null;
   } catch (error) {
     console.warn(`⚠ Error retrieving cache for ${key}:`, error.message);
+    recordCacheEvent(key, 'errors');
+    recordCacheEvent(key, 'misses');
     return null;
   }
 }
 
 /**
  * Set cached data with TTL
+ * tags: names purgeCacheByTag can later delete the entry by
  */
-export async function setInCache(key, value, ttl = defaultTTL) {
+export async function setInCache(key, value, ttl = DEFAULT_CACHE_TTL, { tags = [] } = {}) {
+  const serialized = JSON.stringify(value);
+  const storedLocally = localCache.set(key, value, ttl, Buffer.byteLength(serialized));
+  if (storedLocally) {
+    tagLocally(key, tags);
+  }
+
   if (!isRedisConnected || !redisClient) {
-    return false;
+    if (storedLocally) {
+      recordCacheEvent(key, 'sets');
+    }
+    return storedLocally;
   }
 
   try {
-    await redisClient.setEx(key, ttl, JSON.stringify(value));
+    await redisClient.setEx(redisKey(key), ttl, serialized);
+    for (const tag of tags) {
+      await redisClient.eval(TAG_SCRIPT, { keys: [redisTagKey(tag)], arguments: [key, String(ttl)] });
+    }
+    await publishInvalidation({ key });
     console.log(`✓ Cache set: ${key} (TTL: ${ttl}s)`);
+    recordCacheEvent(key, 'sets');
     return true;
   } catch (error) {
     console.warn(`⚠ Error setting cache for ${key}:`, error.message);
-    return false;
+    recordCacheEvent(key, 'errors');
+    return storedLocally;
   }
 }
 
@@ -78,45 +293,159 @@ export async function setInCache(key, value, ttl = defaultTTL) {
  * Delete cached data
  */
 export async function deleteFromCache(key) {
+  const deletedLocally = localCache.delete(key);
+
   if (!isRedisConnected || !redisClient) {
-    return false;
+    if (deletedLocally) {
+      recordCacheEvent(key, 'deletes');
+    }
+    return deletedLocally;
   }
 
   try {
-    const result = await redisClient.del(key);
-    if (result > 0) {
+    const result = await redisClient.del(redisKey(key));
+    await publishInvalidation({ key });
+    if (result > 0 || deletedLocally) {
       console.log(`✓ Cache deleted: ${key}`);
+      recordCacheEvent(key, 'deletes');
       return true;
     }
     return false;
   } catch (error) {
     console.warn(`⚠ Error deleting cache for ${key}:`, error.message);
+    recordCacheEvent(key, 'errors');
     return false;
   }
 }
 
 /**
- * Clear all cached data by pattern
+ * Clear all cached data by pattern (Redis glob relative to CACHE_KEY_PREFIX, e.g. "users:*")
+ * Keys are walked with incremental SCAN and unlinked page by page, so Redis is never blocked
  */
 export async function clearCacheByPattern(pattern) {
+  const clearedLocally = localCache.deleteByPattern(pattern) > 0;
+
   if (!isRedisConnected || !redisClient) {
-    return false;
+    return clearedLocally;
   }
 
   try {
-    const keys = await redisClient.keys(pattern);
-    if (keys.length > 0) {
-      await redisClient.del(keys);
-      console.log(`✓ Cache cleared: ${keys.length} keys matching ${pattern}`);
+    let cleared = 0;
+    for await (const keys of redisClient.scanIterator({ MATCH: redisPattern(pattern), COUNT: SCAN_COUNT })) {
+      if (keys.length > 0) {
+        cleared += Number(await redisClient.unlink(keys));
+      }
+    }
+    await publishInvalidation({ pattern });
+    if (cleared > 0) {
+      console.log(`✓ Cache cleared: ${cleared} keys matching ${pattern}`);
       return true;
     }
-    return false;
+    return clearedLocally;
   } catch (error) {
     console.warn(`⚠ Error clearing cache by pattern ${pattern}:`, error.message);
     return false;
   }
 }
 
+/**
+ * Delete every entry set with the tag
+ * Tagged keys are unlinked SCAN_COUNT at a time, then the tag itself
+ */
+export async function purgeCacheByTag(tag) {
+  const clearedLocally = purgeLocalTag(tag) > 0;
+
+  if (!isRedisConnected || !redisClient) {
+    return clearedLocally;
+  }
+
+  try {
+    const keys = await redisClient.sMembers(redisTagKey(tag));
+    // Local copies read from Redis are not in the local tag index
+    purgeLocalTag(tag, keys);
+    let cleared = 0;
+    for (let start = 0; start < keys.length; start += SCAN_COUNT) {
+      cleared += Number(await redisClient.unlink(keys.slice(start, start + SCAN_COUNT).map(redisKey)));
+    }
+    await redisClient.unlink(redisTagKey(tag));
+    await publishInvalidation({ tag, keys });
+    if (cleared > 0) {
+      console.log(`✓ Cache cleared: ${cleared} keys tagged ${tag}`);
+      return true;
+    }
+    return clearedLocally;
+  } catch (error) {
+    console.warn(`⚠ Error clearing cache by tag ${tag}:`, error.message);
+    return false;
+  }
+}
+
+/**
+ * Look up a key in both tiers without counting it as a hit or refreshing its LRU position
+ * Resolves to { key, found, value, ttlMs, local, redis } (ttlMs -1 when the Redis key never expires)
+ */
+export async function inspectCacheKey(key) {
+  const local = localCache.peek(key);
+  const result = {
+    key,
+    found: local !== undefined,
+    value: local ? local.value : null,
+    ttlMs: local ? local.ttlMs : null,
+    local: local !== undefined,
+    redis: false
+  };
+
+  if (!isRedisConnected || !redisClient) {
+    return result;
+  }
+
+  try {
+    const [cached, ttlMs] = await redisClient.multi().get(redisKey(key)).pTTL(redisKey(key)).exec();
+    if (cached !== null) {
+      return { ...result, found: true, value: JSON.parse(cached), ttlMs: Number(ttlMs), redis: true };
+    }
+    return result;
+  } catch (error) {
+    console.warn(`⚠ Error inspecting cache key ${key}:`, error.message);
+    return { ...result, error: error.message };
+  }
+}
+
+/**
+ * State of both tiers: Redis connection and in-process LRU usage
+ */
+export function getCacheInfo() {
+  return {
+    redis: { connected: isRedisConnected, keyPrefix: CACHE_KEY_PREFIX, invalidationChannel: INVALIDATION_CHANNEL },
+    local: {
+      entries: localCache.size,
+      bytes: localCache.bytes,
+      maxEntries: localCache.maxEntries,
+      maxBytes: localCache.maxBytes,
+      tags: localTags.size
+    },
+    defaultTtl: DEFAULT_CACHE_TTL
+  };
+}
+
+/**
+ * Would keys starting with this prefix fall inside the cache's key space (entries or tag sets)?
+ * Stores sharing the Redis database check their prefix with it, so cache calls can never reach their data
+ */
+export function overlapsCacheKeyspace(prefix) {
+  const tagPrefix = redisTagKey('');
+  return [CACHE_KEY_PREFIX, tagPrefix].some(reserved =>
+    String(prefix).startsWith(reserved) || reserved.startsWith(String(prefix)));
+}
+
+/**
+ * Get the shared Redis client (null when Redis is not connected)
+ * Used by stores that keep their data next to the cache
+ */
+export function getRedisClient() {
+  return isRedisConnected && redisClient ? redisClient : null;
+}
+
 /**
  * Check if Redis is connected
  */
@@ -128,9 +457,23 @@ export function isRedisConnectedStatus() {
  * Disconnect from Redis (call at app shutdown)
  */
 export async function disconnectRedis() {
+  if (subscriberClient) {
+    try {
+      await subscriberClient.quit();
+    } catch (error) {
+      console.error('Error disconnecting the cache invalidation subscriber:', error.message);
+    }
+    subscriberClient = null;
+  }
+
   if (redisClient) {
     try {
-      await redisClient.quit();
+      // A client still retrying its first connection has nothing to flush
+      if (redisClient.isReady) {
+        await redisClient.quit();
+      } else {
+        redisClient.destroy();
+      }
       isRedisConnected = false;
       console.log('✓ Disconnected from Redis');
     } catch (error) {
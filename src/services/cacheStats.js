@@ -0,0 +1,72 @@
+/**
+ * Cache Statistics
+ * In-process counters of this instance (reset on restart or with resetCacheStats):
+ *
+ * - byPrefix: per key prefix (first segment of the key, e.g. "resolver", "auto", "users"), counted by
+ *   cacheService: hits, misses, sets, deletes, errors (Redis failures) and evictions (LRU tier)
+ * - byResolver: per resolver ('raw' for raw configs), counted by resolverCache: hits (fresh or stale
+ *   entries served), stale (part of hits), misses, sets and errors (failed upstream calls)
+ */
+
+const PREFIX_COUNTERS = ['hits', 'misses', 'sets', 'deletes', 'errors', 'evictions'];
+const RESOLVER_COUNTERS = ['hits', 'stale', 'misses', 'sets', 'errors'];
+
+let byPrefix = new Map();
+let byResolver = new Map();
+let since = new Date();
+
+function increment(groups, name, counters, event) {
+  let group = groups.get(name);
+  if (!group) {
+    group = Object.fromEntries(counters.map(counter => [counter, 0]));
+    groups.set(name, group);
+  }
+  group[event]++;
+}
+
+function sumCounters(groups, counters) {
+  const totals = Object.fromEntries(counters.map(counter => [counter, 0]));
+  groups.forEach(group => counters.forEach(counter => {
+    totals[counter] += group[counter];
+  }));
+  return totals;
+}
+
+export function keyPrefix(key) {
+  return String(key).split(':')[0];
+}
+
+/**
+ * Count a cache operation on a key: hits, misses, sets, deletes, errors or evictions
+ */
+export function recordCacheEvent(key, event) {
+  increment(byPrefix, keyPrefix(key), PREFIX_COUNTERS, event);
+}
+
+/**
+ * Count a resolver cache outcome: hits, stale, misses, sets or errors
+ */
+export function recordResolverCacheEvent(resolverName, event) {
+  increment(byResolver, resolverName || 'raw', RESOLVER_COUNTERS, event);
+}
+
+/**
+ * Snapshot of the counters, hitRate = hits / (hits + misses) or null before any lookup
+ */
+export function getCacheStats() {
+  const totals = sumCounters(byPrefix, PREFIX_COUNTERS);
+  const lookups = totals.hits + totals.misses;
+
+  return {
+    since: since.toISOString(),
+    totals: { ...totals, hitRate: lookups > 0 ? totals.hits / lookups : null },
+    byPrefix: Object.fromEntries(byPrefix),
+    byResolver: Object.fromEntries(byResolver)
+  };
+}
+
+export function resetCacheStats() {
+  byPrefix = new Map();
+  byResolver = new Map();
+  since = new Date();
+}
@@ -0,0 +1,185 @@
+import { getRedisClient, isRedisConnectedStatus } from './cacheService.js';
+
+/**
+ * Rate Limiter
+ * Fixed-window and token-bucket limiters shared by all instances through Redis,
+ * with an in-memory fallback (per instance) while Redis is not connected.
+ *
+ * Options:
+ * - algorithm: 'fixed-window' (default) counts requests per window,
+ *              'token-bucket' allows bursts of `limit` and refills `limit` tokens per window
+ * - limit: requests per window (bucket capacity for token-bucket)
+ * - windowMs: window length in milliseconds (default 60000)
+ * - prefix: Redis key prefix of the limiter
+ *
+ * consume(key) resolves to { allowed, limit, remaining, resetMs, retryAfterMs }
+ */
+
+export const RATE_LIMITED_CODE = 'RATE_LIMITED';
+
+const ALGORITHMS = new Set(['fixed-window', 'token-bucket']);
+
+// Idle memory entries are swept every SWEEP_INTERVAL calls
+const SWEEP_INTERVAL = 1000;
+
+// Refill and take one token atomically, using the Redis clock so instances agree on time
+const TOKEN_BUCKET_SCRIPT = `
+local capacity = tonumber(ARGV[1])
+local rate = tonumber(ARGV[2])
+local ttl = tonumber(ARGV[3])
+local time = redis.call('TIME')
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+local state = redis.call('HMGET', KEYS[1], 'tokens', 'updatedAt')
+local tokens = tonumber(state[1]) or capacity
+local updatedAt = tonumber(state[2]) or now
+tokens = math.min(capacity, tokens + math.max(now - updatedAt, 0) * rate)
+local allowed = 0
+if tokens >= 1 then
+  tokens = tokens - 1
+  allowed = 1
+end
+redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'updatedAt', tostring(now))
+redis.call('PEXPIRE', KEYS[1], ttl)
+return { allowed, tostring(tokens) }
+`;
+
+function fixedWindowResult(limit, count, resetMs) {
+  const allowed = count <= limit;
+  return {
+    allowed,
+    limit,
+    remaining: Math.max(limit - count, 0),
+    resetMs,
+    retryAfterMs: allowed ? 0 : resetMs
+  };
+}
+
+function tokenBucketResult(limit, allowed, tokens, ratePerMs) {
+  return {
+    allowed,
+    limit,
+    remaining: Math.floor(tokens),
+    // Time until the bucket is full again
+    resetMs: Math.ceil((limit - tokens) / ratePerMs),
+    retryAfterMs: allowed ? 0 : Math.ceil((1 - tokens) / ratePerMs)
+  };
+}
+
+class RateLimiter {
+  constructor({ algorithm = 'fixed-window', limit, windowMs = 60000, prefix = 'ratelimit' } = {}) {
+    if (!ALGORITHMS.has(algorithm)) {
+      throw new Error(`Unknown rate limit algorithm '${algorithm}' (use fixed-window or token-bucket)`);
+    }
+
+    const parsedLimit = parseInt(limit);
+    if (!(parsedLimit > 0) || !(windowMs > 0)) {
+      throw new Error('Rate limit needs a positive limit and windowMs');
+    }
+
+    this.algorithm = algorithm;
+    this.limit = parsedLimit;
+    this.windowMs = windowMs;
+    this.prefix = prefix;
+    this.ratePerMs = parsedLimit / windowMs;
+    this.memory = new Map();
+    this.calls = 0;
+  }
+
+  /**
+   * Count one request for the key
+   */
+  async consume(key) {
+    const client = isRedisConnectedStatus() ? getRedisClient() : null;
+
+    if (client) {
+      try {
+        return this.algorithm === 'token-bucket'
+          ? await this.consumeTokenBucketRedis(client, key)
+          : await this.consumeFixedWindowRedis(client, key);
+      } catch (error) {
+        console.warn(`⚠ Rate limiter falling back to memory: ${error.message}`);
+      }
+    }
+
+    this.sweepMemory();
+    return this.algorithm === 'token-bucket'
+      ? this.consumeTokenBucketMemory(key)
+      : this.consumeFixedWindowMemory(key);
+  }
+
+  async consumeFixedWindowRedis(client, key) {
+    const window = Math.floor(Date.now() / this.windowMs);
+    const redisKey = `${this.prefix}:${key}:${window}`;
+    const [count] = await client.multi().incr(redisKey).pExpire(redisKey, this.windowMs).exec();
+    const resetMs = (window + 1) * this.windowMs - Date.now();
+    return fixedWindowResult(this.limit, Number(count), resetMs);
+  }
+
+  consumeFixedWindowMemory(key) {
+    const now = Date.now();
+    let entry = this.memory.get(key);
+    if (!entry || entry.resetAt <= now) {
+      const window = Math.floor(now / this.windowMs);
+      entry = { count: 0, resetAt: (window + 1) * this.windowMs };
+      this.memory.set(key, entry);
+    }
+    entry.count++;
+    return fixedWindowResult(this.limit, entry.count, entry.resetAt - now);
+  }
+
+  async consumeTokenBucketRedis(client, key) {
+    const [allowed, tokens] = await client.eval(TOKEN_BUCKET_SCRIPT, {
+      keys: [`${this.prefix}:${key}`],
+      arguments: [String(this.limit), String(this.ratePerMs), String(this.windowMs * 2)]
+    });
+    return tokenBucketResult(this.limit, Number(allowed) === 1, Number(tokens), this.ratePerMs);
+  }
+
+  consumeTokenBucketMemory(key) {
+    const now = Date.now();
+    const entry = this.memory.get(key) || { tokens: this.limit, updatedAt: now, resetAt: 0 };
+    entry.tokens = Math.min(this.limit, entry.tokens + (now - entry.updatedAt) * this.ratePerMs);
+    entry.updatedAt = now;
+    // A bucket idle for a full window is full again and can be dropped
+    entry.resetAt = now + this.windowMs;
+
+    const allowed = entry.tokens >= 1;
+    if (allowed) {
+      entry.tokens -= 1;
+    }
+    this.memory.set(key, entry);
+    return tokenBucketResult(this.limit, allowed, entry.tokens, this.ratePerMs);
+  }
+
+  sweepMemory() {
+    this.calls++;
+    if (this.calls % SWEEP_INTERVAL !== 0) {
+      return;
+    }
+    const now = Date.now();
+    this.memory.forEach((entry, key) => {
+      if (entry.resetAt <= now) {
+        this.memory.delete(key);
+      }
+    });
+  }
+}
+
+/**
+ * Create a rate limiter (see module docs for the options)
+ */
+export function createRateLimiter(options) {
+  return new RateLimiter(options);
+}
+
+/**
+ * Error for a call rejected by a rate limit: status 429, code RATE_LIMITED
+ */
+export function createRateLimitError(target, result) {
+  const error = new Error(`Rate limit exceeded for ${target}, retry in ${Math.ceil(result.retryAfterMs / 1000)}s`);
+  error.status = 429;
+  error.code = RATE_LIMITED_CODE;
+  error.retryAfterMs = result.retryAfterMs;
+  error.retryable = false;
+  return error;
+}
@@ -0,0 +1,253 @@
+import { renderString } from '../utils/template.js';
+import { hashValue } from '../utils/stableHash.js';
+import { createSingleflight } from '../utils/singleflight.js';
+import { getFromCache, setInCache, deleteFromCache, clearCacheByPattern, DEFAULT_CACHE_TTL } from './cacheService.js';
+import { acquireLock, waitForLock } from './cacheLock.js';
+import { recordResolverCacheEvent } from './cacheStats.js';
+
+/**
+ * Resolver Cache
+ * Cache keys and cache policies of unit resolvers, pipelines and pipeline steps.
+ *
+ * Keys:
+ * - cachingKeys: template over the resolver scope, e.g. "orders:$input.userId:${$input.page ?? 1}"
+ *   or "profile:$identity.id". Substituted values are URL-encoded (and '*' escaped) so they cannot
+ *   forge separators or glob patterns.
+ * - no cachingKeys: "auto:<hash>", a stable hash of the substituted request (datasource, method,
+ *   path, params, body, ... and the headers propagated to the datasource)
+ * - cacheScope: namespaces prepended to the key, 'global' (default) or any of
+ *   'resolver' (resolver:<name>), 'user' (user:<$identity.id>) and 'tenant' (tenant:<$identity.tenantId>)
+ *
+ * e.g. cacheScope ['resolver', 'user'] → "resolver:getDashboard:user:42:auto:3f1c..."
+ *
+ * Policies (cachePolicy, in seconds):
+ * - ttl: how long an entry is fresh (default CACHE_TTL)
+ * - staleWhileRevalidate: after ttl, serve the stale entry and refresh it in the background
+ * - staleIfError: after ttl, serve the stale entry when the upstream call fails
+ * - lockMs: milliseconds one instance may hold a Redis lock while it refreshes the entry, the other
+ *   instances wait for its result instead of calling the upstream too (default 0, no lock)
+ *
+ * Concurrent misses and refreshes of the same key within an instance always share one upstream call.
+ *
+ * Invalidation (invalidates): key templates or Redis glob patterns rendered like cachingKeys (plus $result,
+ * the raw upstream response) and deleted after a successful call, e.g. ["resolver:getOrders:user:$identity.id:*"]
+ *
+ * Tags (cacheTags): templates rendered like cachingKeys, e.g. ["orders", "user:$identity.id"]. Every entry
+ * stored gets them, purgeCacheByTag (POST /api/admin/cache/purge { tag }) deletes all entries of a tag.
+ *
+ * cacheStatus of a result: 'fresh' (cache hit), 'stale' (expired entry served while it is refreshed
+ * in the background), 'stale-if-error' (expired entry served because the upstream failed),
+ * 'revalidated' (expired entry replaced by a new upstream result) or 'miss' (no entry)
+ */
+
+// Refreshes in flight (foreground and background), one per key
+const refreshes = createSingleflight();
+
+const GLOB_CHARACTERS = /[*?[]/;
+
+/**
+ * URL-encode a value substituted into a key, '*' included (the only glob character it keeps)
+ */
+function encodeKeyPart(value) {
+  return encodeURIComponent(value).replace(/\*/g, '%2A');
+}
+
+function namespaceOf(part, { resolverName, identity }) {
+  const claims = identity || {};
+
+  switch (part) {
+    case 'resolver':
+      return `resolver:${resolverName || 'raw'}`;
+    case 'user':
+      return `user:${claims.id !== undefined && claims.id !== null ? encodeURIComponent(claims.id) : 'anonymous'}`;
+    case 'tenant':
+      return `tenant:${claims.tenantId !== undefined && claims.tenantId !== null ? encodeURIComponent(claims.tenantId) : 'none'}`;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Cache key of a resolver, pipeline or step
+ * - cachingKeys / cacheScope: the resolver or step settings
+ * - scope: template scope ($input, $identity, $request, $steps, ...)
+ * - request: what the auto key hashes when there is no cachingKeys template
+ * - resolverName: name of the named resolver (raw configs use 'raw')
+ */
+export function buildCacheKey({ cachingKeys, cacheScope, scope, request, resolverName }) {
+  const key = cachingKeys
+    ? renderString(cachingKeys, scope, { encode: encodeKeyPart })
+    : `auto:${hashValue(request)}`;
+
+  const parts = cacheScope === undefined || cacheScope === 'global' ? [] : [].concat(cacheScope);
+  const namespaces = parts
+    .map(part => namespaceOf(part, { resolverName, identity: scope.identity }))
+    .filter(Boolean);
+
+  return [...namespaces, key].join(':');
+}
+
+function normalizeCachePolicy(policy = {}) {
+  return {
+    ttl: policy.ttl || DEFAULT_CACHE_TTL,
+    staleWhileRevalidate: policy.staleWhileRevalidate || 0,
+    staleIfError: policy.staleIfError || 0,
+    lockMs: policy.lockMs || 0
+  };
+}
+
+/**
+ * Entries are stored as { $cache: { freshUntil, staleUntil, errorUntil }, data }
+ * Plain values written before cache policies existed count as fresh until Redis expires them
+ */
+function readEntry(stored) {
+  if (stored === null || stored === undefined) {
+    return null;
+  }
+  if (stored.$cache && 'data' in stored) {
+    return { data: stored.data, ...stored.$cache };
+  }
+  return { data: stored, freshUntil: Infinity, staleUntil: Infinity, errorUntil: Infinity };
+}
+
+/**
+ * Run load() and store its data for ttl plus the longest stale window
+ */
+async function loadAndStore(key, policy, load) {
+  const { cacheable = true, ...loaded } = await load();
+
+  if (cacheable) {
+    const now = Date.now();
+    const entry = {
+      $cache: {
+        freshUntil: now + policy.ttl * 1000,
+        staleUntil: now + (policy.ttl + policy.staleWhileRevalidate) * 1000,
+        errorUntil: now + (policy.ttl + policy.staleIfError) * 1000
+      },
+      data: loaded.data
+    };
+    await setInCache(key, entry, policy.ttl + Math.max(policy.staleWhileRevalidate, policy.staleIfError), {
+      tags: policy.tags
+    });
+  }
+
+  return loaded;
+}
+
+/**
+ * Refresh the entry, holding the cache lock when the policy asks for one
+ * Resolves to { fromCache: true, data } when another instance stored a fresh entry meanwhile
+ */
+async function refreshEntry(key, policy, load) {
+  if (!policy.lockMs) {
+    return loadAndStore(key, policy, load);
+  }
+
+  const lockName = `lock:${key}`;
+  const lock = await acquireLock(lockName, policy.lockMs);
+  if (!lock.acquired) {
+    await waitForLock(lockName, policy.lockMs);
+    const entry = readEntry(await getFromCache(key));
+    if (entry && Date.now() < entry.freshUntil) {
+      return { data: entry.data, fromCache: true };
+    }
+    return loadAndStore(key, policy, load);
+  }
+
+  try {
+    return await loadAndStore(key, policy, load);
+  } finally {
+    await lock.release();
+  }
+}
+
+function refreshInBackground(key, policy, load) {
+  refreshes.run(key, () => refreshEntry(key, policy, load))
+    .catch(error => console.warn(`⚠ Background refresh of ${key} failed: ${error.message}`));
+}
+
+/**
+ * Count the sets and upstream errors of load() for the resolver statistics
+ */
+function trackLoad(resolverName, load) {
+  return async () => {
+    try {
+      const loaded = await load();
+      if (loaded.cacheable !== false) {
+        recordResolverCacheEvent(resolverName, 'sets');
+      }
+      return loaded;
+    } catch (error) {
+      recordResolverCacheEvent(resolverName, 'errors');
+      throw error;
+    }
+  };
+}
+
+/**
+ * Serve `key` from the cache following the cache policy, calling load() when needed
+ * load() resolves to { data, cacheable? (default true), ...extra } or throws
+ * Resolves to { data, fromCache, cacheStatus } plus the extra fields of load() when it was called
+ * - resolverName attributes the outcome in the cache statistics (see cacheStats.js)
+ * - tags are given to the stored entry (see renderCacheTags)
+ */
+export async function readThroughCache(key, cachePolicy, load, { resolverName = null, tags = [] } = {}) {
+  const policy = { ...normalizeCachePolicy(cachePolicy), tags };
+  const trackedLoad = trackLoad(resolverName, load);
+  const entry = readEntry(await getFromCache(key));
+  const now = Date.now();
+
+  if (entry && now < entry.freshUntil) {
+    recordResolverCacheEvent(resolverName, 'hits');
+    return { data: entry.data, fromCache: true, cacheStatus: 'fresh' };
+  }
+
+  if (entry && now < entry.staleUntil) {
+    refreshInBackground(key, policy, trackedLoad);
+    recordResolverCacheEvent(resolverName, 'hits');
+    recordResolverCacheEvent(resolverName, 'stale');
+    return { data: entry.data, fromCache: true, cacheStatus: 'stale' };
+  }
+
+  try {
+    const loaded = await refreshes.run(key, () => refreshEntry(key, policy, trackedLoad));
+    if (loaded.fromCache) {
+      recordResolverCacheEvent(resolverName, 'hits');
+      return { data: loaded.data, fromCache: true, cacheStatus: 'fresh' };
+    }
+    recordResolverCacheEvent(resolverName, 'misses');
+    return { ...loaded, fromCache: false, cacheStatus: entry ? 'revalidated' : 'miss' };
+  } catch (error) {
+    if (entry && now < entry.errorUntil) {
+      console.warn(`⚠ Serving stale cache for ${key}: ${error.message}`);
+      recordResolverCacheEvent(resolverName, 'hits');
+      recordResolverCacheEvent(resolverName, 'stale');
+      return { data: entry.data, fromCache: true, cacheStatus: 'stale-if-error' };
+    }
+    recordResolverCacheEvent(resolverName, 'misses');
+    throw error;
+  }
+}
+
+/**
+ * Tags of an entry: the `cacheTags` templates rendered over the scope (values URL-encoded like in keys)
+ */
+export function renderCacheTags(cacheTags, scope) {
+  if (!cacheTags || cacheTags.length === 0) {
+    return [];
+  }
+  return [...new Set(cacheTags.map(template => renderString(template, scope, { encode: encodeKeyPart })))];
+}
+
+/**
+ * Delete the entries named by `invalidates` (key templates or glob patterns) rendered over the scope
+ * Resolves to the deleted keys and patterns
+ */
+export async function invalidateCacheEntries(invalidates, scope) {
+  const targets = [...new Set(invalidates.map(template => renderString(template, scope, { encode: encodeKeyPart })))];
+
+  await Promise.all(targets.map(target =>
+    GLOB_CHARACTERS.test(target) ? clearCacheByPattern(target) : deleteFromCache(target)));
+
+  return targets;
+}
@@ -0,0 +1,138 @@
+import fs from 'fs';
+import path from 'path';
+import YAML from 'yaml';
+import { resolverSchema, httpRouteSchema } from '../validators/resolverValidator.js';
+
+/**
+ * Resolver Registry
+ * Named resolver definitions that live on the server (like AppSync resolvers attached to fields).
+ * Clients invoke them by name with input arguments only: POST /api/resolvers/:name
+ *
+ * Definitions are registered in code with registerResolver() or loaded from a directory of
+ * .json / .yaml / .yml files (one resolver per file, named by its `name` field or the file name).
+ */
+
+const resolvers = new Map();
+
+// Names used by the built-in /api/resolvers/* routes
+const RESERVED_NAMES = new Set(['test', 'docs']);
+const NAME_PATTERN = /^[A-Za-z0-9_-]+$/;
+const SUPPORTED_EXTENSIONS = new Set(['.json', '.yaml', '.yml']);
+
+/**
+ * Register (or replace) a named resolver
+ * definition: a unit or pipeline resolver config plus an optional `description` and
+ * an optional `http: { method, path, status }` REST route (mounted under /api by createApp)
+ */
+export function registerResolver(name, definition) {
+  if (!name || !NAME_PATTERN.test(name)) {
+    throw new Error(`Invalid resolver name '${name}' (use letters, digits, '-' and '_')`);
+  }
+
+  if (RESERVED_NAMES.has(name)) {
+    throw new Error(`Resolver name '${name}' is reserved`);
+  }
+
+  const { name: ignoredName, description, http, ...config } = definition || {};
+  const { error, value } = resolverSchema.validate(config);
+
+  if (error) {
+    throw new Error(`Invalid resolver '${name}': ${error.details.map(detail => detail.message).join('; ')}`);
+  }
+
+  let route = null;
+  if (http) {
+    const routeValidation = httpRouteSchema.validate(http);
+    if (routeValidation.error) {
+      throw new Error(`Invalid http route of resolver '${name}': ${routeValidation.error.message}`);
+    }
+    route = routeValidation.value;
+  }
+
+  resolvers.set(name, { name, description: description || null, route, config: value });
+  console.log(`✓ Resolver registered: ${name} (${value.type})`);
+}
+
+/**
+ * Get a registered resolver ({ name, description, route, config }) or null
+ */
+export function getResolver(name) {
+  return resolvers.get(name) || null;
+}
+
+/**
+ * List registered resolvers (without their configs)
+ */
+export function listResolvers() {
+  return Array.from(resolvers.values()).map(({ name, description, route, config }) => ({
+    name,
+    type: config.type,
+    description,
+    route: route ? `${route.method} /api${route.path}` : null
+  }));
+}
+
+/**
+ * Registered resolvers that declare an http route ({ name, route, config })
+ */
+export function getRoutedResolvers() {
+  return Array.from(resolvers.values()).filter(resolver => resolver.route);
+}
+
+/**
+ * Remove a registered resolver
+ */
+export function unregisterResolver(name) {
+  const deleted = resolvers.delete(name);
+  if (deleted) {
+    console.log(`✓ Resolver unregistered: ${name}`);
+  }
+  return deleted;
+}
+
+/**
+ * Parse a resolver definition file (JSON or YAML)
+ */
+function readDefinitionFile(filePath) {
+  const content = fs.readFileSync(filePath, 'utf8');
+  return path.extname(filePath).toLowerCase() === '.json' ? JSON.parse(content) : YAML.parse(content);
+}
+
+/**
+ * Load every resolver definition file in a directory (not recursive)
+ * Throws on invalid files and on two files defining the same resolver name
+ */
+export function loadResolversFromDirectory(directory) {
+  const resolvedDirectory = path.resolve(directory);
+
+  if (!fs.existsSync(resolvedDirectory)) {
+    throw new Error(`Resolver directory not found: ${resolvedDirectory}`);
+  }
+
+  const files = fs.readdirSync(resolvedDirectory)
+    .filter(file => SUPPORTED_EXTENSIONS.has(path.extname(file).toLowerCase()))
+    .sort();
+  const loadedFrom = new Map();
+
+  files.forEach(file => {
+    const filePath = path.join(resolvedDirectory, file);
+    let definition;
+
+    try {
+      definition = readDefinitionFile(filePath);
+    } catch (error) {
+      throw new Error(`Could not parse resolver file ${file}: ${error.message}`);
+    }
+
+    const name = (definition && definition.name) || path.basename(file, path.extname(file));
+    if (loadedFrom.has(name)) {
+      throw new Error(`Resolver '${name}' is defined in both ${loadedFrom.get(name)} and ${file}`);
+    }
+
+    registerResolver(name, definition);
+    loadedFrom.set(name, file);
+  });
+
+  console.log(`✓ ${files.length} resolver(s) loaded from ${resolvedDirectory}`);
+  return Array.from(loadedFrom.keys());
+}
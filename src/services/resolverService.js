@@ -1,68 +1,149 @@
 import { dataSourceManager } from '../datasources/dataSourceManager.js';
-import { getFromCache, setInCache } from './cacheService.js';
+import { resolveDependencies, validateStepGraph } from '../utils/pipelineGraph.js';
+import { createLimiter } from '../utils/concurrency.js';
+import { renderTemplate } from '../utils/template.js';
+import { evaluateCondition } from '../utils/expression.js';
+import { applyResponseMapping } from '../utils/responseMapping.js';
+import { assertAuthorized, getAuthorizationError, FORBIDDEN_CODE } from '../utils/authorization.js';
+import { buildCacheKey, readThroughCache, renderCacheTags, invalidateCacheEntries } from './resolverCache.js';
 
 /**
  * Resolver Service
  * Executes unit and pipeline resolvers similar to AWS AppSync
  */
 
+// Max pipeline steps running at the same time unless the resolver sets `concurrency`
+const DEFAULT_PIPELINE_CONCURRENCY = 5;
+
+// Max datasource calls of a single forEach step running at the same time
+const DEFAULT_FOREACH_CONCURRENCY = 5;
+
 /**
- * Variable substitution in path/body/params
- * Supports:
+ * Build the variable scope for template substitution and conditions
  * - $prev - Output from previous step
  * - $steps.stepName - Output from named step
  * - $input.field - Input field from request
+ * - $errors.stepName - { message, status, code } of a failed step (pipelines only)
+ * - $item / $index - current element and position in a forEach step
+ * - $identity / $request - caller's JWT claims and request details (see utils/requestContext.js)
  */
-function substituteVariables(value, input, context, stepName) {
-  if (typeof value === 'string') {
-    let result = value;
+function buildScope(input, context = {}) {
+  return {
+    input: input || {},
+    identity: context.identity || null,
+    request: context.request || {},
+    prev: context.previousOutput,
+    steps: context.steps || {},
+    errors: context.errors || {},
+    // $item / $index only exist inside forEach steps
+    ...('item' in context ? { item: context.item, index: context.index } : {})
+  };
+}
 
-    // Replace $prev with previous step output
-    if (context.previousOutput) {
-      result = result.replace(/\$prev/g, JSON.stringify(context.previousOutput));
-    }
+/**
+ * Variable substitution in path/body/params (see utils/template.js)
+ * Paths are URL-encoded per substituted value, other fields keep the referenced types
+ */
+function substituteVariables(value, scope, { encode = false } = {}) {
+  return renderTemplate(value, scope, { encode });
+}
 
-    // Replace $steps.stepName with specific step output
-    Object.entries(context.steps || {}).forEach(([name, output]) => {
-      const regex = new RegExp(`\\$steps\\.${name}`, 'g');
-      result = result.replace(regex, JSON.stringify(output));
-    });
+/**
+ * Apply an optional `response` mapping with $result bound to the raw output
+ */
+function mapResponse(response, data, scope) {
+  return response === undefined ? data : applyResponseMapping(response, { ...scope, result: data });
+}
 
-    // Replace $input.field with input values
-    if (input) {
-      Object.entries(input).forEach(([key, val]) => {
-        const regex = new RegExp(`\\$input\\.${key}`, 'g');
-        result = result.replace(regex, typeof val === 'string' ? val : JSON.stringify(val));
-      });
-    }
+/**
+ * Result of a call that failed before reaching the datasource (e.g. FORBIDDEN)
+ */
+function failureResult(error, extra = {}) {
+  return {
+    success: false,
+    error: error.message,
+    ...(error.code ? { code: error.code } : {}),
+    ...(error.retryAfterMs ? { retryAfterMs: error.retryAfterMs } : {}),
+    ...extra
+  };
+}
 
-    // Try to parse if it looks like JSON
-    if ((result.startsWith('{') || result.startsWith('[')) && result !== value) {
+/**
+ * Datasources a pipeline step may call (branch steps have one per case)
+ */
+function stepDatasources(step) {
+  if (!step.branch) {
+    return step.datasource ? [step.datasource] : [];
+  }
+  const calls = [...(step.branch.cases || []), ...(step.branch.default ? [step.branch.default] : [])];
+  return calls.map(call => call.datasource).filter(Boolean);
+}
+
+/**
+ * Step policies the caller does not satisfy: "step" for the step's `auth`, "step@DATASOURCE" for a datasource
+ * A run depends on them (a denied step fails, or is reported in $errors with continueOnError), so cached
+ * pipeline results are keyed by them and only shared between callers denied exactly the same steps
+ */
+function deniedStepPolicies(steps, identity) {
+  const denied = [];
+
+  steps.forEach(step => {
+    if (getAuthorizationError(step.auth, identity)) {
+      denied.push(step.name);
+    }
+    stepDatasources(step).forEach(datasource => {
       try {
-        return JSON.parse(result);
-      } catch (e) {
-        return result;
+        dataSourceManager.authorizeDatasource(datasource, identity);
+      } catch (error) {
+        // Unknown datasources fail the step when it runs, for every caller alike
+        if (error.code === FORBIDDEN_CODE) {
+          denied.push(`${step.name}@${datasource}`);
+        }
       }
-    }
+    });
+  });
 
-    return result;
-  }
+  return denied.sort();
+}
 
-  if (typeof value === 'object' && value !== null) {
-    const substituted = {};
-    Object.entries(value).forEach(([key, val]) => {
-      substituted[key] = substituteVariables(val, input, context, stepName);
-    });
-    return substituted;
-  }
+/**
+ * Cache key of a datasource call (unit resolver or step), see services/resolverCache.js
+ * Auto keys hash the substituted request plus the headers propagated to the datasource,
+ * so calls that send different identities never share an entry
+ */
+function callCacheKey(datasource, request, cacheSettings, scope, resolverName) {
+  return buildCacheKey({
+    cachingKeys: cacheSettings.cachingKeys,
+    cacheScope: cacheSettings.cacheScope,
+    scope,
+    resolverName,
+    request: {
+      datasource: String(datasource).toLowerCase(),
+      ...request,
+      propagatedHeaders: dataSourceManager.getPropagatedHeaders(datasource, {
+        identity: scope.identity,
+        request: scope.request
+      })
+    }
+  });
+}
 
-  return value;
+/**
+ * Delete the cache entries a successful call invalidates ($result is the raw upstream response)
+ * Resolves to the deleted keys and patterns, null when the call invalidates nothing
+ */
+async function invalidateAfterCall(invalidates, scope, data) {
+  if (!invalidates || invalidates.length === 0) {
+    return null;
+  }
+  return invalidateCacheEntries(invalidates, { ...scope, result: data });
 }
 
 /**
  * Execute a unit resolver (single datasource call)
+ * The raw datasource response is cached, the `response` mapping is applied on every call
  */
-export async function executeUnitResolver(resolverConfig, input) {
+export async function executeUnitResolver(resolverConfig, input, requestContext = {}, resolverName = null) {
   const {
     datasource,
     method = 'GET',
@@ -70,201 +151,523 @@ export async function executeUnitResolver(resolverConfig, input) {
     body = null,
     headers = {},
     params = null,
+    query,
+    variables = null,
+    operationName = null,
+    errorPolicy,
+    retryPolicy,
+    response,
     isToBeCached = false,
-    cachingKeys = null
+    cachingKeys = null,
+    cacheScope,
+    cachePolicy,
+    cacheTags,
+    invalidates
   } = resolverConfig;
 
-  // Check cache if enabled
-  if (isToBeCached && cachingKeys) {
-    const cachedData = await getFromCache(cachingKeys);
-    if (cachedData) {
-      return {
-        success: true,
-        data: cachedData,
-        datasource,
-        fromCache: true,
-        cacheKey: cachingKeys
-      };
-    }
+  // Substitute $input / $identity / $request references
+  const scope = buildScope(input, requestContext);
+
+  // Checked before the cache so cached responses stay protected
+  try {
+    dataSourceManager.authorizeDatasource(datasource, requestContext.identity);
+  } catch (error) {
+    return failureResult(error, { datasource });
   }
 
   try {
-    // Call the datasource
-    const result = await dataSourceManager.callDatasource(datasource, {
+    const request = {
       method,
-      path,
-      data: body,
-      headers,
-      params
-    });
+      path: substituteVariables(path, scope, { encode: true }),
+      data: substituteVariables(body, scope),
+      headers: substituteVariables(headers, scope),
+      params: substituteVariables(params, scope),
+      query,
+      variables: substituteVariables(variables, scope),
+      operationName
+    };
 
-    // Cache the response if enabled
-    if (isToBeCached && cachingKeys) {
-      await setInCache(cachingKeys, result.data);
-    }
+    const cacheKey = isToBeCached
+      ? callCacheKey(datasource, request, { cachingKeys, cacheScope }, scope, resolverName)
+      : null;
+
+    // Call the datasource (partial GraphQL results are never cached)
+    const callUpstream = async () => {
+      const result = await dataSourceManager.callDatasource(datasource, {
+        ...request,
+        errorPolicy,
+        retryPolicy,
+        requestContext
+      });
+      const invalidated = await invalidateAfterCall(invalidates, scope, result.data);
+      return { data: result.data, cacheable: !result.partial, result, invalidated };
+    };
+
+    // `result` is only set when the datasource was called
+    const outcome = cacheKey
+      ? await readThroughCache(cacheKey, cachePolicy, callUpstream, { resolverName, tags: renderCacheTags(cacheTags, scope) })
+      : await callUpstream();
+    const { result } = outcome;
 
     return {
       success: true,
-      data: result.data,
-      datasource: result.datasource,
-      fromCache: false,
-      cached: isToBeCached && cachingKeys
+      data: mapResponse(response, outcome.data, scope),
+      ...(result && result.errors ? { errors: result.errors } : {}),
+      datasource: result ? result.datasource : datasource,
+      fromCache: Boolean(outcome.fromCache),
+      cached: Boolean(cacheKey),
+      ...(cacheKey ? { cacheKey, cacheStatus: outcome.cacheStatus } : {}),
+      ...(outcome.invalidated ? { invalidated: outcome.invalidated } : {})
     };
   } catch (error) {
     return {
       success: false,
       error: error.message,
-      datasource
+      ...(error.code ? { code: error.code } : {}),
+      ...(error.retryAfterMs ? { retryAfterMs: error.retryAfterMs } : {}),
+      datasource,
+      circuit: dataSourceManager.getCircuitState(datasource)
     };
   }
 }
 
+/**
+ * Execute a single pipeline step (datasource call with optional step caching)
+ * Throws when the datasource call fails
+ */
+async function executeStep(stepConfig, input, context) {
+  const {
+    name,
+    datasource,
+    method = 'GET',
+    path: origPath,
+    body: origBody,
+    headers: origHeaders = {},
+    params: origParams = null,
+    query,
+    variables: origVariables = null,
+    operationName = null,
+    errorPolicy,
+    retryPolicy,
+    response,
+    isToBeCached: stepCached = false,
+    cachingKeys: stepCachingKeys = null,
+    cacheScope: stepCacheScope,
+    cachePolicy: stepCachePolicy,
+    cacheTags: stepCacheTags,
+    invalidates
+  } = stepConfig;
+
+  // Checked before the step cache so cached step results stay protected
+  dataSourceManager.authorizeDatasource(datasource, context.identity);
+
+  // Substitute variables in path, body, and params
+  const scope = buildScope(input, context);
+  const request = {
+    method,
+    path: substituteVariables(origPath, scope, { encode: true }),
+    data: substituteVariables(origBody, scope),
+    headers: substituteVariables(origHeaders, scope),
+    params: substituteVariables(origParams, scope),
+    query,
+    variables: substituteVariables(origVariables, scope),
+    operationName
+  };
+
+  const stepCacheKey = stepCached
+    ? callCacheKey(datasource, request, { cachingKeys: stepCachingKeys, cacheScope: stepCacheScope }, scope, context.resolverName)
+    : null;
+
+  // Call the datasource (partial GraphQL results are never cached)
+  const callUpstream = async () => {
+    const result = await dataSourceManager.callDatasource(datasource, {
+      ...request,
+      errorPolicy,
+      retryPolicy,
+      requestContext: { identity: context.identity, request: context.request }
+    });
+    const invalidated = await invalidateAfterCall(invalidates, scope, result.data);
+    return { data: result.data, cacheable: !result.partial, errors: result.errors, invalidated };
+  };
+
+  const outcome = stepCacheKey
+    ? await readThroughCache(stepCacheKey, stepCachePolicy, callUpstream, {
+      resolverName: context.resolverName,
+      tags: renderCacheTags(stepCacheTags, scope)
+    })
+    : await callUpstream();
+
+  return {
+    name,
+    success: true,
+    // Step mappings shape what later steps see as $prev / $steps.name
+    data: mapResponse(response, outcome.data, scope),
+    ...(outcome.errors ? { errors: outcome.errors } : {}),
+    datasource,
+    fromCache: Boolean(outcome.fromCache),
+    cached: Boolean(stepCacheKey),
+    ...(stepCacheKey ? { cacheKey: stepCacheKey, cacheStatus: outcome.cacheStatus } : {}),
+    ...(outcome.invalidated ? { invalidated: outcome.invalidated } : {}),
+    circuit: dataSourceManager.getCircuitState(datasource)
+  };
+}
+
+/**
+ * Execute a forEach step: one datasource call per element of the `forEach` array
+ * Elements are processed with bounded concurrency and results keep the array order.
+ * onError: 'fail' fails the step, 'skip' leaves the element out, 'null' inserts null
+ * Item calls are never cached; `invalidates` runs once after the last item ($result = item results)
+ */
+async function executeForEachStep(stepConfig, input, context) {
+  const {
+    name,
+    datasource,
+    forEach,
+    concurrency = DEFAULT_FOREACH_CONCURRENCY,
+    onError = 'fail',
+    isToBeCached,
+    cachingKeys,
+    cacheScope,
+    cachePolicy,
+    cacheTags,
+    invalidates,
+    ...callConfig
+  } = stepConfig;
+
+  // A denied datasource fails the step, it must not be mistaken for per-item failures
+  dataSourceManager.authorizeDatasource(datasource, context.identity);
+
+  const items = substituteVariables(forEach, buildScope(input, context));
+  if (!Array.isArray(items)) {
+    throw new Error(`forEach of step '${name}' did not resolve to an array (${forEach})`);
+  }
+
+  const limit = createLimiter(concurrency);
+  const results = new Array(items.length);
+  const itemErrors = [];
+  let failure = null;
+
+  await Promise.all(items.map((item, index) => limit(async () => {
+    // Don't start new calls once the step has failed
+    if (failure) {
+      return;
+    }
+
+    try {
+      // Item calls are not cached individually (a literal cache key would be shared by all items)
+      // and invalidate nothing themselves, the step invalidates once when every item is done
+      const itemResult = await executeStep({ ...callConfig, name, datasource }, input, { ...context, item, index });
+      results[index] = { value: itemResult.data };
+    } catch (error) {
+      itemErrors.push({ index, error: error.message, ...(error.status ? { status: error.status } : {}) });
+
+      if (onError === 'fail') {
+        failure = failure || { index, error };
+      } else {
+        results[index] = onError === 'null' ? { value: null } : null;
+      }
+    }
+  })));
+
+  if (failure) {
+    const error = new Error(`forEach item ${failure.index} failed: ${failure.error.message}`);
+    error.status = failure.error.status;
+    error.code = failure.error.code;
+    throw error;
+  }
+
+  const data = results.filter(Boolean).map(result => result.value);
+  itemErrors.sort((a, b) => a.index - b.index);
+
+  // Once for the whole step, $result is the array of item results
+  const invalidated = await invalidateAfterCall(invalidates, buildScope(input, context), data);
+
+  return {
+    name,
+    success: true,
+    data,
+    datasource,
+    items: {
+      total: items.length,
+      succeeded: items.length - itemErrors.length,
+      failed: itemErrors.length
+    },
+    ...(itemErrors.length > 0 ? { itemErrors } : {}),
+    ...(invalidated ? { invalidated } : {}),
+    fromCache: false,
+    circuit: dataSourceManager.getCircuitState(datasource)
+  };
+}
+
+/**
+ * Pick the datasource call of a branch step: the first case whose `when` holds, else `default`
+ * Returns null when nothing matches
+ */
+function selectBranch(branch, scope) {
+  const cases = branch.cases || [];
+
+  for (let index = 0; index < cases.length; index++) {
+    const { when, ...callConfig } = cases[index];
+    if (evaluateCondition(when, scope)) {
+      return { label: `cases[${index}]`, callConfig };
+    }
+  }
+
+  return branch.default ? { label: 'default', callConfig: branch.default } : null;
+}
+
+/**
+ * Cache key of a whole pipeline
+ * Its result depends on calls not made yet, so the auto key hashes the pipeline definition,
+ * the input and the caller (id and tenant): auto keys are never shared between users.
+ * Use a cachingKeys template to share results, e.g. "catalog:$input.category".
+ * Callers denied some steps get ":denied:<steps>" appended (see deniedStepPolicies),
+ * so they never read or write the entry of callers allowed to run them
+ */
+function pipelineCacheKey(resolverConfig, input, requestContext, resolverName) {
+  const { isToBeCached, cachingKeys, cacheScope, cachePolicy, cacheTags, ...definition } = resolverConfig;
+  const identity = requestContext.identity || null;
+  const denied = deniedStepPolicies(definition.steps || [], identity);
+
+  const key = buildCacheKey({
+    cachingKeys,
+    cacheScope,
+    scope: buildScope(input, requestContext),
+    resolverName,
+    request: {
+      pipeline: definition,
+      input: input || {},
+      caller: identity ? { id: identity.id, tenantId: identity.tenantId } : null
+    }
+  });
+
+  return denied.length > 0 ? `${key}:denied:${denied.join(',')}` : key;
+}
+
 /**
  * Execute a pipeline resolver (multiple datasource calls)
- * Steps are executed sequentially, context is passed between steps
+ * Steps form a DAG through `dependsOn` (see utils/pipelineGraph.js): a step starts as soon as
+ * its dependencies have finished, independent steps run concurrently (up to `concurrency`).
+ * Steps without `dependsOn` run after the previous step, so plain pipelines stay sequential.
+ * $prev refers to the output of the step's last dependency.
+ *
+ * Steps may be conditional:
+ * - `when`: expression over $input/$prev/$steps/$errors, the step is skipped when it is falsy
+ * - `branch`: { cases: [{ when, ...call }], default } runs the first matching call under the step name
+ * - `continueOnError`: a failure of this step does not fail the pipeline ($errors.stepName is set instead)
+ * - `forEach`: calls the datasource once per array element ($item, $index), see executeForEachStep
+ * - `auth`: { roles, scopes } the caller needs, otherwise the step fails with code FORBIDDEN
+ * Skipped steps are reported with `skipped: true` and a `reason`.
+ * With `isToBeCached` the whole result is cached following `cachePolicy` (see services/resolverCache.js).
+ * `invalidates` on the pipeline or a step deletes cache entries once it succeeded, `cacheTags` tag them.
+ */
+export async function executePipelineResolver(resolverConfig, input, requestContext = {}, resolverName = null) {
+  const { response, isToBeCached = false, cachePolicy, cacheTags } = resolverConfig;
+
+  if (!isToBeCached) {
+    return runPipeline(resolverConfig, input, requestContext, resolverName);
+  }
+
+  // Cache the entire pipeline result, a failed run is not cached. Step policies are applied by the run
+  // as without caching; the key tells callers denied different steps apart, so entries stay protected
+  const cacheKey = pipelineCacheKey(resolverConfig, input, requestContext, resolverName);
+  const runAndCheck = async () => {
+    const result = await runPipeline(resolverConfig, input, requestContext, resolverName);
+    if (!result.success) {
+      const error = new Error(result.error);
+      error.result = result;
+      throw error;
+    }
+    return { data: result.data, result };
+  };
+
+  try {
+    const outcome = await readThroughCache(cacheKey, cachePolicy, runAndCheck, {
+      resolverName,
+      tags: renderCacheTags(cacheTags, buildScope(input, requestContext))
+    });
+    return {
+      ...(outcome.result || { success: true, steps: [], mapped: response !== undefined }),
+      data: outcome.data,
+      fromCache: outcome.fromCache,
+      cached: true,
+      cacheKey,
+      cacheStatus: outcome.cacheStatus
+    };
+  } catch (error) {
+    if (error.result) {
+      return error.result;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Run the steps of a pipeline (see executePipelineResolver)
  */
-export async function executePipelineResolver(resolverConfig, input) {
+async function runPipeline(resolverConfig, input, requestContext, resolverName) {
   const {
     steps = [],
     onError = 'failFast',
-    isToBeCached = false,
-    cachingKeys = null
+    concurrency = DEFAULT_PIPELINE_CONCURRENCY,
+    response
   } = resolverConfig;
 
-  // Check cache for entire pipeline if enabled
-  if (isToBeCached && cachingKeys) {
-    const cachedData = await getFromCache(cachingKeys);
-    if (cachedData) {
-      return {
-        success: true,
-        data: cachedData,
-        steps: [],
-        fromCache: true,
-        cacheKey: cachingKeys
-      };
-    }
+  // Raw configs may skip the validator, never schedule an invalid graph
+  const graphErrors = validateStepGraph(steps);
+  if (graphErrors.length > 0) {
+    throw new Error(`Invalid pipeline: ${graphErrors.join('; ')}`);
   }
 
   const context = {
-    previousOutput: null,
     steps: {}, // Named steps for reference
-    input
+    errors: {}, // Failed steps (continueOnError / onError 'continue')
+    input,
+    identity: requestContext.identity, // Caller's JWT claims
+    request: requestContext.request, // Request id, ip and selected headers
+    resolverName // Namespace of step cache keys with cacheScope 'resolver'
   };
 
-  const executedSteps = [];
+  const nodes = resolveDependencies(steps);
+  const limit = createLimiter(concurrency);
+  const executedSteps = new Array(steps.length);
+  const completions = new Map(); // step name → promise settled when the step is done
+  let failure = null;
 
-  // Execute each step in the pipeline
-  for (const stepConfig of steps) {
-    const {
-      name,
-      datasource,
-      method = 'GET',
-      path: origPath,
-      body: origBody,
-      headers: origHeaders = {},
-      params: origParams = null,
-      isToBeCached: stepCached = false,
-      cachingKeys: stepCachingKeys = null
-    } = stepConfig;
+  const runStep = async (stepConfig, node) => {
+    // Stop scheduling new steps once a failFast pipeline has failed
+    if (failure) {
+      return;
+    }
+
+    const lastDependency = node.dependsOn[node.dependsOn.length - 1];
+    const stepContext = {
+      ...context,
+      previousOutput: lastDependency !== undefined ? context.steps[lastDependency] : null
+    };
 
     try {
-      // Substitute variables in path, body, and params
-      const substitutedPath = substituteVariables(origPath, input, context, name);
-      const substitutedBody = substituteVariables(origBody, input, context, name);
-      const substitutedHeaders = substituteVariables(origHeaders, input, context, name);
-      const substitutedParams = substituteVariables(origParams, input, context, name);
-
-      // Check step cache if enabled
-      let stepData = null;
-      let stepFromCache = false;
-
-      if (stepCached && stepCachingKeys) {
-        stepData = await getFromCache(stepCachingKeys);
-        if (stepData) {
-          stepFromCache = true;
-        }
+      const scope = buildScope(input, stepContext);
+
+      if (stepConfig.when !== undefined && !evaluateCondition(stepConfig.when, scope)) {
+        executedSteps[node.index] = {
+          name: node.name,
+          success: true,
+          skipped: true,
+          reason: `Condition not met: ${stepConfig.when}`
+        };
+        return;
       }
 
-      if (!stepFromCache) {
-        // Call the datasource
-        const result = await dataSourceManager.callDatasource(datasource, {
-          method,
-          path: substitutedPath,
-          data: substitutedBody,
-          headers: substitutedHeaders,
-          params: substitutedParams
-        });
-
-        stepData = result.data;
-
-        // Cache step result if enabled
-        if (stepCached && stepCachingKeys) {
-          await setInCache(stepCachingKeys, stepData);
+      assertAuthorized(stepConfig.auth, context.identity, `step '${node.name}'`);
+
+      let callConfig = stepConfig;
+      let branchLabel;
+      if (stepConfig.branch) {
+        const selected = selectBranch(stepConfig.branch, scope);
+        if (!selected) {
+          executedSteps[node.index] = {
+            name: node.name,
+            success: true,
+            skipped: true,
+            reason: 'No branch case matched and no default was given'
+          };
+          return;
         }
+        // A case may bring its own response mapping, otherwise the step's applies
+        callConfig = { response: stepConfig.response, ...selected.callConfig, name: node.name };
+        branchLabel = selected.label;
       }
 
+      const stepResult = callConfig.forEach !== undefined
+        ? await executeForEachStep(callConfig, input, stepContext)
+        : await executeStep(callConfig, input, stepContext);
+
       // Store step output in context
-      context.previousOutput = stepData;
-      context.steps[name] = stepData;
-
-      executedSteps.push({
-        name,
-        success: true,
-        data: stepData,
-        datasource,
-        fromCache: stepFromCache,
-        cached: stepCached && stepCachingKeys
-      });
+      context.steps[node.name] = stepResult.data;
+      executedSteps[node.index] = branchLabel ? { ...stepResult, branch: branchLabel } : stepResult;
     } catch (error) {
-      const stepError = {
-        name,
+      const datasource = stepConfig.datasource;
+      executedSteps[node.index] = {
+        name: node.name,
         success: false,
         error: error.message,
-        datasource
+        ...(error.code ? { code: error.code } : {}),
+        ...(datasource ? { datasource, circuit: dataSourceManager.getCircuitState(datasource) } : {})
       };
+      context.errors[node.name] = { message: error.message, status: error.status, code: error.code };
 
-      executedSteps.push(stepError);
-
-      // Handle error based on onError setting
-      if (onError === 'failFast') {
-        return {
-          success: false,
-          error: `Pipeline failed at step '${name}': ${error.message}`,
-          steps: executedSteps,
-          data: null
-        };
+      // Handle error based on onError setting (a step may opt out with continueOnError)
+      if (onError === 'failFast' && !stepConfig.continueOnError) {
+        failure = failure || { name: node.name, error };
+        return;
       }
-      // If 'continue', just log and proceed to next step
-      console.warn(`⚠ Pipeline step '${name}' failed: ${error.message}`);
+      // If 'continue', just log and let dependent steps run
+      console.warn(`⚠ Pipeline step '${node.name}' failed: ${error.message}`);
     }
-  }
-
-  const finalData = context.previousOutput; // Last step output is the result
+  };
 
-  // Cache entire pipeline result if enabled
-  if (isToBeCached && cachingKeys) {
-    await setInCache(cachingKeys, finalData);
+  // Nodes are in declaration order and dependencies may point forward,
+  // so look completions up lazily once every step promise exists
+  let started;
+  const ready = new Promise(resolve => { started = resolve; });
+  nodes.forEach(node => {
+    completions.set(node.name, ready
+      .then(() => Promise.all(node.dependsOn.map(dependency => completions.get(dependency))))
+      .then(() => limit(() => runStep(steps[node.index], node))));
+  });
+  started();
+  await Promise.all(completions.values());
+
+  const finishedSteps = executedSteps.filter(Boolean);
+
+  if (failure) {
+    return {
+      success: false,
+      error: `Pipeline failed at step '${failure.name}': ${failure.error.message}`,
+      ...(failure.error.code ? { code: failure.error.code } : {}),
+      ...(failure.error.retryAfterMs ? { retryAfterMs: failure.error.retryAfterMs } : {}),
+      steps: finishedSteps,
+      data: null
+    };
   }
 
+  // Output of the last successful, non-skipped step (in declaration order) is the result,
+  // unless a pipeline `response` mapping shapes it from the outputs of several steps
+  const lastStep = [...finishedSteps].reverse().find(step => step.success && !step.skipped);
+  const finalData = mapResponse(response, lastStep ? lastStep.data : null, buildScope(input, context));
+  const invalidated = await invalidateAfterCall(resolverConfig.invalidates, buildScope(input, context), finalData);
+
   return {
     success: true,
     data: finalData,
-    steps: executedSteps,
+    steps: finishedSteps,
+    mapped: response !== undefined,
     fromCache: false,
-    cached: isToBeCached && cachingKeys
+    cached: false,
+    ...(invalidated ? { invalidated } : {})
   };
 }
 
 /**
  * Execute a resolver (unit or pipeline)
+ * requestContext: { identity, request } of the inbound request (see utils/requestContext.js)
+ * options.name: name of a registered resolver (cache namespace 'resolver')
+ * The resolver's `auth` policy is checked first, a denied caller gets code FORBIDDEN
  */
-export async function executeResolver(resolverConfig, input = {}) {
+export async function executeResolver(resolverConfig, input = {}, requestContext = {}, options = {}) {
   const { type } = resolverConfig;
 
+  try {
+    assertAuthorized(resolverConfig.auth, requestContext.identity, 'resolver');
+  } catch (error) {
+    return failureResult(error);
+  }
+
   if (type === 'unit') {
-    return executeUnitResolver(resolverConfig, input);
+    return executeUnitResolver(resolverConfig, input, requestContext, options.name);
   } else if (type === 'pipeline') {
-    return executePipelineResolver(resolverConfig, input);
+    return executePipelineResolver(resolverConfig, input, requestContext, options.name);
   } else {
     throw new Error(`Unknown resolver type: ${type}`);
   }
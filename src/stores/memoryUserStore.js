@@ -0,0 +1,60 @@
+/**
+ * In-memory UserStore (see userStore.js)
+ * Default store and handy for tests, users are lost on restart
+ */
+export class MemoryUserStore {
+  constructor(users = []) {
+    this.users = new Map();
+    this.nextId = 1;
+    users.forEach(user => this.insert(user));
+  }
+
+  insert(user) {
+    const id = user.id !== undefined ? user.id : this.nextId;
+    const record = { ...user, id };
+    this.users.set(String(id), record);
+    if (typeof id === 'number' && id >= this.nextId) {
+      this.nextId = id + 1;
+    }
+    return { ...record };
+  }
+
+  findBy(field, value) {
+    const wanted = String(value).toLowerCase();
+    for (const user of this.users.values()) {
+      if (user[field] !== undefined && String(user[field]).toLowerCase() === wanted) {
+        return { ...user };
+      }
+    }
+    return null;
+  }
+
+  async findByUsername(username) {
+    return this.findBy('username', username);
+  }
+
+  async findByEmail(email) {
+    return this.findBy('email', email);
+  }
+
+  async create(user) {
+    if (this.findBy('username', user.username) || this.findBy('email', user.email)) {
+      throw new Error('User already exists');
+    }
+
+    // Ids come from a counter, never from the user count (deleted users would reuse ids)
+    const { id, ...fields } = user;
+    return this.insert(fields);
+  }
+
+  async update(id, changes) {
+    const user = this.users.get(String(id));
+    if (!user) {
+      return null;
+    }
+
+    const updated = { ...user, ...changes, id: user.id };
+    this.users.set(String(id), updated);
+    return { ...updated };
+  }
+}
@@ -0,0 +1,104 @@
+import { getRedisClient, overlapsCacheKeyspace } from '../services/cacheService.js';
+
+/**
+ * Redis-backed UserStore (see userStore.js), using the cacheService connection
+ * Call initializeRedis() before the first request.
+ *
+ * Keys (prefix defaults to 'bff:users', it must lie outside the cache key space):
+ * - <prefix>:id:<id>              - user record (JSON)
+ * - <prefix>:username:<username>  - id lookup (lowercase)
+ * - <prefix>:email:<email>        - id lookup (lowercase)
+ * - <prefix>:next-id              - id counter
+ */
+export class RedisUserStore {
+  constructor({ prefix = 'bff:users' } = {}) {
+    if (overlapsCacheKeyspace(`${prefix}:`)) {
+      throw new Error(`RedisUserStore prefix '${prefix}' overlaps the cache key space (CACHE_KEY_PREFIX)`);
+    }
+    this.prefix = prefix;
+  }
+
+  client() {
+    const client = getRedisClient();
+    if (!client) {
+      throw new Error('Redis is not connected, the user store is unavailable');
+    }
+    return client;
+  }
+
+  recordKey(id) {
+    return `${this.prefix}:id:${id}`;
+  }
+
+  indexKey(field, value) {
+    return `${this.prefix}:${field}:${String(value).toLowerCase()}`;
+  }
+
+  async findById(id) {
+    const raw = await this.client().get(this.recordKey(id));
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  async findByIndex(field, value) {
+    const id = await this.client().get(this.indexKey(field, value));
+    return id === null ? null : this.findById(id);
+  }
+
+  async findByUsername(username) {
+    return this.findByIndex('username', username);
+  }
+
+  async findByEmail(email) {
+    return this.findByIndex('email', email);
+  }
+
+  /**
+   * Claim a lookup key for an id, false when another user holds it
+   */
+  async claimIndex(field, value, id) {
+    const result = await this.client().set(this.indexKey(field, value), String(id), { NX: true });
+    return result === 'OK';
+  }
+
+  async create(user) {
+    const client = this.client();
+    const { id: ignoredId, ...fields } = user;
+    const id = await client.incr(`${this.prefix}:next-id`);
+
+    // Index keys are claimed atomically so concurrent registrations cannot share a username/email
+    if (!(await this.claimIndex('username', fields.username, id))) {
+      throw new Error('User already exists');
+    }
+    if (!(await this.claimIndex('email', fields.email, id))) {
+      await client.del(this.indexKey('username', fields.username));
+      throw new Error('User already exists');
+    }
+
+    const record = { ...fields, id };
+    await client.set(this.recordKey(id), JSON.stringify(record));
+    return record;
+  }
+
+  async update(id, changes) {
+    const client = this.client();
+    const user = await this.findById(id);
+    if (!user) {
+      return null;
+    }
+
+    const updated = { ...user, ...changes, id: user.id };
+
+    for (const field of ['username', 'email']) {
+      const previous = String(user[field]).toLowerCase();
+      if (changes[field] !== undefined && String(changes[field]).toLowerCase() !== previous) {
+        if (!(await this.claimIndex(field, changes[field], user.id))) {
+          throw new Error(`The ${field} is already taken`);
+        }
+        await client.del(this.indexKey(field, user[field]));
+      }
+    }
+
+    await client.set(this.recordKey(user.id), JSON.stringify(updated));
+    return updated;
+  }
+}
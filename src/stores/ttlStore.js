@@ -0,0 +1,165 @@
+import { getRedisClient } from '../services/cacheService.js';
+
+/**
+ * Key/value store with per-key TTLs for short-lived security state (token families, revocations)
+ * Values are kept in Redis when it is connected (shared by all instances), otherwise in memory.
+ * The memory fallback only protects a single instance and is lost on restart.
+ */
+
+// Expired memory entries are swept every SWEEP_INTERVAL writes
+const SWEEP_INTERVAL = 500;
+
+// Replace a JSON object only while every field of ARGV[1] still has the expected value
+const COMPARE_AND_SET_SCRIPT = `
+local raw = redis.call('GET', KEYS[1])
+if not raw then
+  return 0
+end
+local current = cjson.decode(raw)
+for field, value in pairs(cjson.decode(ARGV[1])) do
+  if current[field] ~= value then
+    return 0
+  end
+end
+redis.call('SET', KEYS[1], ARGV[2], 'EX', ARGV[3])
+return 1
+`;
+
+function matchesFields(value, expected) {
+  return value !== null && typeof value === 'object' &&
+    Object.entries(expected).every(([field, expectedValue]) => value[field] === expectedValue);
+}
+
+export class TtlStore {
+  constructor({ prefix = 'bff' } = {}) {
+    this.prefix = prefix;
+    this.memory = new Map();
+    this.writes = 0;
+  }
+
+  key(key) {
+    return `${this.prefix}:${key}`;
+  }
+
+  readMemory(key) {
+    const entry = this.memory.get(key);
+    if (!entry) {
+      return null;
+    }
+    if (entry.expiresAt <= Date.now()) {
+      this.memory.delete(key);
+      return null;
+    }
+    return entry.value;
+  }
+
+  sweepMemory() {
+    this.writes++;
+    if (this.writes % SWEEP_INTERVAL !== 0) {
+      return;
+    }
+    const now = Date.now();
+    this.memory.forEach((entry, key) => {
+      if (entry.expiresAt <= now) {
+        this.memory.delete(key);
+      }
+    });
+  }
+
+  /**
+   * Get a value, null when missing or expired
+   */
+  async get(key) {
+    const client = getRedisClient();
+    if (client) {
+      const raw = await client.get(this.key(key));
+      return raw === null ? null : JSON.parse(raw);
+    }
+    return this.readMemory(this.key(key));
+  }
+
+  /**
+   * Set a value that expires after ttlSeconds
+   */
+  async set(key, value, ttlSeconds) {
+    const ttl = Math.max(Math.ceil(ttlSeconds), 1);
+    const client = getRedisClient();
+    if (client) {
+      await client.setEx(this.key(key), ttl, JSON.stringify(value));
+      return;
+    }
+    this.sweepMemory();
+    this.memory.set(this.key(key), { value, expiresAt: Date.now() + ttl * 1000 });
+  }
+
+  /**
+   * Atomically replace an object value that still holds the expected fields, e.g. { currentJti, revoked: false }
+   * Resolves to false (and writes nothing) when the value is missing, expired or has changed
+   */
+  async compareAndSet(key, expected, value, ttlSeconds) {
+    const ttl = Math.max(Math.ceil(ttlSeconds), 1);
+    const client = getRedisClient();
+    if (client) {
+      const replaced = await client.eval(COMPARE_AND_SET_SCRIPT, {
+        keys: [this.key(key)],
+        arguments: [JSON.stringify(expected), JSON.stringify(value), String(ttl)]
+      });
+      return Number(replaced) === 1;
+    }
+    // No await between the check and the write, so concurrent callers cannot both succeed
+    if (!matchesFields(this.readMemory(this.key(key)), expected)) {
+      return false;
+    }
+    this.sweepMemory();
+    this.memory.set(this.key(key), { value, expiresAt: Date.now() + ttl * 1000 });
+    return true;
+  }
+
+  /**
+   * Atomically add 1 to a counter and return the new value
+   * The counter expires after ttlSeconds (the TTL is renewed on every increment)
+   */
+  async increment(key, ttlSeconds) {
+    const ttl = Math.max(Math.ceil(ttlSeconds), 1);
+    const client = getRedisClient();
+    if (client) {
+      const [value] = await client.multi().incr(this.key(key)).expire(this.key(key), ttl).exec();
+      return Number(value);
+    }
+    this.sweepMemory();
+    const value = (Number(this.readMemory(this.key(key))) || 0) + 1;
+    this.memory.set(this.key(key), { value, expiresAt: Date.now() + ttl * 1000 });
+    return value;
+  }
+
+  /**
+   * Renew the TTL of an existing value
+   */
+  async touch(key, ttlSeconds) {
+    const ttl = Math.max(Math.ceil(ttlSeconds), 1);
+    const client = getRedisClient();
+    if (client) {
+      await client.expire(this.key(key), ttl);
+      return;
+    }
+    const entry = this.memory.get(this.key(key));
+    if (entry && entry.expiresAt > Date.now()) {
+      entry.expiresAt = Date.now() + ttl * 1000;
+    }
+  }
+
+  /**
+   * Delete a value
+   */
+  async delete(key) {
+    const client = getRedisClient();
+    if (client) {
+      await client.del(this.key(key));
+      return;
+    }
+    this.memory.delete(this.key(key));
+  }
+}
+
+// Shared store for authentication state
+export const authStateStore = new TtlStore({ prefix: 'auth' });
@@ -0,0 +1,30 @@
+/**
+ * User Store interface used by authService
+ * Plug in your own database with createApp({ userStore }) or authService.setUserStore(store)
+ *
+ * A store is any object with these async methods:
+ * - findByUsername(username) → user or null
+ * - findByEmail(email)       → user or null
+ * - create(user)             → created user with its new `id` (throws when username or email is taken)
+ * - update(id, changes)      → updated user or null when the id is unknown
+ *
+ * A user is { id, username, email, name, passwordHash, roles, scopes } plus any extra fields of your own
+ * (roles and scopes become token claims, see utils/authorization.js).
+ * Legacy records may hold a plaintext `password` instead of `passwordHash`, it is replaced
+ * by a hash on the next successful login.
+ */
+
+export const USER_STORE_METHODS = ['findByUsername', 'findByEmail', 'create', 'update'];
+
+/**
+ * Throw unless the store implements the UserStore interface
+ */
+export function assertUserStore(store) {
+  const missing = USER_STORE_METHODS.filter(method => !store || typeof store[method] !== 'function');
+
+  if (missing.length > 0) {
+    throw new Error(`User store must implement ${missing.join(', ')}`);
+  }
+
+  return store;
+}
@@ -0,0 +1,66 @@
+/**
+ * Role and scope based authorization policies
+ * Declared as `auth: { roles, scopes }` on resolvers, pipeline steps and datasources:
+ *
+ * - roles: the caller needs at least one of these roles (roles claim)
+ * - scopes: the caller needs every one of these scopes (scopes claim)
+ *
+ * Anonymous callers ($identity null) never satisfy a policy.
+ */
+
+export const FORBIDDEN_CODE = 'FORBIDDEN';
+
+/**
+ * Why a caller does not satisfy a policy, null when it does (or there is no policy)
+ */
+export function getAuthorizationError(policy, identity) {
+  if (!policy) {
+    return null;
+  }
+
+  const roles = policy.roles || [];
+  const scopes = policy.scopes || [];
+  if (roles.length === 0 && scopes.length === 0) {
+    return null;
+  }
+
+  if (!identity) {
+    return 'authentication required';
+  }
+
+  const callerRoles = Array.isArray(identity.roles) ? identity.roles : [];
+  if (roles.length > 0 && !roles.some(role => callerRoles.includes(role))) {
+    return `requires one of the roles: ${roles.join(', ')}`;
+  }
+
+  const callerScopes = Array.isArray(identity.scopes) ? identity.scopes : [];
+  const missingScopes = scopes.filter(scope => !callerScopes.includes(scope));
+  if (missingScopes.length > 0) {
+    return `missing scopes: ${missingScopes.join(', ')}`;
+  }
+
+  return null;
+}
+
+/**
+ * Error for a denied call: status 403, code FORBIDDEN
+ */
+export function createForbiddenError(target, reason) {
+  const error = new Error(`Access to ${target} denied: ${reason}`);
+  error.status = 403;
+  error.code = FORBIDDEN_CODE;
+  // Retrying or counting it against the upstream breaker makes no sense
+  error.retryable = false;
+  return error;
+}
+
+/**
+ * Throw a FORBIDDEN error unless the caller satisfies the policy
+ * target names what is protected, e.g. "resolver 'getUser'" or "step 'getAuditLog'"
+ */
+export function assertAuthorized(policy, identity, target) {
+  const reason = getAuthorizationError(policy, identity);
+  if (reason) {
+    throw createForbiddenError(target, reason);
+  }
+}
@@ -0,0 +1,35 @@
+/**
+ * Concurrency helpers
+ */
+
+/**
+ * Create a limiter that runs at most `limit` tasks at the same time
+ * Usage: const limit = createLimiter(4); await limit(() => doWork());
+ */
+export function createLimiter(limit = Infinity) {
+  const max = Math.max(parseInt(limit) || Infinity, 1);
+  const queue = [];
+  let active = 0;
+
+  const next = () => {
+    if (active >= max || queue.length === 0) {
+      return;
+    }
+
+    active++;
+    const { task, resolve, reject } = queue.shift();
+
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  };
+
+  return (task) => new Promise((resolve, reject) => {
+    queue.push({ task, resolve, reject });
+    next();
+  });
+}
@@ -0,0 +1,10 @@
+import { hashValue } from './stableHash.js';
+
+/**
+ * Weak ETag of a JSON value: equal data gives an equal tag, whatever its key order
+ * Resolver responses are tagged over their data only (not the meta block), so Express answers
+ * conditional GET/HEAD requests with 304 when the data did not change
+ */
+export function computeEtag(data) {
+  return `W/"${hashValue(data === undefined ? null : data)}"`;
+}
@@ -0,0 +1,403 @@
+/**
+ * Expression evaluator for resolver templates
+ * A small, sandboxed language: no eval, no function calls, no prototype access
+ *
+ * Supported:
+ * - references: $prev.id, $steps.getUserPosts[0].id, $input["first-name"], $steps.list.length
+ * - literals: 'text', "text", 42, 1.5, true, false, null, ['a', 'b']
+ * - defaults: $input.page ?? 1
+ * - comparison: == != (strict, null == undefined), === !==, < <= > >= (numbers or strings only)
+ * - membership: 'gold' in ['gold', 'platinum'], 'id' in $prev, 'err' in $input.message
+ * - logic: && || ! (with JavaScript truthiness)
+ * - grouping: ( ... )
+ *
+ * References resolve against a scope object keyed by root name without the `$`,
+ * e.g. { input, prev, steps }. Missing paths evaluate to undefined.
+ */
+
+const IDENTIFIER_START = /[A-Za-z_]/;
+const IDENTIFIER_PART = /[A-Za-z0-9_]/;
+const BLOCKED_KEYS = new Set(['__proto__', 'prototype', 'constructor']);
+const parseCache = new Map();
+const PARSE_CACHE_LIMIT = 1000;
+
+// Longest operators first so '===' is not read as '==' followed by '='
+const OPERATORS = [
+  '===', '!==', '==', '!=', '<=', '>=', '&&', '||', '??',
+  '<', '>', '!', ',', '.', '[', ']', '(', ')'
+];
+
+/**
+ * Split an expression into tokens
+ */
+function tokenize(source) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < source.length) {
+    const char = source[i];
+
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    if (char === '$') {
+      let j = i + 1;
+      while (j < source.length && IDENTIFIER_PART.test(source[j])) {
+        j++;
+      }
+      if (j === i + 1) {
+        throw new Error(`Expected a reference name after '$' at position ${i}`);
+      }
+      tokens.push({ type: 'root', value: source.slice(i + 1, j) });
+      i = j;
+      continue;
+    }
+
+    if (char === '"' || char === "'") {
+      let j = i + 1;
+      let value = '';
+      while (j < source.length && source[j] !== char) {
+        if (source[j] === '\\' && j + 1 < source.length) {
+          j++;
+        }
+        value += source[j];
+        j++;
+      }
+      if (j >= source.length) {
+        throw new Error(`Unterminated string starting at position ${i}`);
+      }
+      tokens.push({ type: 'string', value });
+      i = j + 1;
+      continue;
+    }
+
+    if (/[0-9]/.test(char) || (char === '-' && /[0-9]/.test(source[i + 1] || ''))) {
+      const match = source.slice(i).match(/^-?\d+(\.\d+)?/);
+      tokens.push({ type: 'number', value: Number(match[0]) });
+      i += match[0].length;
+      continue;
+    }
+
+    if (IDENTIFIER_START.test(char)) {
+      let j = i;
+      while (j < source.length && IDENTIFIER_PART.test(source[j])) {
+        j++;
+      }
+      tokens.push({ type: 'identifier', value: source.slice(i, j) });
+      i = j;
+      continue;
+    }
+
+    const operator = OPERATORS.find(op => source.startsWith(op, i));
+    if (!operator) {
+      throw new Error(`Unexpected character '${char}' at position ${i}`);
+    }
+    tokens.push({ type: 'operator', value: operator });
+    i += operator.length;
+  }
+
+  return tokens;
+}
+
+/**
+ * Recursive descent parser producing a small AST
+ */
+class Parser {
+  constructor(source) {
+    this.source = source;
+    this.tokens = tokenize(source);
+    this.position = 0;
+  }
+
+  peek() {
+    return this.tokens[this.position];
+  }
+
+  isOperator(value) {
+    const token = this.peek();
+    return Boolean(token) && token.type === 'operator' && token.value === value;
+  }
+
+  expectOperator(value) {
+    if (!this.isOperator(value)) {
+      const token = this.peek();
+      throw new Error(`Expected '${value}' but found ${token ? `'${token.value}'` : 'end of expression'}`);
+    }
+    this.position++;
+  }
+
+  parse() {
+    const ast = this.parseExpression();
+    if (this.position < this.tokens.length) {
+      throw new Error(`Unexpected '${this.peek().value}' in expression '${this.source}'`);
+    }
+    return ast;
+  }
+
+  parseExpression() {
+    return this.parseCoalesce();
+  }
+
+  /**
+   * Parse a left-associative chain of binary operators
+   */
+  parseBinary(operators, parseOperand, type) {
+    let left = parseOperand();
+    let operator = operators.find(op => this.isOperator(op) || this.isKeyword(op));
+
+    while (operator) {
+      this.position++;
+      left = { type, operator, left, right: parseOperand() };
+      operator = operators.find(op => this.isOperator(op) || this.isKeyword(op));
+    }
+
+    return left;
+  }
+
+  isKeyword(value) {
+    const token = this.peek();
+    return Boolean(token) && token.type === 'identifier' && token.value === value;
+  }
+
+  parseCoalesce() {
+    return this.parseBinary(['??'], () => this.parseOr(), 'coalesce');
+  }
+
+  parseOr() {
+    return this.parseBinary(['||'], () => this.parseAnd(), 'logical');
+  }
+
+  parseAnd() {
+    return this.parseBinary(['&&'], () => this.parseEquality(), 'logical');
+  }
+
+  parseEquality() {
+    return this.parseBinary(['===', '!==', '==', '!='], () => this.parseComparison(), 'binary');
+  }
+
+  parseComparison() {
+    return this.parseBinary(['<=', '>=', '<', '>', 'in'], () => this.parseUnary(), 'binary');
+  }
+
+  parseUnary() {
+    if (this.isOperator('!')) {
+      this.position++;
+      return { type: 'not', argument: this.parseUnary() };
+    }
+    return this.parsePrimary();
+  }
+
+  parsePrimary() {
+    const token = this.peek();
+    if (!token) {
+      throw new Error(`Unexpected end of expression '${this.source}'`);
+    }
+
+    if (token.type === 'root') {
+      this.position++;
+      return { type: 'reference', root: token.value, path: this.parsePath() };
+    }
+
+    if (token.type === 'string' || token.type === 'number') {
+      this.position++;
+      return { type: 'literal', value: token.value };
+    }
+
+    if (token.type === 'identifier') {
+      const literals = { true: true, false: false, null: null };
+      if (token.value in literals) {
+        this.position++;
+        return { type: 'literal', value: literals[token.value] };
+      }
+      throw new Error(`Unknown identifier '${token.value}' (references start with $)`);
+    }
+
+    if (this.isOperator('(')) {
+      this.position++;
+      const inner = this.parseExpression();
+      this.expectOperator(')');
+      return inner;
+    }
+
+    if (this.isOperator('[')) {
+      this.position++;
+      const items = [];
+      while (!this.isOperator(']')) {
+        items.push(this.parseExpression());
+        if (!this.isOperator(',')) {
+          break;
+        }
+        this.position++;
+      }
+      this.expectOperator(']');
+      return { type: 'array', items };
+    }
+
+    throw new Error(`Unexpected '${token.value}' in expression '${this.source}'`);
+  }
+
+  parsePath() {
+    const path = [];
+
+    while (this.isOperator('.') || this.isOperator('[')) {
+      if (this.isOperator('.')) {
+        this.position++;
+        const token = this.peek();
+        if (!token || token.type !== 'identifier') {
+          throw new Error(`Expected a property name after '.' in '${this.source}'`);
+        }
+        path.push(token.value);
+        this.position++;
+      } else {
+        this.position++;
+        const token = this.peek();
+        if (!token || (token.type !== 'number' && token.type !== 'string')) {
+          throw new Error(`Expected an index or quoted key inside [] in '${this.source}'`);
+        }
+        path.push(token.value);
+        this.position++;
+        this.expectOperator(']');
+      }
+    }
+
+    return path;
+  }
+}
+
+/**
+ * Parse an expression (results are cached by source)
+ */
+export function parseExpression(source) {
+  if (parseCache.has(source)) {
+    return parseCache.get(source);
+  }
+
+  const ast = new Parser(String(source)).parse();
+  if (parseCache.size >= PARSE_CACHE_LIMIT) {
+    parseCache.delete(parseCache.keys().next().value);
+  }
+  parseCache.set(source, ast);
+  return ast;
+}
+
+/**
+ * Walk a property path, only own properties (plus length of arrays/strings) are visible
+ */
+export function getPath(value, path = []) {
+  let current = value;
+
+  for (const segment of path) {
+    if (current === null || current === undefined) {
+      return undefined;
+    }
+
+    const key = typeof segment === 'number' ? segment : String(segment);
+    if (BLOCKED_KEYS.has(key)) {
+      return undefined;
+    }
+
+    if (key === 'length' && (Array.isArray(current) || typeof current === 'string')) {
+      current = current.length;
+    } else if (typeof current === 'object' && Object.prototype.hasOwnProperty.call(current, key)) {
+      current = current[key];
+    } else {
+      return undefined;
+    }
+  }
+
+  return current;
+}
+
+/**
+ * Resolve $root.path against a scope
+ */
+export function resolveReference(root, path, scope = {}) {
+  if (!Object.prototype.hasOwnProperty.call(scope, root)) {
+    return undefined;
+  }
+  return getPath(scope[root], path);
+}
+
+function isComparable(left, right) {
+  return (typeof left === 'number' && typeof right === 'number') ||
+    (typeof left === 'string' && typeof right === 'string');
+}
+
+function evaluateBinary(operator, left, right) {
+  switch (operator) {
+    case '===':
+      return left === right;
+    case '!==':
+      return left !== right;
+    case '==':
+      return left === right || (left == null && right == null);
+    case '!=':
+      return !(left === right || (left == null && right == null));
+    case '<':
+      return isComparable(left, right) && left < right;
+    case '<=':
+      return isComparable(left, right) && left <= right;
+    case '>':
+      return isComparable(left, right) && left > right;
+    case '>=':
+      return isComparable(left, right) && left >= right;
+    case 'in':
+      if (Array.isArray(right)) {
+        return right.includes(left);
+      }
+      if (typeof right === 'string') {
+        return typeof left === 'string' && right.includes(left);
+      }
+      if (right && typeof right === 'object') {
+        return !BLOCKED_KEYS.has(String(left)) && Object.prototype.hasOwnProperty.call(right, String(left));
+      }
+      return false;
+    default:
+      throw new Error(`Unsupported operator '${operator}'`);
+  }
+}
+
+function evaluateNode(node, scope) {
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+    case 'reference':
+      return resolveReference(node.root, node.path, scope);
+    case 'array':
+      return node.items.map(item => evaluateNode(item, scope));
+    case 'coalesce': {
+      const left = evaluateNode(node.left, scope);
+      return left === undefined || left === null ? evaluateNode(node.right, scope) : left;
+    }
+    case 'logical': {
+      const left = evaluateNode(node.left, scope);
+      if (node.operator === '&&') {
+        return left ? evaluateNode(node.right, scope) : left;
+      }
+      return left ? left : evaluateNode(node.right, scope);
+    }
+    case 'not':
+      return !evaluateNode(node.argument, scope);
+    case 'binary':
+      return evaluateBinary(node.operator, evaluateNode(node.left, scope), evaluateNode(node.right, scope));
+    default:
+      throw new Error(`Unsupported expression node '${node.type}'`);
+  }
+}
+
+/**
+ * Evaluate an expression string against a scope, e.g.
+ * evaluateExpression('$input.page ?? 1', { input: {} }) → 1
+ */
+export function evaluateExpression(source, scope = {}) {
+  return evaluateNode(parseExpression(source), scope);
+}
+
+/**
+ * Evaluate an expression as a condition (JavaScript truthiness)
+ */
+export function evaluateCondition(source, scope = {}) {
+  return Boolean(evaluateExpression(source, scope));
+}
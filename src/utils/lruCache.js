@@ -0,0 +1,153 @@
+/**
+ * Bounded in-process LRU cache with per-entry TTL
+ * Bounded by entry count and by total size in bytes (size of the JSON form of each value).
+ * Values are returned as stored, callers must not mutate them.
+ */
+
+/**
+ * Convert a Redis glob pattern (*, ?, [abc], \x) to a RegExp
+ */
+export function globToRegExp(pattern) {
+  let source = '';
+  for (let index = 0; index < pattern.length; index++) {
+    const char = pattern[index];
+    if (char === '\\' && index + 1 < pattern.length) {
+      index++;
+      source += pattern[index].replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+    } else if (char === '*') {
+      source += '.*';
+    } else if (char === '?') {
+      source += '.';
+    } else if (char === '[') {
+      const end = pattern.indexOf(']', index + 1);
+      if (end === -1) {
+        source += '\\[';
+      } else {
+        const set = pattern.slice(index + 1, end).replace(/\\/g, '\\\\');
+        source += `[${set}]`;
+        index = end;
+      }
+    } else {
+      source += char.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`, 's');
+}
+
+export class LruCache {
+  /**
+   * onEvict(key) is called for every entry dropped to respect the limits (not for expired ones),
+   * onDelete(key) for every entry leaving the cache (evicted, expired, deleted, replaced or cleared)
+   */
+  constructor({ maxEntries = 1000, maxBytes = 50 * 1024 * 1024, onEvict = null, onDelete = null } = {}) {
+    this.maxEntries = maxEntries;
+    this.maxBytes = maxBytes;
+    this.onEvict = onEvict;
+    this.onDelete = onDelete;
+    this.entries = new Map(); // insertion order = least recently used first
+    this.bytes = 0;
+  }
+
+  /**
+   * Get a value, undefined when missing or expired
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return undefined;
+    }
+
+    if (entry.expiresAt <= Date.now()) {
+      this.delete(key);
+      return undefined;
+    }
+
+    // Move to the most recently used position
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  /**
+   * Look at an entry without refreshing its position: { value, ttlMs }, undefined when missing or expired
+   */
+  peek(key) {
+    const entry = this.entries.get(key);
+    if (!entry || entry.expiresAt <= Date.now()) {
+      return undefined;
+    }
+    return { value: entry.value, ttlMs: entry.expiresAt - Date.now() };
+  }
+
+  /**
+   * Store a value for ttlSeconds, size is its size in bytes
+   * Values larger than maxBytes are not stored
+   */
+  set(key, value, ttlSeconds, size) {
+    this.delete(key);
+
+    if (size > this.maxBytes || this.maxEntries < 1) {
+      return false;
+    }
+
+    this.entries.set(key, { value, size, expiresAt: Date.now() + ttlSeconds * 1000 });
+    this.bytes += size;
+    this.evict();
+    return true;
+  }
+
+  delete(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return false;
+    }
+    this.entries.delete(key);
+    this.bytes -= entry.size;
+    if (this.onDelete) {
+      this.onDelete(key);
+    }
+    return true;
+  }
+
+  /**
+   * Delete every key matching a Redis glob pattern, returns the number of deleted keys
+   */
+  deleteByPattern(pattern) {
+    const matcher = globToRegExp(pattern);
+    let deleted = 0;
+    Array.from(this.entries.keys()).forEach(key => {
+      if (matcher.test(key)) {
+        this.delete(key);
+        deleted++;
+      }
+    });
+    return deleted;
+  }
+
+  clear() {
+    const keys = Array.from(this.entries.keys());
+    this.entries.clear();
+    this.bytes = 0;
+    if (this.onDelete) {
+      keys.forEach(key => this.onDelete(key));
+    }
+  }
+
+  /**
+   * Drop least recently used entries until both limits hold
+   */
+  evict() {
+    const iterator = this.entries.keys();
+    while (this.entries.size > this.maxEntries || this.bytes > this.maxBytes) {
+      const key = iterator.next().value;
+      this.delete(key);
+      if (this.onEvict) {
+        this.onEvict(key);
+      }
+    }
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+}
@@ -0,0 +1,82 @@
+import crypto from 'crypto';
+import { promisify } from 'util';
+
+/**
+ * Password hashing with scrypt (memory-hard KDF from Node's crypto module)
+ * Hashes are self-describing so the cost can be raised later:
+ *   scrypt$<N>$<r>$<p>$<salt base64>$<hash base64>
+ */
+
+const scrypt = promisify(crypto.scrypt);
+
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+const SALT_LENGTH = 16;
+const PREFIX = 'scrypt';
+
+function parseHash(stored) {
+  const parts = typeof stored === 'string' ? stored.split('$') : [];
+  if (parts.length !== 6 || parts[0] !== PREFIX) {
+    return null;
+  }
+
+  const [, N, r, p, salt, hash] = parts;
+  return {
+    params: { N: parseInt(N), r: parseInt(r), p: parseInt(p) },
+    salt: Buffer.from(salt, 'base64'),
+    hash: Buffer.from(hash, 'base64')
+  };
+}
+
+async function derive(password, salt, { N, r, p }, keyLength) {
+  // scrypt needs 128 * N * r bytes, leave headroom over the 32MB default limit
+  return scrypt(String(password), salt, keyLength, { N, r, p, maxmem: 256 * N * r });
+}
+
+/**
+ * Hash a password with a random salt
+ */
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(SALT_LENGTH);
+  const hash = await derive(password, salt, SCRYPT_PARAMS, KEY_LENGTH);
+  const { N, r, p } = SCRYPT_PARAMS;
+  return `${PREFIX}$${N}$${r}$${p}$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+/**
+ * Check a password against a stored scrypt hash (constant-time comparison)
+ */
+export async function verifyPassword(password, stored) {
+  const parsed = parseHash(stored);
+  if (!parsed || parsed.hash.length === 0) {
+    return false;
+  }
+
+  const hash = await derive(password, parsed.salt, parsed.params, parsed.hash.length);
+  return crypto.timingSafeEqual(hash, parsed.hash);
+}
+
+/**
+ * Constant-time comparison of a password with a legacy plaintext value
+ */
+export function verifyLegacyPassword(password, legacyValue) {
+  if (typeof legacyValue !== 'string') {
+    return false;
+  }
+
+  const digest = value => crypto.createHash('sha256').update(String(value)).digest();
+  return crypto.timingSafeEqual(digest(password), digest(legacyValue));
+}
+
+/**
+ * True when a stored hash should be replaced: not an scrypt hash or weaker than the current parameters
+ */
+export function needsRehash(stored) {
+  const parsed = parseHash(stored);
+  if (!parsed) {
+    return true;
+  }
+
+  const { N, r, p } = parsed.params;
+  return N < SCRYPT_PARAMS.N || r < SCRYPT_PARAMS.r || p < SCRYPT_PARAMS.p || parsed.hash.length < KEY_LENGTH;
+}
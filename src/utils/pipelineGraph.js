@@ -0,0 +1,143 @@
+/**
+ * Pipeline Graph helpers
+ * Resolves step dependencies of pipeline resolvers into a DAG
+ *
+ * - A step with `dependsOn: [names]` runs once all of those steps have finished
+ * - A step with `dependsOn: []` has no dependencies and may start immediately
+ * - A step without `dependsOn` depends on the step declared before it (sequential behaviour)
+ */
+
+// $steps.name or $steps["name"] (quotes appear escaped in serialized definitions)
+const STEP_REFERENCE_PATTERN = /\$steps(?:\.([A-Za-z0-9]+)|\[\\?["']([A-Za-z0-9]+)\\?["']\])/g;
+
+/**
+ * Normalize steps to [{ name, index, dependsOn }] with implicit sequential dependencies filled in
+ */
+export function resolveDependencies(steps = []) {
+  return steps.map((step, index) => ({
+    name: step.name,
+    index,
+    dependsOn: Array.isArray(step.dependsOn)
+      ? step.dependsOn
+      : (index > 0 ? [steps[index - 1].name] : [])
+  }));
+}
+
+/**
+ * Names of the steps referenced through $steps.<name> anywhere in a step definition
+ */
+export function findStepReferences(step) {
+  const { name, dependsOn, ...definition } = step;
+  const serialized = JSON.stringify(definition) || '';
+  return Array.from(new Set(Array.from(serialized.matchAll(STEP_REFERENCE_PATTERN), match => match[1] || match[2])));
+}
+
+/**
+ * Validate the step graph, returns a list of problems (empty when valid)
+ * Checks duplicate names, unknown dependencies, cycles and $steps references to steps
+ * that are not (direct or transitive) dependencies
+ */
+export function validateStepGraph(steps = []) {
+  const errors = [];
+  const nodes = resolveDependencies(steps);
+  const byName = new Map();
+
+  nodes.forEach(node => {
+    if (byName.has(node.name)) {
+      errors.push(`Duplicate step name '${node.name}'`);
+    }
+    byName.set(node.name, node);
+  });
+
+  nodes.forEach(node => {
+    node.dependsOn.forEach(dependency => {
+      if (dependency === node.name) {
+        errors.push(`Step '${node.name}' cannot depend on itself`);
+      } else if (!byName.has(dependency)) {
+        errors.push(`Step '${node.name}' depends on unknown step '${dependency}'`);
+      }
+    });
+  });
+
+  if (errors.length > 0) {
+    return errors;
+  }
+
+  const cycle = findCycle(nodes);
+  if (cycle) {
+    return [`Circular step dependency: ${cycle.join(' → ')}`];
+  }
+
+  steps.forEach(step => {
+    const ancestors = getAncestors(nodes, step.name);
+    findStepReferences(step)
+      .filter(reference => !ancestors.has(reference))
+      .forEach(reference => {
+        errors.push(
+          `Step '${step.name}' references $steps.${reference} but does not depend on '${reference}' (add it to dependsOn)`
+        );
+      });
+  });
+
+  return errors;
+}
+
+/**
+ * Return the first dependency cycle found as a list of step names, or null
+ */
+export function findCycle(nodes) {
+  const byName = new Map(nodes.map(node => [node.name, node]));
+  const state = new Map(); // name → 'visiting' | 'done'
+  const path = [];
+
+  const visit = (name) => {
+    if (state.get(name) === 'done') {
+      return null;
+    }
+    if (state.get(name) === 'visiting') {
+      return [...path.slice(path.indexOf(name)), name];
+    }
+
+    state.set(name, 'visiting');
+    path.push(name);
+
+    for (const dependency of (byName.get(name)?.dependsOn || [])) {
+      const cycle = visit(dependency);
+      if (cycle) {
+        return cycle;
+      }
+    }
+
+    path.pop();
+    state.set(name, 'done');
+    return null;
+  };
+
+  for (const node of nodes) {
+    const cycle = visit(node.name);
+    if (cycle) {
+      return cycle;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * All direct and transitive dependencies of a step
+ */
+export function getAncestors(nodes, name) {
+  const byName = new Map(nodes.map(node => [node.name, node]));
+  const ancestors = new Set();
+  const queue = [...(byName.get(name)?.dependsOn || [])];
+
+  while (queue.length > 0) {
+    const current = queue.shift();
+    if (!ancestors.has(current)) {
+      ancestors.add(current);
+      queue.push(...(byName.get(current)?.dependsOn || []));
+    }
+  }
+
+  return ancestors;
+}
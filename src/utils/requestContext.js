@@ -0,0 +1,34 @@
+/**
+ * Request context of a resolver execution, available in templates and conditions as:
+ *
+ * - $identity - verified JWT claims of the caller (req.user), null for anonymous requests
+ * - $request  - { id, ip, method, path, headers } where headers only holds the selected
+ *               inbound headers (lowercase names), never Authorization or cookies
+ */
+
+// Inbound headers exposed as $request.headers unless createApp({ requestHeaders }) says otherwise
+export const DEFAULT_REQUEST_HEADERS = ['accept-language', 'user-agent', 'x-request-id', 'x-correlation-id'];
+
+/**
+ * Build the { identity, request } context of an Express request
+ */
+export function buildRequestContext(req, headerNames = DEFAULT_REQUEST_HEADERS) {
+  const headers = {};
+  headerNames.forEach(name => {
+    const value = req.get(name);
+    if (value !== undefined) {
+      headers[name.toLowerCase()] = value;
+    }
+  });
+
+  return {
+    identity: req.user || null,
+    request: {
+      id: req.id || null,
+      ip: req.ip,
+      method: req.method,
+      path: req.path,
+      headers
+    }
+  };
+}
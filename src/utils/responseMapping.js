@@ -0,0 +1,75 @@
+import { renderTemplate } from './template.js';
+
+/**
+ * Response mapping templates (similar to AppSync response mapping templates)
+ * Shape the data returned by a unit resolver, a pipeline step or a whole pipeline.
+ *
+ * A mapping is a template evaluated against the resolver scope, where $result is the
+ * current output (unit response, step output or last pipeline step output):
+ *
+ * - "$result.user.name"                       - a single value (type preserved)
+ * - { id: "$result.id", owner: { name: "$steps.getUser.name" } }
+ *                                             - pick / rename / nest fields from several steps
+ * - { "$pick": ["id", "title"], "from": "$result" }
+ *                                             - copy only the listed fields of an object
+ * - { "$map": "$steps.getPosts", "to": { id: "$item.id", position: "$index" } }
+ *                                             - map every element of an array ($item, $index)
+ */
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function pick(source, fields) {
+  if (!isPlainObject(source)) {
+    return source === undefined ? null : source;
+  }
+
+  const picked = {};
+  fields.forEach(field => {
+    if (Object.prototype.hasOwnProperty.call(source, field)) {
+      picked[field] = source[field];
+    }
+  });
+  return picked;
+}
+
+/**
+ * Apply a response mapping to a scope (see module docs for the mapping syntax)
+ */
+export function applyResponseMapping(mapping, scope) {
+  if (typeof mapping === 'string') {
+    return renderTemplate(mapping, scope);
+  }
+
+  if (Array.isArray(mapping)) {
+    return mapping.map(item => applyResponseMapping(item, scope));
+  }
+
+  if (!isPlainObject(mapping)) {
+    return mapping;
+  }
+
+  if ('$map' in mapping) {
+    const items = applyResponseMapping(mapping.$map, scope);
+    if (!Array.isArray(items)) {
+      return [];
+    }
+    const to = mapping.to === undefined ? '$item' : mapping.to;
+    return items.map((item, index) => applyResponseMapping(to, { ...scope, item, index }));
+  }
+
+  if ('$pick' in mapping) {
+    const source = applyResponseMapping(mapping.from === undefined ? '$result' : mapping.from, scope);
+    if (Array.isArray(source)) {
+      return source.map(entry => pick(entry, mapping.$pick));
+    }
+    return pick(source, mapping.$pick);
+  }
+
+  const mapped = {};
+  Object.entries(mapping).forEach(([key, value]) => {
+    mapped[key] = applyResponseMapping(value, scope);
+  });
+  return mapped;
+}
@@ -0,0 +1,30 @@
+/**
+ * Request coalescing ("singleflight")
+ */
+
+/**
+ * Create a group in which concurrent calls with the same key share one in-flight promise
+ * Usage: const flights = createSingleflight(); await flights.run(key, () => fetchData());
+ * The key is released once the call settles, later calls start a new one
+ */
+export function createSingleflight() {
+  const inFlight = new Map();
+
+  return {
+    run(key, task) {
+      if (inFlight.has(key)) {
+        return inFlight.get(key);
+      }
+
+      const promise = Promise.resolve()
+        .then(task)
+        .finally(() => inFlight.delete(key));
+      inFlight.set(key, promise);
+      return promise;
+    },
+
+    get size() {
+      return inFlight.size;
+    }
+  };
+}
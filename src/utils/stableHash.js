@@ -0,0 +1,31 @@
+import crypto from 'crypto';
+
+/**
+ * Stable hashing of JSON values (cache keys, request coalescing keys)
+ */
+
+/**
+ * JSON with sorted object keys, so equal values always hash the same
+ */
+export function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(item => stableStringify(item === undefined ? null : item)).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * Short stable hash of any JSON value
+ */
+export function hashValue(value) {
+  return crypto.createHash('sha256').update(stableStringify(value)).digest('hex').slice(0, 32);
+}
@@ -0,0 +1,151 @@
+import { evaluateExpression, parseExpression, resolveReference } from './expression.js';
+
+/**
+ * Template rendering for resolver configs (path, body, headers, params, variables, ...)
+ *
+ * - "$prev.id" / "$steps.getUserPosts[0].id" - bare references inside any string
+ * - "${$input.page ?? 1}"                    - full expressions, e.g. with a default value
+ * - A string that is exactly one reference keeps the referenced value's type
+ *   ("$steps.getUser" → the whole object, "${$input.limit ?? 10}" → the number 10)
+ * - Inside a larger string, values are stringified (objects as JSON, null/undefined as '')
+ *   and URL-encoded when `encode` is set (used for paths and query strings), `encode` may also be
+ *   a function (value → string) replacing encodeURIComponent
+ *
+ * Only roots present in the scope are substituted, any other `$word` is left untouched.
+ */
+
+const BARE_REFERENCE = /^\$([A-Za-z_][A-Za-z0-9_]*)((?:\.[A-Za-z_][A-Za-z0-9_]*|\[\d+\]|\[(?:"[^"]*"|'[^']*')\])*)/;
+
+/**
+ * Find the end of a ${...} block, skipping braces inside quoted strings
+ */
+function findExpressionEnd(text, start) {
+  let quote = null;
+
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+    if (quote) {
+      if (char === '\\') {
+        i++;
+      } else if (char === quote) {
+        quote = null;
+      }
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '}') {
+      return i;
+    }
+  }
+
+  return -1;
+}
+
+/**
+ * Split a string into literal text and expression parts
+ */
+function tokenizeTemplate(text, scope) {
+  const parts = [];
+  let literal = '';
+  let i = 0;
+
+  while (i < text.length) {
+    if (text[i] === '$' && text[i + 1] === '{') {
+      const end = findExpressionEnd(text, i + 2);
+      if (end !== -1) {
+        if (literal) {
+          parts.push({ literal });
+          literal = '';
+        }
+        parts.push({ expression: text.slice(i + 2, end).trim() });
+        i = end + 1;
+        continue;
+      }
+    }
+
+    if (text[i] === '$') {
+      const match = text.slice(i).match(BARE_REFERENCE);
+      if (match && Object.prototype.hasOwnProperty.call(scope, match[1])) {
+        if (literal) {
+          parts.push({ literal });
+          literal = '';
+        }
+        parts.push({ reference: parseExpression(match[0]) });
+        i += match[0].length;
+        continue;
+      }
+    }
+
+    literal += text[i];
+    i++;
+  }
+
+  if (literal) {
+    parts.push({ literal });
+  }
+
+  return parts;
+}
+
+function evaluatePart(part, scope) {
+  if (part.reference) {
+    return resolveReference(part.reference.root, part.reference.path, scope);
+  }
+  return evaluateExpression(part.expression, scope);
+}
+
+function stringify(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Render a single string template
+ */
+export function renderString(text, scope = {}, { encode = false } = {}) {
+  const parts = tokenizeTemplate(text, scope);
+
+  // Whole-value reference: keep the referenced type
+  if (!encode && parts.length === 1 && !('literal' in parts[0])) {
+    return evaluatePart(parts[0], scope);
+  }
+
+  if (parts.every(part => 'literal' in part)) {
+    return text;
+  }
+
+  return parts.map(part => {
+    if ('literal' in part) {
+      return part.literal;
+    }
+    const value = stringify(evaluatePart(part, scope));
+    if (!encode) {
+      return value;
+    }
+    return typeof encode === 'function' ? encode(value) : encodeURIComponent(value);
+  }).join('');
+}
+
+/**
+ * Render strings anywhere inside a value (objects and arrays are walked recursively)
+ */
+export function renderTemplate(value, scope = {}, options = {}) {
+  if (typeof value === 'string') {
+    return renderString(value, scope, options);
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(item => renderTemplate(item, scope, options));
+  }
+
+  if (typeof value === 'object' && value !== null) {
+    const rendered = {};
+    Object.entries(value).forEach(([key, val]) => {
+      rendered[key] = renderTemplate(val, scope, options);
+    });
+    return rendered;
+  }
+
+  return value;
+}
@@ -0,0 +1,11 @@
+import joi from 'joi';
+
+/**
+ * Cache administration payloads
+ */
+
+// Either a Redis glob pattern or a tag (see cacheTags)
+export const cachePurgeSchema = joi.object({
+  pattern: joi.string().min(1),
+  tag: joi.string().min(1)
+}).xor('pattern', 'tag');
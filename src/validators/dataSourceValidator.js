@@ -1,8 +1,13 @@
 import joi from 'joi';
+import { retryPolicySchema } from './resolverValidator.js';
 
 export const datasourceSchema = joi.object({
     datasource: joi.string().required(),
-    path: joi.string().required(),
+    path: joi.when('query', {
+      is: joi.exist(),
+      then: joi.string().allow('').default(''),
+      otherwise: joi.string().required()
+    }),
     body: joi.when('method', {
       is: joi.string().valid('POST', 'PUT', 'PATCH'),
       then: joi.object().required(),
@@ -10,6 +15,11 @@ export const datasourceSchema = joi.object({
     }),
     headers: joi.object().optional(),
     params: joi.object().optional(),
+    query: joi.string().optional(),
+    variables: joi.object().optional(),
+    operationName: joi.string().optional(),
+    errorPolicy: joi.string().valid('none', 'all').optional(),
+    retryPolicy: retryPolicySchema.optional(),
     method: joi.string().valid('GET', 'POST', 'PUT', 'DELETE', 'PATCH').default('GET'),
     isToBeCached: joi.boolean().default(false),
     cachingKeys: joi.when('isToBeCached', {
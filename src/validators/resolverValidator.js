@@ -1,16 +1,82 @@
 import joi from 'joi';
+import { validateStepGraph } from '../utils/pipelineGraph.js';
+import { parseExpression } from '../utils/expression.js';
 
 /**
  * Resolver Validator
  * Joi schemas for unit and pipeline resolvers (AppSync-like)
  */
 
-// Schema for a single datasource call step
-const stepSchema = joi.object({
-  name: joi.string().alphanum().required(),
+// GraphQL operation fields (used with graphql datasources instead of body)
+const graphqlFields = {
+  query: joi.string().optional(),
+  variables: joi.alternatives().try(joi.object(), joi.string()).optional(),
+  operationName: joi.string().optional(),
+  errorPolicy: joi.string().valid('none', 'all').optional() // 'all' accepts partial data with errors
+};
+
+// path is optional for GraphQL operations (the endpoint is the datasource baseUrl)
+const pathField = joi.when('query', {
+  is: joi.exist(),
+  then: joi.string().allow('').default(''),
+  otherwise: joi.string().required()
+});
+
+// Retry policy override (merged over the datasource retryPolicy)
+export const retryPolicySchema = joi.object({
+  maxAttempts: joi.number().integer().min(1).optional(),
+  methods: joi.array().items(joi.string().uppercase().valid('GET', 'HEAD', 'OPTIONS', 'POST', 'PUT', 'DELETE', 'PATCH')).optional(),
+  statusCodes: joi.array().items(joi.number().integer().min(100).max(599)).optional(),
+  errorCodes: joi.array().items(joi.string()).optional(),
+  baseDelayMs: joi.number().integer().min(0).optional(),
+  maxDelayMs: joi.number().integer().min(0).optional(),
+  jitter: joi.string().valid('full', 'none').optional(),
+  respectRetryAfter: joi.boolean().optional(),
+  maxRetryAfterMs: joi.number().integer().min(0).optional()
+});
+
+// Condition expression, syntax-checked at validation time (see utils/expression.js)
+const conditionField = joi.string().custom((value, helpers) => {
+  try {
+    parseExpression(value);
+    return value;
+  } catch (error) {
+    return helpers.message({ custom: `Invalid condition '${value}': ${error.message}` });
+  }
+});
+
+// Response mapping template (see utils/responseMapping.js)
+const responseField = joi.alternatives().try(joi.string(), joi.object(), joi.array()).optional();
+
+// Cache policy of a resolver or step, in seconds (see services/resolverCache.js)
+export const cachePolicySchema = joi.object({
+  ttl: joi.number().integer().min(1).optional(), // default CACHE_TTL
+  staleWhileRevalidate: joi.number().integer().min(0).default(0),
+  staleIfError: joi.number().integer().min(0).default(0),
+  lockMs: joi.number().integer().min(0).default(0) // milliseconds, cross-instance refresh lock
+});
+
+// Cache settings (see services/resolverCache.js)
+// cachingKeys is a template over $input/$identity/$steps, omitted = hash of the substituted request
+const cacheFields = {
+  isToBeCached: joi.boolean().default(false),
+  cachePolicy: cachePolicySchema.optional(),
+  cachingKeys: joi.string().optional(),
+  cacheScope: joi.alternatives().try(
+    joi.string().valid('global', 'resolver', 'user', 'tenant'),
+    joi.array().items(joi.string().valid('resolver', 'user', 'tenant')).unique()
+  ).optional(),
+  // Tags given to stored entries (templates), purgeable with POST /api/admin/cache/purge { tag }
+  cacheTags: joi.array().items(joi.string().min(1)).optional(),
+  // Keys or glob patterns deleted after a successful call (templates, $result = upstream response)
+  invalidates: joi.array().items(joi.string()).optional()
+};
+
+// Fields of a single datasource call (a step, or a case of a branch step)
+const callFields = {
   datasource: joi.string().required(),
   method: joi.string().valid('GET', 'POST', 'PUT', 'DELETE', 'PATCH').default('GET'),
-  path: joi.string().required(),
+  path: pathField,
   body: joi.when('method', {
     is: joi.string().valid('POST', 'PUT', 'PATCH'),
     then: joi.alternatives().try(
@@ -21,20 +87,64 @@ const stepSchema = joi.object({
   }),
   headers: joi.object().optional(),
   params: joi.object().optional(),
-  isToBeCached: joi.boolean().default(false),
-  cachingKeys: joi.when('isToBeCached', {
-    is: true,
-    then: joi.string().required(),
-    otherwise: joi.string().optional()
-  })
+  ...graphqlFields,
+  retryPolicy: retryPolicySchema.optional(),
+  response: responseField,
+  ...cacheFields
+};
+
+// Required roles (any of) and scopes (all of) of the caller, see utils/authorization.js
+export const authPolicySchema = joi.object({
+  roles: joi.array().items(joi.string()).optional(),
+  scopes: joi.array().items(joi.string()).optional()
+});
+
+// Fields shared by every pipeline step
+const stepFields = {
+  name: joi.string().alphanum().required(),
+  dependsOn: joi.array().items(joi.string().alphanum()).unique().optional(), // omitted = after the previous step
+  when: conditionField.optional(), // step is skipped when the condition is falsy
+  continueOnError: joi.boolean().optional(), // failure does not fail the pipeline (see $errors)
+  auth: authPolicySchema.optional() // caller must satisfy it or the step fails with FORBIDDEN
+};
+
+// Schema for a single datasource call step
+// With forEach the call runs once per element of the referenced array ($item, $index)
+const callStepSchema = joi.object({
+  ...stepFields,
+  ...callFields,
+  forEach: joi.string().optional(), // e.g. "$prev.items" or "$steps.getOrders"
+  concurrency: joi.number().integer().min(1).max(50).optional(), // Max item calls in parallel (default 5)
+  onError: joi.string().valid('fail', 'skip', 'null').optional() // Per-item failure handling (default 'fail')
+})
+  .with('concurrency', 'forEach')
+  .with('onError', 'forEach');
+
+// Schema for a branch step: runs the first case whose `when` holds, else `default`
+const branchStepSchema = joi.object({
+  ...stepFields,
+  response: responseField,
+  branch: joi.object({
+    cases: joi.array().items(joi.object({
+      when: conditionField.required(),
+      ...callFields
+    })).min(1).required(),
+    default: joi.object(callFields).optional()
+  }).required()
 });
 
+const stepSchema = joi.alternatives().conditional(
+  joi.object({ branch: joi.exist() }).unknown(),
+  { then: branchStepSchema, otherwise: callStepSchema }
+);
+
 // Unit resolver schema
 export const unitResolverSchema = joi.object({
   type: joi.string().valid('unit').required(),
+  auth: authPolicySchema.optional(),
   datasource: joi.string().required(),
   method: joi.string().valid('GET', 'POST', 'PUT', 'DELETE', 'PATCH').default('GET'),
-  path: joi.string().required(),
+  path: pathField,
   body: joi.when('method', {
     is: joi.string().valid('POST', 'PUT', 'PATCH'),
     then: joi.object().required(),
@@ -42,29 +152,36 @@ export const unitResolverSchema = joi.object({
   }),
   headers: joi.object().optional(),
   params: joi.object().optional(),
-  isToBeCached: joi.boolean().default(false),
-  cachingKeys: joi.when('isToBeCached', {
-    is: true,
-    then: joi.string().required(),
-    otherwise: joi.string().optional()
-  })
+  ...graphqlFields,
+  retryPolicy: retryPolicySchema.optional(),
+  response: responseField,
+  ...cacheFields
 });
 
 // Pipeline resolver schema
 export const pipelineResolverSchema = joi.object({
   type: joi.string().valid('pipeline').required(),
+  auth: authPolicySchema.optional(),
   steps: joi.array().items(stepSchema).min(1).required(),
   onError: joi.string().valid('failFast', 'continue').default('failFast'), // How to handle step failures
-  isToBeCached: joi.boolean().default(false),
-  cachingKeys: joi.when('isToBeCached', {
-    is: true,
-    then: joi.string().required(),
-    otherwise: joi.string().optional()
-  })
+  concurrency: joi.number().integer().min(1).max(50).default(5), // Max steps running in parallel
+  response: responseField, // Shapes the final result from the step outputs
+  ...cacheFields
+}).custom((value, helpers) => {
+  // Unknown dependencies, cycles and $steps references outside dependsOn
+  const errors = validateStepGraph(value.steps);
+  return errors.length > 0 ? helpers.message({ custom: errors.join('; ') }) : value;
+});
+
+// REST route generated for a named resolver, path is relative to /api (e.g. /users/:id/dashboard)
+export const httpRouteSchema = joi.object({
+  method: joi.string().uppercase().valid('GET', 'POST', 'PUT', 'DELETE', 'PATCH').default('GET'),
+  path: joi.string().pattern(/^\/[A-Za-z0-9_\-/:.]*$/).required(),
+  status: joi.number().integer().min(200).max(299).default(200) // Success status code
 });
 
-// Combined resolver schema (accepts both unit and pipeline)
-export const resolverSchema = joi.alternatives().try(
-  unitResolverSchema,
-  pipelineResolverSchema
+// Combined resolver schema (picks the unit or pipeline schema by type)
+export const resolverSchema = joi.alternatives().conditional(
+  joi.object({ type: joi.valid('unit').required() }).unknown(),
+  { then: unitResolverSchema, otherwise: pipelineResolverSchema }
 );
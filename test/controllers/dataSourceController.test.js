@@ -0,0 +1,84 @@
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import express from 'express';
+import redis from 'redis';
+import { createFakeRedis } from '../helpers/fakeRedis.js';
+import { initializeRedis, disconnectRedis } from '../../src/services/cacheService.js';
+import dataSourceRoutes from '../../src/routes/dataSourceRoutes.js';
+import authRoutes from '../../src/routes/authRoutes.js';
+import { requireAuth } from '../../src/middleware/authMiddleware.js';
+import { dataSourceManager } from '../../src/datasources/dataSourceManager.js';
+
+describe('POST /api/datasources/call', () => {
+  const fake = createFakeRedis();
+  let upstream;
+  let server;
+  let baseUrl;
+
+  const login = async (username, password) => {
+    const response = await fetch(`${baseUrl}/auth/login`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify({ username, password })
+    });
+    return (await response.json()).data.accessToken;
+  };
+
+  const callDatasource = (token, body) => fetch(`${baseUrl}/api/datasources/call`, {
+    method: 'POST',
+    headers: { authorization: `Bearer ${token}`, 'content-type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+
+  before(async () => {
+    mock.method(redis, 'createClient', () => fake);
+    await initializeRedis();
+
+    upstream = http.createServer((req, res) => {
+      res.setHeader('content-type', 'application/json');
+      res.end(JSON.stringify({ secret: 'payroll' }));
+    }).listen(0);
+    await new Promise(resolve => upstream.once('listening', resolve));
+
+    dataSourceManager.registerDatasource('PAYROLL', {
+      type: 'http',
+      baseUrl: `http://127.0.0.1:${upstream.address().port}`,
+      timeout: 2000,
+      retryCount: 1,
+      auth: { roles: ['admin'] }
+    });
+
+    // The datasource routes are exported for embedders, createApp does not mount them
+    const app = express();
+    app.use(express.json());
+    app.use('/auth', authRoutes);
+    app.use('/api', requireAuth, dataSourceRoutes);
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    dataSourceManager.unregisterDatasource('PAYROLL');
+    await new Promise(resolve => server.close(resolve));
+    await new Promise(resolve => upstream.close(resolve));
+    await disconnectRedis();
+    mock.restoreAll();
+  });
+
+  it('checks the datasource policy before serving a cached response', async () => {
+    const request = { datasource: 'PAYROLL', path: '/salaries', isToBeCached: true, cachingKeys: 'payroll:salaries' };
+
+    const adminResponse = await callDatasource(await login('admin', 'password123'), request);
+    assert.equal(adminResponse.status, 200);
+    assert.deepEqual((await adminResponse.json()).data, { secret: 'payroll' });
+    assert.ok(fake.data.has('cache:payroll:salaries'));
+
+    const userResponse = await callDatasource(await login('user', 'userpass456'), request);
+    const body = await userResponse.json();
+    assert.equal(userResponse.status, 403);
+    assert.equal(body.code, 'FORBIDDEN');
+    assert.equal(body.data, undefined);
+  });
+});
@@ -0,0 +1,136 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  CircuitBreaker,
+  CIRCUIT_STATES,
+  CIRCUIT_OPEN_CODE,
+  isUpstreamFailure
+} from '../../src/datasources/circuitBreaker.js';
+import { dataSourceManager } from '../../src/datasources/dataSourceManager.js';
+
+const withStatus = status => Object.assign(new Error(`HTTP ${status}`), { response: { status } });
+const withCode = code => Object.assign(new Error(code), { code });
+
+describe('isUpstreamFailure', () => {
+  it('counts 5xx responses', () => {
+    assert.equal(isUpstreamFailure(withStatus(500)), true);
+    assert.equal(isUpstreamFailure(withStatus(503)), true);
+  });
+
+  it('does not count 4xx responses', () => {
+    assert.equal(isUpstreamFailure(withStatus(400)), false);
+    assert.equal(isUpstreamFailure(withStatus(404)), false);
+    assert.equal(isUpstreamFailure(withStatus(429)), false);
+  });
+
+  it('counts network errors and timeouts', () => {
+    for (const code of ['ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'ENOTFOUND', 'ERR_NETWORK']) {
+      assert.equal(isUpstreamFailure(withCode(code)), true, code);
+    }
+  });
+
+  it('does not count GraphQL application errors', () => {
+    const error = Object.assign(new Error('GraphQL operation failed'), {
+      graphqlErrors: [{ message: 'Not found' }],
+      retryable: false
+    });
+    assert.equal(isUpstreamFailure(error), false);
+  });
+
+  it('does not count config or validation errors without a response', () => {
+    const error = Object.assign(new Error("DataSource 'GQL' is a graphql datasource and requires a query"), {
+      retryable: false
+    });
+    assert.equal(isUpstreamFailure(error), false);
+    assert.equal(isUpstreamFailure(new TypeError('Invalid URL')), false);
+  });
+
+  it('does not count an open breaker rejection', () => {
+    assert.equal(isUpstreamFailure(withCode(CIRCUIT_OPEN_CODE)), false);
+  });
+});
+
+describe('CircuitBreaker', () => {
+  const options = { minimumRequests: 2, windowSize: 4, failureRateThreshold: 0.5, openDurationMs: 60000 };
+
+  it('opens once the failure rate reaches the threshold', () => {
+    const breaker = new CircuitBreaker('TEST', options);
+    breaker.recordFailure();
+    assert.equal(breaker.state, CIRCUIT_STATES.CLOSED);
+    breaker.recordFailure();
+    assert.equal(breaker.state, CIRCUIT_STATES.OPEN);
+    assert.equal(breaker.allowRequest(), false);
+  });
+
+  it('stays closed while failures are below the threshold', () => {
+    const breaker = new CircuitBreaker('TEST', { ...options, failureRateThreshold: 0.75 });
+    breaker.recordSuccess();
+    breaker.recordFailure();
+    breaker.recordSuccess();
+    assert.equal(breaker.state, CIRCUIT_STATES.CLOSED);
+    assert.equal(breaker.allowRequest(), true);
+  });
+
+  it('lets one probe through after the open duration and closes when it succeeds', async () => {
+    const breaker = new CircuitBreaker('TEST', { ...options, openDurationMs: 20 });
+    breaker.recordFailure();
+    breaker.recordFailure();
+    assert.ok(breaker.createOpenError().retryAfterMs > 0);
+
+    await new Promise(resolve => setTimeout(resolve, 30));
+    assert.equal(breaker.getState().state, CIRCUIT_STATES.HALF_OPEN);
+    assert.equal(breaker.allowRequest(), true);
+    assert.equal(breaker.allowRequest(), false);
+
+    breaker.recordSuccess();
+    assert.equal(breaker.state, CIRCUIT_STATES.CLOSED);
+    assert.equal(breaker.getFailureRate(), 0);
+  });
+
+  it('opens again when the probe fails', async () => {
+    const breaker = new CircuitBreaker('TEST', { ...options, openDurationMs: 20 });
+    breaker.recordFailure();
+    breaker.recordFailure();
+
+    await new Promise(resolve => setTimeout(resolve, 30));
+    assert.equal(breaker.allowRequest(), true);
+    breaker.recordFailure();
+    assert.equal(breaker.state, CIRCUIT_STATES.OPEN);
+    assert.equal(breaker.allowRequest(), false);
+  });
+
+  it('never rejects calls when disabled', () => {
+    const breaker = new CircuitBreaker('TEST', false);
+    breaker.recordFailure();
+    breaker.recordFailure();
+    assert.equal(breaker.allowRequest(), true);
+  });
+});
+
+describe('DataSourceManager.executeWithRetry', () => {
+  const breakerOptions = { minimumRequests: 2, windowSize: 4, failureRateThreshold: 0.5 };
+
+  it('keeps the breaker closed when an upstream keeps answering with GraphQL errors', async () => {
+    const datasource = { name: 'GQL_ERRORS', retryCount: 1, circuitBreaker: breakerOptions };
+    const operation = async () => {
+      throw Object.assign(new Error('GraphQL operation failed'), { graphqlErrors: [{ message: 'boom' }], retryable: false });
+    };
+
+    for (let i = 0; i < 4; i++) {
+      await assert.rejects(dataSourceManager.executeWithRetry('GQL_ERRORS', datasource, operation), /GraphQL operation failed/);
+    }
+    assert.equal(dataSourceManager.getCircuitBreaker(datasource).state, CIRCUIT_STATES.CLOSED);
+  });
+
+  it('opens the breaker when the upstream refuses connections', async () => {
+    const datasource = { name: 'DOWN', retryCount: 1, circuitBreaker: breakerOptions };
+    const operation = async () => {
+      throw withCode('ECONNREFUSED');
+    };
+
+    for (let i = 0; i < 2; i++) {
+      await assert.rejects(dataSourceManager.executeWithRetry('DOWN', datasource, operation));
+    }
+    await assert.rejects(dataSourceManager.executeWithRetry('DOWN', datasource, operation), { code: CIRCUIT_OPEN_CODE });
+  });
+});
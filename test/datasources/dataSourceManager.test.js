@@ -0,0 +1,141 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { dataSourceManager } from '../../src/datasources/dataSourceManager.js';
+
+describe('DataSourceManager environment datasources', () => {
+  const variables = {
+    DATASOURCE_LEGACY_API: 'https|https://legacy.example.com|1000|1',
+    DATASOURCE_TYPO_API: 'htpp|http://typo.example.com|1000|1',
+    DATASOURCE_GRAPH_API: 'graphql|http://graph.example.com/graphql|1000|1'
+  };
+
+  before(() => {
+    Object.assign(process.env, variables);
+  });
+
+  after(() => {
+    Object.keys(variables).forEach(name => delete process.env[name]);
+  });
+
+  it('loads unknown and legacy types with the http adapter', () => {
+    const legacy = dataSourceManager.getDatasource('LEGACY_API');
+    assert.equal(legacy.type, 'http');
+    assert.equal(legacy.baseUrl, 'https://legacy.example.com');
+
+    assert.equal(dataSourceManager.getDatasource('TYPO_API').type, 'http');
+  });
+
+  it('keeps registered types', () => {
+    assert.equal(dataSourceManager.getDatasource('GRAPH_API').type, 'graphql');
+  });
+
+  it('still rejects unknown types registered at runtime', () => {
+    assert.throws(() => dataSourceManager.registerDatasource('RUNTIME', { type: 'soap', baseUrl: 'http://x' }), /not registered/);
+  });
+});
+
+describe('DataSourceManager type registry', () => {
+  const calls = [];
+  const closed = [];
+  let failures = 0;
+
+  const queueAdapter = {
+    parseConfig: config => ({ queue: config.queue }),
+    async call(datasource, request) {
+      calls.push({ queue: datasource.queue, request });
+      if (request.fail) {
+        failures++;
+        const error = new Error('rejected by the queue');
+        error.retryable = false;
+        throw error;
+      }
+      return { status: 202, data: { queued: request.message }, headers: {} };
+    },
+    healthCheck: async datasource => ({ healthy: datasource.queue === 'orders' }),
+    close: async datasource => { closed.push(datasource.name); }
+  };
+
+  before(() => {
+    dataSourceManager.registerType('queue', queueAdapter);
+    dataSourceManager.registerDatasource('ORDER_QUEUE', { type: 'queue', queue: 'orders', retryCount: 3 });
+  });
+
+  it('hands calls to the adapter of the type with the config it parsed', async () => {
+    const result = await dataSourceManager.callDatasource('ORDER_QUEUE', { message: 'order 1' });
+
+    assert.equal(result.status, 202);
+    assert.deepEqual(result.data, { queued: 'order 1' });
+    assert.deepEqual(calls.at(-1), { queue: 'orders', request: { message: 'order 1', headers: {} } });
+    assert.ok(dataSourceManager.listTypes().includes('queue'));
+  });
+
+  it('does not retry errors the adapter flags as not retryable', async () => {
+    await assert.rejects(dataSourceManager.callDatasource('ORDER_QUEUE', { fail: true }), /rejected by the queue/);
+    assert.equal(failures, 1);
+  });
+
+  it('checks health and releases resources through the adapter', async () => {
+    const health = await dataSourceManager.healthCheck('ORDER_QUEUE');
+    assert.equal(health.healthy, true);
+    assert.equal(health.type, 'queue');
+
+    dataSourceManager.unregisterDatasource('ORDER_QUEUE');
+    await new Promise(resolve => setImmediate(resolve));
+    assert.deepEqual(closed, ['order_queue']);
+  });
+
+  it('rejects adapters without call()', () => {
+    assert.throws(() => dataSourceManager.registerType('broken', {}), /must implement call\(\)/);
+  });
+});
+
+describe('DataSourceManager call coalescing', () => {
+  let upstream;
+  let calls = 0;
+
+  before(async () => {
+    // Answers after 20ms so concurrent calls overlap
+    upstream = http.createServer((req, res) => {
+      calls++;
+      setTimeout(() => {
+        res.setHeader('content-type', 'application/json');
+        res.end(JSON.stringify({ call: calls }));
+      }, 20);
+    }).listen(0);
+    await new Promise(resolve => upstream.once('listening', resolve));
+
+    const baseUrl = `http://127.0.0.1:${upstream.address().port}`;
+    dataSourceManager.registerDatasource('COALESCED_API', { type: 'http', baseUrl, timeout: 2000, retryCount: 1 });
+    dataSourceManager.registerDatasource('UNCOALESCED_API', { type: 'http', baseUrl, timeout: 2000, retryCount: 1, coalesce: false });
+  });
+
+  after(async () => {
+    dataSourceManager.unregisterDatasource('COALESCED_API');
+    dataSourceManager.unregisterDatasource('UNCOALESCED_API');
+    await new Promise(resolve => upstream.close(resolve));
+  });
+
+  const callTwice = (name, configs) => Promise.all(configs.map(config => dataSourceManager.callDatasource(name, config)));
+
+  it('shares one upstream call between identical reads, whatever their request ids', async () => {
+    calls = 0;
+    const [first, second] = await callTwice('COALESCED_API', [
+      { path: '/items', headers: { 'X-Request-Id': 'req-1' } },
+      { path: '/items', headers: { 'X-Request-Id': 'req-2' } }
+    ]);
+
+    assert.equal(calls, 1);
+    assert.deepEqual(first.data, second.data);
+  });
+
+  it('calls the upstream for each differing read, write or uncoalesced datasource', async () => {
+    calls = 0;
+    await callTwice('COALESCED_API', [{ path: '/items', params: { page: 1 } }, { path: '/items', params: { page: 2 } }]);
+    await callTwice('COALESCED_API', [{ path: '/items', headers: { authorization: 'a' } }, { path: '/items', headers: { authorization: 'b' } }]);
+    await callTwice('COALESCED_API', [{ method: 'POST', path: '/items' }, { method: 'POST', path: '/items' }]);
+    await callTwice('UNCOALESCED_API', [{ path: '/items' }, { path: '/items' }]);
+
+    assert.equal(calls, 8);
+  });
+});
@@ -0,0 +1,95 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { dataSourceManager } from '../../src/datasources/dataSourceManager.js';
+
+describe('graphql datasources', () => {
+  let server;
+  const received = [];
+
+  // Answers with the envelope named by the operation
+  const envelopes = {
+    GetUser: { data: { user: { id: 1 } } },
+    Partial: { data: { user: { id: 1 } }, errors: [{ message: 'email is hidden' }] },
+    Failing: { data: null, errors: [{ message: 'user not found' }] },
+    Empty: {}
+  };
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        const payload = JSON.parse(body);
+        received.push({ method: req.method, payload });
+        res.setHeader('content-type', 'application/json');
+        res.end(JSON.stringify(envelopes[payload.operationName]));
+      });
+    }).listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+
+    dataSourceManager.registerDatasource('GRAPHQL_TEST', {
+      type: 'graphql',
+      baseUrl: `http://127.0.0.1:${server.address().port}/graphql`,
+      timeout: 2000,
+      retryCount: 1
+    });
+  });
+
+  after(async () => {
+    dataSourceManager.unregisterDatasource('GRAPHQL_TEST');
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it('posts the operation and unwraps its data', async () => {
+    const result = await dataSourceManager.callDatasource('GRAPHQL_TEST', {
+      query: 'query GetUser($id: ID!) { user(id: $id) { id } }',
+      variables: { id: 1 },
+      operationName: 'GetUser'
+    });
+
+    assert.deepEqual(result.data, { user: { id: 1 } });
+    assert.equal(result.partial, undefined);
+    const { method, payload } = received.at(-1);
+    assert.equal(method, 'POST');
+    assert.deepEqual(payload.variables, { id: 1 });
+  });
+
+  it('fails on errors unless the error policy accepts partial data', async () => {
+    const call = errorPolicy => dataSourceManager.callDatasource('GRAPHQL_TEST', {
+      query: 'query Partial { user { id email } }',
+      operationName: 'Partial',
+      errorPolicy
+    });
+
+    await assert.rejects(call('none'), error => {
+      assert.match(error.message, /email is hidden/);
+      assert.deepEqual(error.graphqlErrors, [{ message: 'email is hidden' }]);
+      return true;
+    });
+
+    const partial = await call('all');
+    assert.equal(partial.partial, true);
+    assert.deepEqual(partial.data, { user: { id: 1 } });
+    assert.deepEqual(partial.errors, [{ message: 'email is hidden' }]);
+  });
+
+  it('fails on errors without data whatever the error policy', async () => {
+    await assert.rejects(dataSourceManager.callDatasource('GRAPHQL_TEST', {
+      query: 'query Failing { user { id } }',
+      operationName: 'Failing',
+      errorPolicy: 'all'
+    }), /user not found/);
+  });
+
+  it('fails on a response without data or errors', async () => {
+    await assert.rejects(dataSourceManager.callDatasource('GRAPHQL_TEST', {
+      query: 'query Empty { user { id } }',
+      operationName: 'Empty'
+    }), /contained no data/);
+  });
+
+  it('requires a query', async () => {
+    await assert.rejects(dataSourceManager.callDatasource('GRAPHQL_TEST', { path: '/users' }), /requires a query/);
+  });
+});
@@ -0,0 +1,103 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { normalizeHeaderPolicy, buildPropagatedHeaders } from '../../src/datasources/headerPropagation.js';
+import { dataSourceManager } from '../../src/datasources/dataSourceManager.js';
+import { executeResolver } from '../../src/services/resolverService.js';
+
+const requestContext = {
+  identity: { id: 42, username: 'admin' },
+  request: { id: 'req-1', headers: { 'accept-language': 'fr', 'x-request-id': 'spoofed' } }
+};
+
+describe('normalizeHeaderPolicy', () => {
+  it('is null when nothing is propagated', () => {
+    assert.equal(normalizeHeaderPolicy({}), null);
+    assert.equal(normalizeHeaderPolicy({ propagateHeaders: [], injectHeaders: {} }), null);
+  });
+
+  it('lowercases propagated header names', () => {
+    assert.deepEqual(normalizeHeaderPolicy({ propagateHeaders: ['Accept-Language'] }), {
+      propagate: ['accept-language'],
+      inject: {}
+    });
+  });
+});
+
+describe('buildPropagatedHeaders', () => {
+  it('forwards selected headers and uses the request id rather than the inbound header', () => {
+    const policy = normalizeHeaderPolicy({ propagateHeaders: ['accept-language', 'x-request-id', 'user-agent'] });
+    assert.deepEqual(buildPropagatedHeaders(policy, requestContext), {
+      'accept-language': 'fr',
+      'x-request-id': 'req-1'
+    });
+  });
+
+  it('renders injected headers from $identity and $request and leaves out empty ones', () => {
+    const policy = normalizeHeaderPolicy({
+      injectHeaders: { 'X-User-Id': '$identity.id', 'X-Tenant': '$identity.tenant', 'X-Trace': 'bff-$request.id' }
+    });
+    assert.deepEqual(buildPropagatedHeaders(policy, requestContext), { 'X-User-Id': '42', 'X-Trace': 'bff-req-1' });
+    assert.deepEqual(buildPropagatedHeaders(policy, { identity: null, request: {} }), { 'X-Trace': 'bff-' });
+  });
+
+  it('adds nothing without a policy or a request context', () => {
+    assert.deepEqual(buildPropagatedHeaders(null, requestContext), {});
+    assert.deepEqual(buildPropagatedHeaders(normalizeHeaderPolicy({ propagateHeaders: ['x-request-id'] })), {});
+  });
+});
+
+describe('header propagation on datasource calls', () => {
+  let upstream;
+
+  before(async () => {
+    upstream = http.createServer((req, res) => {
+      res.setHeader('content-type', 'application/json');
+      res.end(JSON.stringify({
+        language: req.headers['accept-language'] || null,
+        userId: req.headers['x-user-id'] || null
+      }));
+    }).listen(0);
+    await new Promise(resolve => upstream.once('listening', resolve));
+
+    dataSourceManager.registerDatasource('PROPAGATION_API', {
+      type: 'http',
+      baseUrl: `http://127.0.0.1:${upstream.address().port}`,
+      timeout: 2000,
+      retryCount: 1,
+      propagateHeaders: ['accept-language'],
+      injectHeaders: { 'X-User-Id': '$identity.id' }
+    });
+  });
+
+  after(async () => {
+    dataSourceManager.unregisterDatasource('PROPAGATION_API');
+    await new Promise(resolve => upstream.close(resolve));
+  });
+
+  it('sends the caller context, headers set by the resolver win', async () => {
+    const propagated = await executeResolver(
+      { type: 'unit', datasource: 'PROPAGATION_API', path: '/me' },
+      {},
+      requestContext
+    );
+    assert.deepEqual(propagated.data, { language: 'fr', userId: '42' });
+
+    const overridden = await executeResolver(
+      { type: 'unit', datasource: 'PROPAGATION_API', path: '/me', headers: { 'Accept-Language': 'de' } },
+      {},
+      requestContext
+    );
+    assert.equal(overridden.data.language, 'de');
+  });
+
+  it('exposes $identity and $request to pipeline steps', async () => {
+    const result = await executeResolver({
+      type: 'pipeline',
+      steps: [{ name: 'me', datasource: 'PROPAGATION_API', path: '/users/$identity.id?request=$request.id' }],
+      response: { userId: '$steps.me.userId', requestId: '$request.id' }
+    }, {}, requestContext);
+
+    assert.deepEqual(result.data, { userId: '42', requestId: 'req-1' });
+  });
+});
@@ -0,0 +1,112 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { parseCacheControl, normalizeHttpCacheOptions } from '../../src/datasources/httpCache.js';
+import { dataSourceManager } from '../../src/datasources/dataSourceManager.js';
+
+describe('parseCacheControl', () => {
+  it('reads the directives the cache uses', () => {
+    assert.deepEqual(parseCacheControl('public, max-age=60, s-maxage="30"'), {
+      noStore: false,
+      noCache: false,
+      private: false,
+      maxAge: 60,
+      sMaxage: 30
+    });
+    assert.equal(parseCacheControl('No-Store').noStore, true);
+    assert.equal(parseCacheControl('max-age=-1').maxAge, null);
+    assert.equal(parseCacheControl(undefined).maxAge, null);
+  });
+
+  it('normalizes the httpCache option', () => {
+    assert.equal(normalizeHttpCacheOptions(false), null);
+    assert.equal(normalizeHttpCacheOptions({ maxTtl: '300' }).maxTtl, 300);
+    assert.equal(normalizeHttpCacheOptions(true).maxTtl, null);
+  });
+});
+
+describe('HTTP cache of http datasources', () => {
+  let upstream;
+  const requests = [];
+
+  // /fresh/* is fresh for a minute, /etag/* must be revalidated, /private/* is never stored
+  before(async () => {
+    upstream = http.createServer((req, res) => {
+      requests.push({ url: req.url, ifNoneMatch: req.headers['if-none-match'] || null });
+      res.setHeader('content-type', 'application/json');
+      if (req.url.startsWith('/fresh')) {
+        res.setHeader('cache-control', 'max-age=60');
+      } else if (req.url.startsWith('/etag')) {
+        res.setHeader('cache-control', 'no-cache');
+        res.setHeader('etag', '"v1"');
+        if (req.headers['if-none-match'] === '"v1"') {
+          res.statusCode = 304;
+          res.end();
+          return;
+        }
+      } else {
+        res.setHeader('cache-control', 'private, max-age=60');
+      }
+      res.end(JSON.stringify({ url: req.url, user: req.headers['x-user-id'] || null }));
+    }).listen(0);
+    await new Promise(resolve => upstream.once('listening', resolve));
+
+    dataSourceManager.registerDatasource('HTTP_CACHED_API', {
+      type: 'http',
+      baseUrl: `http://127.0.0.1:${upstream.address().port}`,
+      timeout: 2000,
+      retryCount: 1,
+      coalesce: false,
+      httpCache: true,
+      propagateHeaders: ['x-request-id'],
+      injectHeaders: { 'X-User-Id': '$identity.id' }
+    });
+  });
+
+  after(async () => {
+    dataSourceManager.unregisterDatasource('HTTP_CACHED_API');
+    await new Promise(resolve => upstream.close(resolve));
+  });
+
+  const get = (path, { requestId = 'req-1', userId = 1 } = {}) => dataSourceManager.callDatasource('HTTP_CACHED_API', {
+    path,
+    requestContext: { identity: { id: userId }, request: { id: requestId, headers: {} } }
+  });
+
+  it('serves fresh responses from the cache, whatever the request id', async () => {
+    const first = await get('/fresh/1', { requestId: 'req-1' });
+    const second = await get('/fresh/1', { requestId: 'req-2' });
+
+    assert.equal(first.httpCache, 'miss');
+    assert.equal(second.httpCache, 'hit');
+    assert.deepEqual(second.data, first.data);
+    assert.equal(requests.filter(request => request.url === '/fresh/1').length, 1);
+  });
+
+  it('never shares responses between propagated identities', async () => {
+    await get('/fresh/2', { userId: 1 });
+    const other = await get('/fresh/2', { userId: 2 });
+
+    assert.equal(other.httpCache, 'miss');
+    assert.equal(other.data.user, '2');
+  });
+
+  it('revalidates stored responses with If-None-Match', async () => {
+    const first = await get('/etag/1');
+    const second = await get('/etag/1');
+
+    assert.equal(first.httpCache, 'miss');
+    assert.equal(second.httpCache, 'revalidated');
+    assert.equal(second.status, 200);
+    assert.deepEqual(second.data, first.data);
+    assert.deepEqual(requests.filter(request => request.url === '/etag/1').map(request => request.ifNoneMatch), [null, '"v1"']);
+  });
+
+  it('does not store private responses or non-GET calls', async () => {
+    await get('/private/1');
+    assert.equal((await get('/private/1')).httpCache, 'miss');
+
+    const post = await dataSourceManager.callDatasource('HTTP_CACHED_API', { method: 'POST', path: '/fresh/3' });
+    assert.equal(post.httpCache, undefined);
+  });
+});
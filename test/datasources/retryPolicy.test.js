@@ -0,0 +1,155 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import {
+  resolveRetryPolicy,
+  shouldRetry,
+  parseRetryAfter,
+  computeRetryDelay
+} from '../../src/datasources/retryPolicy.js';
+import { graphqlAdapter } from '../../src/datasources/adapters/graphqlAdapter.js';
+import { dataSourceManager } from '../../src/datasources/dataSourceManager.js';
+
+const withStatus = (status, headers = {}) => Object.assign(new Error(`HTTP ${status}`), { response: { status, headers } });
+const withCode = code => Object.assign(new Error(code), { code });
+
+describe('retry policy', () => {
+  it('merges layers over the defaults, ignoring undefined values and unknown keys', () => {
+    const policy = resolveRetryPolicy({ maxAttempts: 5, methods: ['get', 'post'] }, { maxAttempts: undefined, unknown: 1 });
+
+    assert.equal(policy.maxAttempts, 5);
+    assert.deepEqual(policy.methods, ['GET', 'POST']);
+    assert.equal(policy.unknown, undefined);
+    assert.equal(policy.baseDelayMs, 100);
+  });
+
+  it('retries idempotent methods on retryable statuses and network errors', () => {
+    const policy = resolveRetryPolicy();
+
+    assert.equal(shouldRetry(policy, 'GET', withStatus(503)), true);
+    assert.equal(shouldRetry(policy, 'PUT', withCode('ECONNRESET')), true);
+    assert.equal(shouldRetry(policy, 'GET', withStatus(404)), false);
+    assert.equal(shouldRetry(policy, 'GET', withCode('EINVAL')), false);
+  });
+
+  it('never retries non-idempotent methods unless the policy lists them', () => {
+    assert.equal(shouldRetry(resolveRetryPolicy(), 'POST', withStatus(503)), false);
+    assert.equal(shouldRetry(resolveRetryPolicy(), 'POST', Object.assign(new Error('x'), { retryable: true })), false);
+    assert.equal(shouldRetry(resolveRetryPolicy({ methods: ['POST'] }), 'POST', withStatus(503)), true);
+  });
+
+  it('reads Retry-After as seconds or as an HTTP date', () => {
+    assert.equal(parseRetryAfter(withStatus(503, { 'retry-after': '2' })), 2000);
+
+    const date = new Date(Date.now() + 60000).toUTCString();
+    const delay = parseRetryAfter(withStatus(503, { 'retry-after': date }));
+    assert.ok(delay > 50000 && delay <= 60000);
+
+    assert.equal(parseRetryAfter(withStatus(503)), null);
+  });
+
+  it('waits for Retry-After and gives up when it exceeds maxRetryAfterMs', () => {
+    const policy = resolveRetryPolicy({ maxRetryAfterMs: 5000 });
+
+    assert.equal(computeRetryDelay(policy, 1, withStatus(429, { 'retry-after': '3' })), 3000);
+    assert.equal(computeRetryDelay(policy, 1, withStatus(429, { 'retry-after': '10' })), null);
+    assert.equal(computeRetryDelay(resolveRetryPolicy({ respectRetryAfter: false, jitter: 'none' }), 1,
+      withStatus(429, { 'retry-after': '10' })), 100);
+  });
+
+  it('backs off exponentially up to maxDelayMs, with full jitter below the cap', () => {
+    const policy = resolveRetryPolicy({ jitter: 'none', baseDelayMs: 100, maxDelayMs: 500 });
+    assert.deepEqual([1, 2, 3, 4].map(attempt => computeRetryDelay(policy, attempt, withStatus(503))), [100, 200, 400, 500]);
+
+    const jittered = computeRetryDelay(resolveRetryPolicy({ baseDelayMs: 100 }), 3, withStatus(503));
+    assert.ok(jittered >= 0 && jittered < 400);
+  });
+});
+
+describe('graphql retry method', () => {
+  const methodOf = (query, operationName) => graphqlAdapter.retryMethod({ query, operationName });
+
+  it('retries queries like GET requests', () => {
+    assert.equal(methodOf('query GetUser { user { id } }'), 'GET');
+    assert.equal(methodOf('{ user { id } }'), 'GET');
+    assert.equal(methodOf('query Q($f: Filter = { active: true }) { users(filter: $f) { id } }'), 'GET');
+    assert.equal(methodOf('query Q { note(text: "mutation { x }") }'), 'GET');
+  });
+
+  it('finds a mutation after comments and fragment definitions', () => {
+    assert.equal(methodOf('# refresh the profile\nmutation Save { save { id } }'), 'POST');
+    assert.equal(methodOf('fragment F on User { id }\nmutation { save { ...F } }'), 'POST');
+  });
+
+  it('picks the operation named by operationName', () => {
+    const document = 'query Read { user { id } }\nmutation Write { save { id } }';
+    assert.equal(methodOf(document, 'Read'), 'GET');
+    assert.equal(methodOf(document, 'Write'), 'POST');
+  });
+
+  it('treats documents whose operation cannot be told as mutations', () => {
+    assert.equal(methodOf('query Read { user { id } }\nmutation Write { save { id } }'), 'POST');
+    assert.equal(methodOf('query Read { user { id } }', 'Missing'), 'POST');
+    assert.equal(methodOf('{ user { id }'), 'POST');
+    assert.equal(methodOf('subscription { events { id } }'), 'POST');
+  });
+});
+
+describe('DataSourceManager retries', () => {
+  let server;
+  const attempts = { '/flaky': 0, '/create': 0, '/missing': 0 };
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      attempts[req.url]++;
+      if (req.url === '/flaky' && attempts['/flaky'] === 1) {
+        res.writeHead(503, { 'retry-after': '0' });
+        return res.end();
+      }
+      if (req.url !== '/flaky') {
+        res.writeHead(req.url === '/missing' ? 404 : 503);
+        return res.end();
+      }
+      res.setHeader('content-type', 'application/json');
+      res.end(JSON.stringify({ ok: true }));
+    }).listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+
+    dataSourceManager.registerDatasource('RETRY_TEST', {
+      type: 'http',
+      baseUrl: `http://127.0.0.1:${server.address().port}`,
+      timeout: 2000,
+      retryCount: 3,
+      retryPolicy: { baseDelayMs: 1 },
+      circuitBreaker: false
+    });
+  });
+
+  after(async () => {
+    dataSourceManager.unregisterDatasource('RETRY_TEST');
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it('retries a GET after a 503 honouring Retry-After', async () => {
+    const result = await dataSourceManager.callDatasource('RETRY_TEST', { path: '/flaky' });
+    assert.deepEqual(result.data, { ok: true });
+    assert.equal(attempts['/flaky'], 2);
+  });
+
+  it('does not retry a POST or a 404', async () => {
+    await assert.rejects(dataSourceManager.callDatasource('RETRY_TEST', { method: 'POST', path: '/create' }), /after 1 attempt/);
+    assert.equal(attempts['/create'], 1);
+
+    await assert.rejects(dataSourceManager.callDatasource('RETRY_TEST', { path: '/missing' }), /after 1 attempt/);
+    assert.equal(attempts['/missing'], 1);
+  });
+
+  it('retries a POST when the call overrides the policy', async () => {
+    await assert.rejects(dataSourceManager.callDatasource('RETRY_TEST', {
+      method: 'POST',
+      path: '/create',
+      retryPolicy: { methods: ['POST'], maxAttempts: 2 }
+    }), /after 2 attempts/);
+    assert.equal(attempts['/create'], 3);
+  });
+});
@@ -0,0 +1,163 @@
+import { EventEmitter } from 'node:events';
+
+/**
+ * In-memory stand-in for the node-redis client, covering the commands the BFF uses
+ * Install it with `mock.method(redis, 'createClient', () => createFakeRedis())` before initializeRedis()
+ * Clients emit 'ready' when they connect; duplicates share the data and are kept in `duplicates`,
+ * subscriptions in `subscriptions` (channel → listener)
+ */
+
+function globToRegExp(pattern) {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '\\' && i + 1 < pattern.length) {
+      source += pattern[++i].replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    } else if (char === '*') {
+      source += '.*';
+    } else if (char === '?') {
+      source += '.';
+    } else {
+      source += char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+export function createFakeRedis(data = new Map()) {
+  const expiries = new Map();
+
+  const alive = key => {
+    if (expiries.has(key) && expiries.get(key) <= Date.now()) {
+      data.delete(key);
+      expiries.delete(key);
+    }
+    return data.has(key);
+  };
+
+  const remove = keys => [].concat(keys).filter(key => {
+    const existed = alive(key);
+    data.delete(key);
+    expiries.delete(key);
+    return existed;
+  }).length;
+
+  const client = Object.assign(new EventEmitter(), {
+    data,
+    isReady: false,
+    duplicates: [],
+    subscriptions: new Map(),
+    async connect() {
+      client.isReady = true;
+      client.emit('ready');
+    },
+    async quit() {
+      client.isReady = false;
+    },
+    destroy() {
+      client.isReady = false;
+    },
+    duplicate() {
+      const duplicate = createFakeRedis(data);
+      client.duplicates.push(duplicate);
+      return duplicate;
+    },
+    async subscribe(channel, listener) {
+      client.subscriptions.set(channel, listener);
+    },
+    async publish() {
+      return 0;
+    },
+    async get(key) {
+      return alive(key) ? data.get(key) : null;
+    },
+    async set(key, value, options = {}) {
+      if (options.NX && alive(key)) {
+        return null;
+      }
+      data.set(key, String(value));
+      expiries.delete(key);
+      if (options.PX) {
+        expiries.set(key, Date.now() + options.PX);
+      }
+      return 'OK';
+    },
+    async setEx(key, seconds, value) {
+      data.set(key, String(value));
+      expiries.set(key, Date.now() + seconds * 1000);
+      return 'OK';
+    },
+    async del(keys) {
+      return remove(keys);
+    },
+    async unlink(keys) {
+      return remove(keys);
+    },
+    async exists(key) {
+      return alive(key) ? 1 : 0;
+    },
+    async incr(key) {
+      const value = (Number(alive(key) ? data.get(key) : 0) || 0) + 1;
+      data.set(key, String(value));
+      return value;
+    },
+    async expire(key, seconds) {
+      return client.pExpire(key, seconds * 1000);
+    },
+    async pExpire(key, ms) {
+      if (!alive(key)) {
+        return 0;
+      }
+      expiries.set(key, Date.now() + ms);
+      return 1;
+    },
+    async pTTL(key) {
+      if (!alive(key)) {
+        return -2;
+      }
+      return expiries.has(key) ? expiries.get(key) - Date.now() : -1;
+    },
+    // Only the scripts of services/cacheLock.js (compare and delete) and cacheService.js (tag a key)
+    async eval(script, { keys, arguments: args }) {
+      if (script.includes("redis.call('SADD'")) {
+        const members = alive(keys[0]) ? data.get(keys[0]) : new Set();
+        data.set(keys[0], members.add(args[0]));
+        return 1;
+      }
+      if (!script.includes("redis.call('DEL'")) {
+        throw new Error('Unsupported script');
+      }
+      return alive(keys[0]) && data.get(keys[0]) === args[0] ? remove(keys) : 0;
+    },
+    async sMembers(key) {
+      return alive(key) ? [...data.get(key)] : [];
+    },
+    async *scanIterator({ MATCH = '*' } = {}) {
+      const matcher = globToRegExp(MATCH);
+      yield [...data.keys()].filter(key => alive(key) && matcher.test(key));
+    },
+    multi() {
+      const commands = [];
+      const chain = new Proxy({}, {
+        get(target, name) {
+          if (name === 'exec') {
+            return async () => {
+              const results = [];
+              for (const [command, args] of commands) {
+                results.push(await client[command](...args));
+              }
+              return results;
+            };
+          }
+          return (...args) => {
+            commands.push([name, args]);
+            return chain;
+          };
+        }
+      });
+      return chain;
+    }
+  });
+
+  return client;
+}
@@ -0,0 +1,53 @@
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createApp } from '../../src/app.js';
+import { authService } from '../../src/services/authService.js';
+
+describe('auth gate', () => {
+  const servers = [];
+
+  const listen = async app => {
+    const server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    servers.push(server);
+    return `http://127.0.0.1:${server.address().port}`;
+  };
+
+  const get = (baseUrl, path, token) => fetch(`${baseUrl}${path}`, {
+    headers: token ? { authorization: `Bearer ${token}` } : {}
+  });
+
+  after(async () => {
+    await Promise.all(servers.map(server => new Promise(resolve => server.close(resolve))));
+  });
+
+  it('requires a valid Bearer token on /api routes', async () => {
+    const baseUrl = await listen(createApp());
+    const { accessToken } = await authService.login('admin', 'password123');
+
+    assert.equal((await get(baseUrl, '/api/resolvers')).status, 401);
+    assert.equal((await get(baseUrl, '/API/resolvers')).status, 401);
+    assert.equal((await get(baseUrl, '/api/resolvers', 'not-a-jwt')).status, 401);
+    assert.equal((await get(baseUrl, '/api/resolvers', accessToken)).status, 200);
+    assert.equal((await get(baseUrl, '/health')).status, 200);
+  });
+
+  it('rejects tokens revoked by logout', async () => {
+    const baseUrl = await listen(createApp());
+    const { accessToken } = await authService.login('user', 'userpass456');
+
+    await authService.logout(accessToken);
+    const response = await get(baseUrl, '/api/resolvers', accessToken);
+    assert.equal(response.status, 401);
+    assert.match((await response.json()).message, /revoked/);
+  });
+
+  it('lets public paths through and can be disabled', async () => {
+    const custom = await listen(createApp({ auth: { publicPaths: ['/api/resolvers/docs'] } }));
+    assert.equal((await get(custom, '/api/resolvers/docs')).status, 200);
+    assert.equal((await get(custom, '/api/resolvers')).status, 401);
+
+    const open = await listen(createApp({ auth: false }));
+    assert.equal((await get(open, '/api/resolvers')).status, 200);
+  });
+});
@@ -0,0 +1,53 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createApp } from '../../src/app.js';
+
+describe('rate limits in createApp', () => {
+  let server;
+  let baseUrl;
+
+  const listResolvers = (headers = {}) => fetch(`${baseUrl}/api/resolvers`, { headers });
+
+  const login = async (username, password) => {
+    const response = await fetch(`${baseUrl}/auth/login`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify({ username, password })
+    });
+    return (await response.json()).data.accessToken;
+  };
+
+  before(async () => {
+    server = createApp({
+      rateLimit: { paths: ['/api'], keyBy: 'user', limit: 2, windowMs: 60000 }
+    }).listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it('limits unauthenticated and invalid-token requests before the auth gate', async () => {
+    assert.equal((await listResolvers()).status, 401);
+    assert.equal((await listResolvers({ authorization: 'Bearer forged' })).status, 401);
+
+    const limited = await listResolvers({ authorization: 'Bearer forged' });
+    assert.equal(limited.status, 429);
+    assert.ok(limited.headers.get('retry-after'));
+  });
+
+  it('keys authenticated requests by the user of the token', async () => {
+    const adminToken = await login('admin', 'password123');
+    const userToken = await login('user', 'userpass456');
+    const asAdmin = () => listResolvers({ authorization: `Bearer ${adminToken}` });
+
+    assert.equal((await asAdmin()).status, 200);
+    assert.equal((await asAdmin()).status, 200);
+    assert.equal((await asAdmin()).status, 429);
+
+    // The IP budget spent above and the admin budget do not apply to another user
+    assert.equal((await listResolvers({ authorization: `Bearer ${userToken}` })).status, 200);
+  });
+});
@@ -0,0 +1,143 @@
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import redis from 'redis';
+import { createFakeRedis } from '../helpers/fakeRedis.js';
+import { createApp } from '../../src/app.js';
+import { initializeRedis, disconnectRedis, setInCache, getFromCache } from '../../src/services/cacheService.js';
+
+describe('cache admin routes', () => {
+  const fake = createFakeRedis();
+  let server;
+  let baseUrl;
+  let token;
+
+  const call = (method, path, body) => fetch(`${baseUrl}/api/admin/cache${path}`, {
+    method,
+    headers: { authorization: `Bearer ${token}`, 'content-type': 'application/json' },
+    body: body ? JSON.stringify(body) : undefined
+  });
+
+  before(async () => {
+    mock.method(redis, 'createClient', () => fake);
+    await initializeRedis();
+
+    server = createApp().listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    const login = await fetch(`${baseUrl}/auth/login`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify({ username: 'admin', password: 'password123' })
+    });
+    token = (await login.json()).data.accessToken;
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await disconnectRedis();
+    mock.restoreAll();
+  });
+
+  it('stores cache entries under the cache prefix', async () => {
+    await setInCache('resolver:getOrders:1', { id: 1 }, 60);
+    assert.ok(fake.data.has('cache:resolver:getOrders:1'));
+    assert.ok(!fake.data.has('resolver:getOrders:1'));
+
+    const response = await call('GET', '/keys/resolver:getOrders:1');
+    assert.equal(response.status, 200);
+    assert.deepEqual((await response.json()).data.value, { id: 1 });
+  });
+
+  it('cannot read keys outside the cache prefix', async () => {
+    fake.data.set('bff:users:id:1', JSON.stringify({ username: 'admin', passwordHash: 'scrypt$secret' }));
+
+    const response = await call('GET', '/keys/bff:users:id:1');
+    assert.equal(response.status, 404);
+    assert.equal((await response.json()).data.value, null);
+  });
+
+  it('cannot delete auth state', async () => {
+    fake.data.set('auth:revoked:some-jti', '1');
+
+    const response = await call('DELETE', '/keys/auth:revoked:some-jti');
+    assert.equal(response.status, 200);
+    assert.equal((await response.json()).data.deleted, false);
+    assert.ok(fake.data.has('auth:revoked:some-jti'));
+  });
+
+  it('purges only cache entries, even for "*"', async () => {
+    fake.data.set('auth:refresh-family:fam', JSON.stringify({ currentJti: 'jti' }));
+    await setInCache('orders:1', [1], 60);
+
+    const response = await call('POST', '/purge', { pattern: '*' });
+    assert.equal(response.status, 200);
+
+    const remaining = [...fake.data.keys()];
+    assert.deepEqual(remaining.filter(key => key.startsWith('cache:')), []);
+    assert.ok(remaining.includes('auth:refresh-family:fam'));
+    assert.ok(remaining.includes('auth:revoked:some-jti'));
+    assert.ok(remaining.includes('bff:users:id:1'));
+  });
+
+  it('reports the counters per key prefix and resets them', async () => {
+    assert.equal((await call('DELETE', '/stats')).status, 200);
+    await setInCache('stats:1', 1, 60);
+    await getFromCache('stats:1');
+    await getFromCache('stats:missing');
+
+    const { data } = await (await call('GET', '/stats')).json();
+    assert.deepEqual(
+      [data.byPrefix.stats.sets, data.byPrefix.stats.hits, data.byPrefix.stats.misses],
+      [1, 1, 1]
+    );
+    assert.equal(data.totals.hitRate, 0.5);
+    assert.equal(data.redis.connected, true);
+
+    await call('DELETE', '/stats');
+    assert.equal((await (await call('GET', '/stats')).json()).data.byPrefix.stats, undefined);
+  });
+
+  it('returns the remaining TTL of a key and deletes it', async () => {
+    await setInCache('ttl:1', { id: 1 }, 60);
+
+    const { data } = await (await call('GET', '/keys/ttl:1')).json();
+    assert.equal(data.redis, true);
+    assert.ok(data.ttlMs > 59_000 && data.ttlMs <= 60_000);
+
+    assert.equal((await (await call('DELETE', '/keys/ttl:1')).json()).data.deleted, true);
+    assert.equal(fake.data.has('cache:ttl:1'), false);
+  });
+
+  it('purges the entries stored with a tag', async () => {
+    await setInCache('tagged:1', 1, 60, { tags: ['orders'] });
+    await setInCache('tagged:2', 2, 60, { tags: ['orders', 'users'] });
+    await setInCache('tagged:3', 3, 60, { tags: ['users'] });
+
+    const response = await call('POST', '/purge', { tag: 'orders' });
+    assert.equal(response.status, 200);
+    assert.equal(fake.data.has('cache:tagged:1'), false);
+    assert.equal(fake.data.has('cache:tagged:2'), false);
+    assert.equal(fake.data.has('cache:tagged:3'), true);
+    assert.equal(fake.data.has('cache-tags:orders'), false);
+  });
+
+  it('needs either a pattern or a tag to purge', async () => {
+    assert.equal((await call('POST', '/purge', {})).status, 400);
+    assert.equal((await call('POST', '/purge', { pattern: '*', tag: 'orders' })).status, 400);
+  });
+
+  it('rejects callers without the admin role', async () => {
+    const login = await fetch(`${baseUrl}/auth/login`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify({ username: 'user', password: 'userpass456' })
+    });
+    const userToken = (await login.json()).data.accessToken;
+
+    const response = await fetch(`${baseUrl}/api/admin/cache/keys/orders:1`, {
+      headers: { authorization: `Bearer ${userToken}` }
+    });
+    assert.equal(response.status, 403);
+  });
+});
@@ -0,0 +1,48 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectRouteConflicts } from '../../src/routes/generatedRoutes.js';
+
+const routed = (name, method, path) => ({ name, route: { method, path } });
+
+describe('detectRouteConflicts', () => {
+  it('rejects routes that differ only in parameter names', () => {
+    assert.throws(
+      () => detectRouteConflicts([routed('a', 'GET', '/users/:id'), routed('b', 'GET', '/users/:userId')]),
+      /declared by both 'a' and 'b'/
+    );
+  });
+
+  it('rejects a parameter and a static segment matching the same request', () => {
+    assert.throws(
+      () => detectRouteConflicts([routed('getUser', 'GET', '/users/:id'), routed('getMe', 'GET', '/users/me')]),
+      /GET \/api\/users\/me of resolver 'getMe' overlaps GET \/api\/users\/:id of resolver 'getUser'/
+    );
+    assert.throws(
+      () => detectRouteConflicts([routed('a', 'GET', '/files/:name.json'), routed('b', 'GET', '/files/Report.json/')]),
+      /overlaps/
+    );
+    assert.throws(
+      () => detectRouteConflicts([routed('a', 'GET', '/users/:id/posts'), routed('b', 'GET', '/users/me/:section')]),
+      /overlaps/
+    );
+  });
+
+  it('accepts routes that cannot match the same request', () => {
+    assert.doesNotThrow(() => detectRouteConflicts([
+      routed('getUser', 'GET', '/users/:id'),
+      routed('updateMe', 'PUT', '/users/me'),
+      routed('getPosts', 'GET', '/users/:id/posts'),
+      routed('getFile', 'GET', '/files/:name.json'),
+      routed('getReadme', 'GET', '/files/readme.txt'),
+      routed('getOrders', 'GET', '/orders')
+    ]));
+  });
+
+  it('rejects routes inside the built-in prefixes', () => {
+    assert.throws(() => detectRouteConflicts([routed('a', 'GET', '/resolvers/mine')]), /conflicts with a built-in route/);
+    assert.throws(() => detectRouteConflicts([routed('a', 'GET', '/:entity')]), /conflicts with a built-in route/);
+    assert.throws(() => detectRouteConflicts([routed('a', 'POST', '/:entity/call')]), /conflicts with a built-in route/);
+    assert.throws(() => detectRouteConflicts([routed('a', 'GET', '/admin/cache/stats')]), /conflicts with a built-in route/);
+    assert.doesNotThrow(() => detectRouteConflicts([routed('a', 'GET', '/resolvers-archive')]));
+  });
+});
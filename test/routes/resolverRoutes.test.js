@@ -0,0 +1,126 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { createApp } from '../../src/app.js';
+import { dataSourceManager } from '../../src/datasources/dataSourceManager.js';
+import { registerResolver, unregisterResolver } from '../../src/services/resolverRegistry.js';
+
+describe('resolver routes', () => {
+  let upstream;
+  const servers = [];
+
+  const listen = async app => {
+    const server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    servers.push(server);
+    return `http://127.0.0.1:${server.address().port}`;
+  };
+
+  const post = (baseUrl, path, body) => fetch(`${baseUrl}${path}`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+
+  before(async () => {
+    upstream = http.createServer((req, res) => {
+      res.setHeader('content-type', 'application/json');
+      res.end(JSON.stringify({ path: req.url }));
+    }).listen(0);
+    await new Promise(resolve => upstream.once('listening', resolve));
+
+    dataSourceManager.registerDatasource('ROUTES_API', {
+      type: 'http',
+      baseUrl: `http://127.0.0.1:${upstream.address().port}`,
+      timeout: 2000,
+      retryCount: 1
+    });
+    registerResolver('routesGetUser', { type: 'unit', datasource: 'ROUTES_API', path: '/users/$input.userId' });
+    registerResolver('routesGetPosts', {
+      type: 'unit',
+      datasource: 'ROUTES_API',
+      path: '/users/$input.userId/posts?page=$input.page',
+      http: { method: 'GET', path: '/route-users/:userId/posts' }
+    });
+  });
+
+  after(async () => {
+    unregisterResolver('routesGetUser');
+    unregisterResolver('routesGetPosts');
+    dataSourceManager.unregisterDatasource('ROUTES_API');
+    await Promise.all(servers.map(server => new Promise(resolve => server.close(resolve))));
+    await new Promise(resolve => upstream.close(resolve));
+  });
+
+  it('invokes a named resolver with input arguments only', async () => {
+    const baseUrl = await listen(createApp({ auth: false }));
+
+    const response = await post(baseUrl, '/api/resolvers/routesGetUser', { userId: 7 });
+    const body = await response.json();
+    assert.equal(response.status, 200);
+    assert.deepEqual(body.data, { path: '/users/7' });
+    assert.equal(body.meta.resolver, 'routesGetUser');
+
+    assert.equal((await post(baseUrl, '/api/resolvers/unknown', {})).status, 404);
+
+    const list = await (await fetch(`${baseUrl}/api/resolvers`)).json();
+    assert.ok(list.data.resolvers.some(resolver => resolver.name === 'routesGetUser'));
+  });
+
+  it('refuses raw resolver configs unless they are allowed', async () => {
+    const raw = { type: 'unit', datasource: 'ROUTES_API', path: '/anything' };
+
+    const locked = await listen(createApp({ auth: false, allowRawResolvers: false }));
+    assert.equal((await post(locked, '/api/resolverss', raw)).status, 403);
+    assert.equal((await post(locked, '/api/resolvers/test', raw)).status, 403);
+
+    const open = await listen(createApp({ auth: false, allowRawResolvers: true }));
+    const response = await post(open, '/api/resolverss', raw);
+    assert.equal(response.status, 200);
+    assert.deepEqual((await response.json()).data, { path: '/anything' });
+  });
+
+  it('serves resolvers declaring an http route with params and query as input', async () => {
+    const baseUrl = await listen(createApp({ auth: false }));
+
+    const response = await fetch(`${baseUrl}/api/route-users/9/posts?page=2`);
+    assert.equal(response.status, 200);
+    assert.deepEqual((await response.json()).data, { path: '/users/9/posts?page=2' });
+  });
+
+  it('gives every request an id, reusing a valid inbound X-Request-Id', async () => {
+    const baseUrl = await listen(createApp({ auth: false }));
+
+    const echoed = await fetch(`${baseUrl}/health`, { headers: { 'x-request-id': 'abc-123' } });
+    assert.equal(echoed.headers.get('x-request-id'), 'abc-123');
+
+    const replaced = await fetch(`${baseUrl}/health`, { headers: { 'x-request-id': 'not valid!' } });
+    assert.match(replaced.headers.get('x-request-id'), /^[0-9a-f-]{36}$/);
+  });
+
+  it('tags GET route responses with an ETag and answers a matching If-None-Match with 304', async () => {
+    const baseUrl = await listen(createApp({ auth: false }));
+
+    const first = await fetch(`${baseUrl}/api/route-users/9/posts?page=3`);
+    const etag = first.headers.get('etag');
+    assert.match(etag, /^W\/"[0-9a-f]{32}"$/);
+
+    // fetch adds Cache-Control: no-cache to conditional requests unless one is set
+    const conditional = { 'if-none-match': etag, 'cache-control': 'max-age=0' };
+    const revalidated = await fetch(`${baseUrl}/api/route-users/9/posts?page=3`, { headers: conditional });
+    assert.equal(revalidated.status, 304);
+
+    const changed = await fetch(`${baseUrl}/api/route-users/9/posts?page=4`, { headers: conditional });
+    assert.equal(changed.status, 200);
+    assert.notEqual(changed.headers.get('etag'), etag);
+  });
+
+  it('leaves POST resolver responses without an ETag', async () => {
+    const baseUrl = await listen(createApp({ auth: false, allowRawResolvers: true }));
+
+    assert.equal((await post(baseUrl, '/api/resolvers/routesGetUser', { userId: 7 })).headers.get('etag'), null);
+    const raw = await post(baseUrl, '/api/resolverss', { type: 'unit', datasource: 'ROUTES_API', path: '/anything' });
+    assert.equal(raw.status, 200);
+    assert.equal(raw.headers.get('etag'), null);
+  });
+});
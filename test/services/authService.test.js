@@ -0,0 +1,123 @@
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import jwt from 'jsonwebtoken';
+import { authService } from '../../src/services/authService.js';
+import { MemoryUserStore } from '../../src/stores/memoryUserStore.js';
+
+describe('authService user store', () => {
+  it('upgrades a legacy plaintext password to a hash on login', async () => {
+    const store = new MemoryUserStore([{ id: 1, username: 'legacy', email: 'legacy@example.com', password: 'oldpass1' }]);
+    authService.setUserStore(store);
+
+    const result = await authService.login('legacy', 'oldpass1');
+    assert.equal(jwt.decode(result.accessToken).username, 'legacy');
+
+    const user = await store.findByUsername('legacy');
+    assert.equal(user.password, undefined);
+    assert.match(user.passwordHash, /^scrypt\$/);
+
+    await authService.login('legacy', 'oldpass1');
+    await assert.rejects(authService.login('legacy', 'wrongpass'), /Invalid password/);
+  });
+
+  it('registers users with a hashed password and store assigned ids', async () => {
+    const store = new MemoryUserStore([{ id: 5, username: 'first', email: 'first@example.com', password: 'x' }]);
+    authService.setUserStore(store);
+
+    const result = await authService.register('second', 'newpass1', 'second@example.com', 'Second');
+    assert.equal(result.user.id, 6);
+    assert.equal(result.user.passwordHash, undefined);
+    assert.match((await store.findByEmail('SECOND@example.com')).passwordHash, /^scrypt\$/);
+
+    await assert.rejects(authService.register('SECOND', 'newpass1', 'other@example.com', 'Other'), /already exists/);
+    assert.ok(await authService.login('second', 'newpass1'));
+  });
+
+  it('refuses stores that miss UserStore methods', () => {
+    assert.throws(() => authService.setUserStore({ findByUsername: async () => null }), /findByEmail, create, update/);
+  });
+});
+
+describe('refresh token rotation', () => {
+  before(() => {
+    authService.setUserStore(new MemoryUserStore([
+      { id: 1, username: 'user', email: 'user@example.com', password: 'userpass456' },
+      { id: 2, username: 'test', email: 'test@example.com', password: 'testpass789' }
+    ]));
+  });
+
+  it('rotates the refresh token on every use', async () => {
+    const { refreshToken } = await authService.login('user', 'userpass456');
+    const first = await authService.refreshToken(refreshToken);
+    const second = await authService.refreshToken(first.refreshToken);
+
+    assert.equal(second.success, true);
+    assert.notEqual(second.refreshToken, first.refreshToken);
+  });
+
+  it('revokes the whole family when a rotated token is presented again', async () => {
+    const { refreshToken } = await authService.login('user', 'userpass456');
+    const rotated = await authService.refreshToken(refreshToken);
+
+    await assert.rejects(authService.refreshToken(refreshToken), /reuse detected/);
+    // The thief's replay also ends the legitimate session
+    await assert.rejects(authService.refreshToken(rotated.refreshToken), /revoked/);
+  });
+
+  it('lets only one of two concurrent refreshes with the same token through', async () => {
+    const { refreshToken } = await authService.login('test', 'testpass789');
+
+    const outcomes = await Promise.allSettled([
+      authService.refreshToken(refreshToken),
+      authService.refreshToken(refreshToken)
+    ]);
+
+    const fulfilled = outcomes.filter(outcome => outcome.status === 'fulfilled');
+    const rejected = outcomes.filter(outcome => outcome.status === 'rejected');
+    assert.equal(fulfilled.length, 1);
+    assert.equal(rejected.length, 1);
+    assert.match(rejected[0].reason.message, /reuse detected/);
+
+    // Presenting the same token twice counts as reuse, the winner's token is revoked too
+    await assert.rejects(authService.refreshToken(fulfilled[0].value.refreshToken), /revoked/);
+  });
+});
+
+describe('token revocation', () => {
+  before(() => {
+    authService.setUserStore(new MemoryUserStore([
+      { id: 1, username: 'user', email: 'user@example.com', password: 'userpass456' },
+      { id: 2, username: 'test', email: 'test@example.com', password: 'testpass789' }
+    ]));
+  });
+
+  it('revokes the access token and the refresh token family on logout', async () => {
+    const { accessToken, refreshToken } = await authService.login('user', 'userpass456');
+    assert.equal((await authService.verifyAccessToken(accessToken)).username, 'user');
+
+    await authService.logout(accessToken, refreshToken);
+
+    await assert.rejects(authService.verifyAccessToken(accessToken), /revoked/);
+    await assert.rejects(authService.refreshToken(refreshToken), /revoked/);
+    await assert.rejects(authService.logout(accessToken), /revoked/);
+  });
+
+  it('revokes every session of the user only on logout-all', async () => {
+    const laptop = await authService.login('user', 'userpass456');
+    const phone = await authService.login('user', 'userpass456');
+    const other = await authService.login('test', 'testpass789');
+
+    const result = await authService.logoutAll(1);
+    assert.equal(result.tokenVersion, 1);
+
+    await assert.rejects(authService.verifyAccessToken(laptop.accessToken), /revoked/);
+    await assert.rejects(authService.verifyAccessToken(phone.accessToken), /revoked/);
+    await assert.rejects(authService.refreshToken(phone.refreshToken), /revoked/);
+    assert.ok(await authService.verifyAccessToken(other.accessToken));
+
+    // Tokens issued after the logout-all carry the new version
+    const fresh = await authService.login('user', 'userpass456');
+    assert.equal((await authService.verifyAccessToken(fresh.accessToken)).ver, 1);
+    assert.ok(await authService.refreshToken(fresh.refreshToken));
+  });
+});
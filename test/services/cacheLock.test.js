@@ -0,0 +1,61 @@
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import redis from 'redis';
+import { createFakeRedis } from '../helpers/fakeRedis.js';
+import { acquireLock, waitForLock } from '../../src/services/cacheLock.js';
+import { initializeRedis, disconnectRedis } from '../../src/services/cacheService.js';
+
+describe('cache lock', () => {
+  it('grants every lock without Redis', async () => {
+    assert.equal((await acquireLock('lock:offline', 100)).acquired, true);
+    assert.equal((await acquireLock('lock:offline', 100)).acquired, true);
+  });
+
+  describe('with Redis', () => {
+    const fake = createFakeRedis();
+
+    before(async () => {
+      mock.method(redis, 'createClient', () => fake);
+      await initializeRedis();
+    });
+
+    after(async () => {
+      await disconnectRedis();
+      mock.restoreAll();
+    });
+
+    it('lets one holder in until it releases the lock', async () => {
+      const first = await acquireLock('lock:a', 1000);
+      assert.equal(first.acquired, true);
+      assert.equal((await acquireLock('lock:a', 1000)).acquired, false);
+
+      await first.release();
+      assert.equal(fake.data.has('lock:a'), false);
+      assert.equal((await acquireLock('lock:a', 1000)).acquired, true);
+    });
+
+    it('never releases a lock taken over after it expired', async () => {
+      const stale = await acquireLock('lock:b', 20);
+      await new Promise(resolve => setTimeout(resolve, 30));
+      const current = await acquireLock('lock:b', 1000);
+      assert.equal(current.acquired, true);
+
+      await stale.release();
+      assert.equal(fake.data.has('lock:b'), true);
+    });
+
+    it('waits until the lock is released, at most the timeout', async () => {
+      const lock = await acquireLock('lock:c', 1000);
+      setTimeout(() => lock.release(), 60);
+
+      const started = Date.now();
+      await waitForLock('lock:c', 1000);
+      assert.ok(Date.now() - started < 500);
+
+      await acquireLock('lock:d', 1000);
+      const waitStarted = Date.now();
+      await waitForLock('lock:d', 120);
+      assert.ok(Date.now() - waitStarted >= 100);
+    });
+  });
+});
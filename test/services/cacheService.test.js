@@ -0,0 +1,118 @@
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import redis from 'redis';
+import { createFakeRedis } from '../helpers/fakeRedis.js';
+import {
+  initializeRedis,
+  disconnectRedis,
+  isRedisConnectedStatus,
+  setInCache,
+  getFromCache,
+  deleteFromCache,
+  clearCacheByPattern,
+  getCacheInfo
+} from '../../src/services/cacheService.js';
+
+describe('cacheService with Redis coming up after boot', () => {
+  const fake = createFakeRedis();
+  let resolveConnect;
+
+  before(() => {
+    // The first attempt fails, the client keeps retrying and connects later
+    fake.connect = () => new Promise(resolve => {
+      resolveConnect = resolve;
+      setImmediate(() => fake.emit('error', Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' })));
+    });
+    mock.method(redis, 'createClient', () => fake);
+  });
+
+  after(async () => {
+    await disconnectRedis();
+    mock.restoreAll();
+  });
+
+  it('starts without Redis', async () => {
+    await initializeRedis();
+    assert.equal(isRedisConnectedStatus(), false);
+    assert.equal(fake.duplicates.length, 0);
+  });
+
+  it('subscribes to invalidations once Redis is ready', async () => {
+    fake.isReady = true;
+    fake.emit('ready');
+    resolveConnect();
+    await new Promise(resolve => setImmediate(resolve));
+
+    assert.equal(isRedisConnectedStatus(), true);
+    assert.equal(fake.duplicates.length, 1);
+    const [subscriber] = fake.duplicates;
+    assert.equal(subscriber.subscriptions.size, 1);
+
+    // Reconnects do not add subscribers
+    fake.emit('ready');
+    assert.equal(fake.duplicates.length, 1);
+
+    // Invalidations of other instances drop the local copy
+    await setInCache('profile:1', { name: 'Ada' }, 60);
+    fake.data.clear();
+    const [listener] = subscriber.subscriptions.values();
+    listener(JSON.stringify({ key: 'profile:1', origin: 'another-instance' }));
+    assert.equal(await getFromCache('profile:1'), null);
+  });
+
+  it('serves local copies without Redis and drops them on delete', async () => {
+    await setInCache('profile:2', { name: 'Grace' }, 60);
+    assert.ok(fake.data.has('cache:profile:2'));
+
+    // Lost from Redis, still served by the in-process tier
+    fake.data.clear();
+    assert.deepEqual(await getFromCache('profile:2'), { name: 'Grace' });
+
+    await deleteFromCache('profile:2');
+    assert.equal(await getFromCache('profile:2'), null);
+  });
+
+  it('clears a pattern from both tiers with SCAN and UNLINK', async () => {
+    const scan = mock.method(fake, 'scanIterator');
+    await setInCache('orders:1', [1], 60);
+    await setInCache('orders:2', [2], 60);
+    await setInCache('profile:3', {}, 60);
+
+    assert.equal(await clearCacheByPattern('orders:*'), true);
+    assert.deepEqual(scan.mock.calls[0].arguments[0], { MATCH: 'cache:orders:*', COUNT: 500 });
+    assert.deepEqual([...fake.data.keys()], ['cache:profile:3']);
+    assert.equal(await getFromCache('orders:1'), null);
+    assert.equal(await clearCacheByPattern('orders:*'), false);
+  });
+});
+
+describe('local tag index', () => {
+  it('drops keys when they expire from the in-process tier', async () => {
+    mock.timers.enable({ apis: ['Date'], now: Date.now() });
+    try {
+      const tagsBefore = getCacheInfo().local.tags;
+      await setInCache('tags:expiring', 1, 1, { tags: ['expiring'] });
+      assert.equal(getCacheInfo().local.tags, tagsBefore + 1);
+
+      mock.timers.tick(1000);
+      assert.equal(await getFromCache('tags:expiring'), null);
+      assert.equal(getCacheInfo().local.tags, tagsBefore);
+    } finally {
+      mock.timers.reset();
+    }
+  });
+
+  it('drops keys the LRU evicts', async () => {
+    await setInCache('tags:evicted', 1, 60, { tags: ['evicted'] });
+    const tagsBefore = getCacheInfo().local.tags;
+
+    const { maxEntries } = getCacheInfo().local;
+    for (let index = 0; index < maxEntries; index++) {
+      await setInCache(`tags:filler:${index}`, index, 60);
+    }
+
+    assert.equal(await getFromCache('tags:evicted'), null);
+    assert.equal(getCacheInfo().local.tags, tagsBefore - 1);
+    assert.equal(getCacheInfo().local.entries, maxEntries);
+  });
+});
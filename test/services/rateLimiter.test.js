@@ -0,0 +1,129 @@
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import redis from 'redis';
+import { createFakeRedis } from '../helpers/fakeRedis.js';
+import { createRateLimiter, createRateLimitError, RATE_LIMITED_CODE } from '../../src/services/rateLimiter.js';
+import { initializeRedis, disconnectRedis } from '../../src/services/cacheService.js';
+import { dataSourceManager } from '../../src/datasources/dataSourceManager.js';
+
+describe('rate limiter (memory)', () => {
+  before(() => {
+    mock.timers.enable({ apis: ['Date'], now: 60000 });
+  });
+
+  after(() => {
+    mock.timers.reset();
+  });
+
+  it('counts requests per fixed window and per key', async () => {
+    const limiter = createRateLimiter({ limit: 2, windowMs: 1000 });
+
+    assert.deepEqual(await limiter.consume('a'), { allowed: true, limit: 2, remaining: 1, resetMs: 1000, retryAfterMs: 0 });
+    assert.equal((await limiter.consume('a')).allowed, true);
+    mock.timers.tick(400);
+    const limited = await limiter.consume('a');
+    assert.equal(limited.allowed, false);
+    assert.equal(limited.retryAfterMs, 600);
+    assert.equal((await limiter.consume('b')).allowed, true);
+
+    mock.timers.tick(600);
+    assert.equal((await limiter.consume('a')).allowed, true);
+  });
+
+  it('allows a burst of the bucket size and refills it over the window', async () => {
+    const limiter = createRateLimiter({ algorithm: 'token-bucket', limit: 4, windowMs: 1000 });
+
+    for (let i = 0; i < 4; i++) {
+      assert.equal((await limiter.consume('burst')).allowed, true);
+    }
+    const empty = await limiter.consume('burst');
+    assert.equal(empty.allowed, false);
+    assert.equal(empty.retryAfterMs, 250);
+
+    // One token comes back every 250ms
+    mock.timers.tick(250);
+    const refilled = await limiter.consume('burst');
+    assert.equal(refilled.allowed, true);
+    assert.equal(refilled.remaining, 0);
+    assert.equal((await limiter.consume('burst')).allowed, false);
+
+    mock.timers.tick(1000);
+    assert.equal((await limiter.consume('burst')).remaining, 3);
+  });
+
+  it('rejects unknown algorithms and non-positive limits', () => {
+    assert.throws(() => createRateLimiter({ algorithm: 'sliding', limit: 1 }), /Unknown rate limit algorithm/);
+    assert.throws(() => createRateLimiter({ limit: 0 }), /positive limit/);
+    assert.throws(() => createRateLimiter({ limit: 5, windowMs: -1 }), /positive limit/);
+  });
+
+  it('builds a non retryable 429 error', () => {
+    const error = createRateLimitError("datasource 'x'", { retryAfterMs: 1500 });
+    assert.equal(error.status, 429);
+    assert.equal(error.code, RATE_LIMITED_CODE);
+    assert.equal(error.retryable, false);
+    assert.match(error.message, /retry in 2s/);
+  });
+});
+
+describe('rate limiter (Redis)', () => {
+  const fake = createFakeRedis();
+
+  before(async () => {
+    mock.method(redis, 'createClient', () => fake);
+    await initializeRedis();
+  });
+
+  after(async () => {
+    await disconnectRedis();
+    mock.restoreAll();
+  });
+
+  it('shares fixed-window counters through Redis', async () => {
+    const first = createRateLimiter({ limit: 1, windowMs: 60000, prefix: 'test-limit' });
+    const second = createRateLimiter({ limit: 1, windowMs: 60000, prefix: 'test-limit' });
+
+    assert.equal((await first.consume('client')).allowed, true);
+    assert.equal((await second.consume('client')).allowed, false);
+    assert.ok([...fake.data.keys()].some(key => key.startsWith('test-limit:client:')));
+  });
+});
+
+describe('datasource rate limits', () => {
+  let upstream;
+  let calls = 0;
+
+  before(async () => {
+    upstream = http.createServer((req, res) => {
+      calls++;
+      res.setHeader('content-type', 'application/json');
+      res.end('{}');
+    }).listen(0);
+    await new Promise(resolve => upstream.once('listening', resolve));
+
+    dataSourceManager.registerDatasource('LIMITED_API', {
+      type: 'http',
+      baseUrl: `http://127.0.0.1:${upstream.address().port}`,
+      timeout: 2000,
+      retryCount: 3,
+      rateLimit: { limit: 2, windowMs: 60000 }
+    });
+  });
+
+  after(async () => {
+    dataSourceManager.unregisterDatasource('LIMITED_API');
+    await new Promise(resolve => upstream.close(resolve));
+  });
+
+  it('fails calls over the limit without reaching the upstream or retrying', async () => {
+    await dataSourceManager.callDatasource('LIMITED_API', { path: '/a' });
+    await dataSourceManager.callDatasource('LIMITED_API', { path: '/b' });
+
+    await assert.rejects(
+      dataSourceManager.callDatasource('LIMITED_API', { path: '/c' }),
+      error => error.code === RATE_LIMITED_CODE && error.status === 429
+    );
+    assert.equal(calls, 2);
+  });
+});
@@ -0,0 +1,214 @@
+import { describe, it, before, after, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import redis from 'redis';
+import { createFakeRedis } from '../helpers/fakeRedis.js';
+import { hashValue } from '../../src/utils/stableHash.js';
+import { buildCacheKey, readThroughCache, invalidateCacheEntries, renderCacheTags } from '../../src/services/resolverCache.js';
+import { initializeRedis, disconnectRedis, setInCache, getFromCache, purgeCacheByTag } from '../../src/services/cacheService.js';
+import { acquireLock } from '../../src/services/cacheLock.js';
+
+const scope = {
+  input: { userId: 'a:b', page: 2 },
+  identity: { id: 42, tenantId: 'acme' }
+};
+
+describe('buildCacheKey', () => {
+  it('renders cachingKeys templates with URL-encoded values', () => {
+    const key = buildCacheKey({ cachingKeys: 'orders:$input.userId:${$input.page ?? 1}', scope, request: {} });
+    assert.equal(key, 'orders:a%3Ab:2');
+  });
+
+  it('escapes glob characters of substituted values', () => {
+    const key = buildCacheKey({ cachingKeys: 'search:$input.q', scope: { input: { q: '*' } }, request: {} });
+    assert.equal(key, 'search:%2A');
+  });
+
+  it('hashes the request when there is no cachingKeys template', () => {
+    const key = buildCacheKey({ scope, request: { path: '/users/1' } });
+    assert.equal(key, `auto:${hashValue({ path: '/users/1' })}`);
+    assert.notEqual(key, buildCacheKey({ scope, request: { path: '/users/2' } }));
+  });
+
+  it('prepends the resolver, user and tenant namespaces', () => {
+    const settings = { cachingKeys: 'dashboard', scope, resolverName: 'getDashboard' };
+
+    assert.equal(buildCacheKey({ ...settings, cacheScope: 'global' }), 'dashboard');
+    assert.equal(
+      buildCacheKey({ ...settings, cacheScope: ['resolver', 'tenant', 'user'] }),
+      'resolver:getDashboard:tenant:acme:user:42:dashboard'
+    );
+    assert.equal(
+      buildCacheKey({ ...settings, cacheScope: ['resolver', 'user'], resolverName: null, scope: { input: {}, identity: null } }),
+      'resolver:raw:user:anonymous:dashboard'
+    );
+  });
+});
+
+describe('readThroughCache', () => {
+  const policy = { ttl: 10, staleWhileRevalidate: 20, staleIfError: 60 };
+  const settle = () => new Promise(resolve => setTimeout(resolve, 20));
+  let version = 0;
+  const load = async () => ({ data: { version: ++version } });
+  const fail = async () => {
+    throw new Error('upstream down');
+  };
+
+  before(async () => {
+    mock.method(redis, 'createClient', () => createFakeRedis());
+    await initializeRedis();
+  });
+
+  after(async () => {
+    await disconnectRedis();
+    mock.restoreAll();
+  });
+
+  beforeEach(() => mock.timers.enable({ apis: ['Date'], now: 1_000_000 }));
+  afterEach(() => mock.timers.reset());
+
+  it('loads on a miss and serves fresh entries until the ttl', async () => {
+    const miss = await readThroughCache('policy:fresh', policy, load);
+    assert.equal(miss.cacheStatus, 'miss');
+    assert.equal(miss.fromCache, false);
+
+    mock.timers.tick(9_000);
+    const fresh = await readThroughCache('policy:fresh', policy, load);
+    assert.equal(fresh.cacheStatus, 'fresh');
+    assert.deepEqual(fresh.data, miss.data);
+  });
+
+  it('serves stale data while it revalidates in the background', async () => {
+    const first = await readThroughCache('policy:swr', policy, load);
+
+    mock.timers.tick(15_000);
+    const stale = await readThroughCache('policy:swr', policy, load);
+    assert.equal(stale.cacheStatus, 'stale');
+    assert.deepEqual(stale.data, first.data);
+
+    await settle();
+    const refreshed = await readThroughCache('policy:swr', policy, load);
+    assert.equal(refreshed.cacheStatus, 'fresh');
+    assert.equal(refreshed.data.version, first.data.version + 1);
+  });
+
+  it('serves stale data when the load fails within staleIfError', async () => {
+    const first = await readThroughCache('policy:sie', policy, load);
+
+    mock.timers.tick(40_000);
+    const fallback = await readThroughCache('policy:sie', policy, fail);
+    assert.equal(fallback.cacheStatus, 'stale-if-error');
+    assert.deepEqual(fallback.data, first.data);
+
+    mock.timers.tick(31_000);
+    await assert.rejects(readThroughCache('policy:sie', policy, fail), /upstream down/);
+  });
+
+  it('revalidates past the stale window and skips storing uncacheable loads', async () => {
+    await readThroughCache('policy:revalidate', policy, load);
+    mock.timers.tick(31_000);
+    assert.equal((await readThroughCache('policy:revalidate', policy, load)).cacheStatus, 'revalidated');
+
+    const partial = async () => ({ data: { partial: true }, cacheable: false });
+    assert.equal((await readThroughCache('policy:partial', policy, partial)).cacheStatus, 'miss');
+    assert.equal((await readThroughCache('policy:partial', policy, partial)).cacheStatus, 'miss');
+  });
+
+  it('shares one load between concurrent misses', async () => {
+    let loads = 0;
+    const slowLoad = async () => {
+      loads++;
+      await settle();
+      return { data: { loads } };
+    };
+
+    const results = await Promise.all([1, 2, 3].map(() => readThroughCache('policy:coalesced', policy, slowLoad)));
+    assert.equal(loads, 1);
+    assert.deepEqual(results.map(result => result.data), [{ loads: 1 }, { loads: 1 }, { loads: 1 }]);
+  });
+
+  it('waits for the instance holding the refresh lock and serves its result', async () => {
+    // Another instance is refreshing the entry
+    const lock = await acquireLock('lock:policy:locked', 1000);
+    assert.equal(lock.acquired, true);
+    setTimeout(async () => {
+      await setInCache('policy:locked', {
+        $cache: { freshUntil: Date.now() + 10_000, staleUntil: Date.now() + 10_000, errorUntil: Date.now() + 10_000 },
+        data: { from: 'other instance' }
+      });
+      await lock.release();
+    }, 60);
+
+    let loads = 0;
+    const result = await readThroughCache('policy:locked', { ...policy, lockMs: 1000 }, async () => {
+      loads++;
+      return { data: { from: 'this instance' } };
+    });
+
+    assert.equal(loads, 0);
+    assert.equal(result.cacheStatus, 'fresh');
+    assert.deepEqual(result.data, { from: 'other instance' });
+  });
+});
+
+describe('invalidateCacheEntries', () => {
+  const fake = createFakeRedis();
+
+  before(async () => {
+    mock.method(redis, 'createClient', () => fake);
+    await initializeRedis();
+  });
+
+  after(async () => {
+    await disconnectRedis();
+    mock.restoreAll();
+  });
+
+  it('deletes rendered keys and clears rendered patterns once each', async () => {
+    await Promise.all(['orders:1:page:1', 'orders:1:page:2', 'orders:2:page:1', 'count:1'].map(key => setInCache(key, {}, 60)));
+
+    const targets = await invalidateCacheEntries(
+      ['orders:$identity.id:*', 'count:$result.userId', 'count:$identity.id'],
+      { identity: { id: 1 }, result: { userId: 1 } }
+    );
+
+    assert.deepEqual(targets, ['orders:1:*', 'count:1']);
+    assert.deepEqual([...fake.data.keys()], ['cache:orders:2:page:1']);
+    assert.equal(await getFromCache('orders:1:page:1'), null);
+  });
+
+  it('never turns substituted values into patterns', async () => {
+    await setInCache('orders:2:page:1', {}, 60);
+    assert.deepEqual(await invalidateCacheEntries(['orders:$input.id'], { input: { id: '*' } }), ['orders:%2A']);
+    assert.ok(fake.data.has('cache:orders:2:page:1'));
+  });
+});
+
+describe('cache tags', () => {
+  const scope = { input: { page: 2 }, identity: { id: 'a b' } };
+
+  it('renders tag templates over the scope with encoded values', () => {
+    assert.deepEqual(renderCacheTags(['orders', 'user:$identity.id', 'orders'], scope), ['orders', 'user:a%20b']);
+    assert.deepEqual(renderCacheTags(undefined, scope), []);
+  });
+
+  it('purges every entry stored with a tag', async () => {
+    let calls = 0;
+    const load = async () => ({ data: ++calls });
+    const read = key => readThroughCache(key, { ttl: 60 }, load, { tags: ['orders'] });
+
+    await read('tags:orders:1');
+    await read('tags:orders:2');
+    await readThroughCache('tags:other', { ttl: 60 }, load, { tags: ['other'] });
+    assert.equal((await read('tags:orders:1')).cacheStatus, 'fresh');
+
+    assert.equal(await purgeCacheByTag('orders'), true);
+
+    assert.equal((await read('tags:orders:1')).cacheStatus, 'miss');
+    assert.equal((await read('tags:orders:2')).cacheStatus, 'miss');
+    assert.equal((await readThroughCache('tags:other', { ttl: 60 }, load)).cacheStatus, 'fresh');
+  });
+
+  it('reports nothing cleared for an unknown tag', async () => {
+    assert.equal(await purgeCacheByTag('never-used'), false);
+  });
+});
@@ -0,0 +1,74 @@
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import {
+  registerResolver,
+  getResolver,
+  listResolvers,
+  unregisterResolver,
+  loadResolversFromDirectory
+} from '../../src/services/resolverRegistry.js';
+
+describe('resolver registry', () => {
+  const directories = [];
+
+  const writeDirectory = files => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'resolvers-'));
+    Object.entries(files).forEach(([file, content]) => fs.writeFileSync(path.join(directory, file), content));
+    directories.push(directory);
+    return directory;
+  };
+
+  after(() => {
+    directories.forEach(directory => fs.rmSync(directory, { recursive: true, force: true }));
+    ['registryUser', 'fromJson', 'fromYaml', 'twice'].forEach(name => unregisterResolver(name));
+  });
+
+  it('registers validated definitions and lists them without their configs', () => {
+    registerResolver('registryUser', {
+      type: 'unit',
+      description: 'One user',
+      datasource: 'USER_SERVICE',
+      path: '/users/$input.userId'
+    });
+
+    assert.equal(getResolver('registryUser').config.path, '/users/$input.userId');
+    assert.deepEqual(listResolvers().find(resolver => resolver.name === 'registryUser'), {
+      name: 'registryUser',
+      type: 'unit',
+      description: 'One user',
+      route: null
+    });
+  });
+
+  it('rejects invalid names, reserved names and invalid definitions', () => {
+    assert.throws(() => registerResolver('bad name', { type: 'unit', datasource: 'X', path: '/' }), /Invalid resolver name/);
+    assert.throws(() => registerResolver('docs', { type: 'unit', datasource: 'X', path: '/' }), /reserved/);
+    assert.throws(() => registerResolver('noType', { datasource: 'X', path: '/' }), /Invalid resolver 'noType'/);
+    assert.throws(
+      () => registerResolver('badRoute', { type: 'unit', datasource: 'X', path: '/', http: { method: 'FETCH', path: '/x' } }),
+      /Invalid http route of resolver 'badRoute'/
+    );
+  });
+
+  it('loads JSON and YAML files, named by their name field or file name', () => {
+    const directory = writeDirectory({
+      'a.json': JSON.stringify({ name: 'fromJson', type: 'unit', datasource: 'USER_SERVICE', path: '/users' }),
+      'fromYaml.yaml': 'type: unit\ndatasource: USER_SERVICE\npath: /posts\n',
+      'notes.txt': 'ignored'
+    });
+
+    assert.deepEqual(loadResolversFromDirectory(directory), ['fromJson', 'fromYaml']);
+    assert.equal(getResolver('fromYaml').config.path, '/posts');
+  });
+
+  it('fails on unparsable files and on names defined twice', () => {
+    assert.throws(() => loadResolversFromDirectory(writeDirectory({ 'broken.json': '{' })), /Could not parse resolver file broken.json/);
+    assert.throws(() => loadResolversFromDirectory(writeDirectory({
+      'a.json': JSON.stringify({ name: 'twice', type: 'unit', datasource: 'X', path: '/a' }),
+      'b.yaml': 'name: twice\ntype: unit\ndatasource: X\npath: /b\n'
+    })), /defined in both a.json and b.yaml/);
+  });
+});
@@ -0,0 +1,633 @@
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import redis from 'redis';
+import { createFakeRedis } from '../helpers/fakeRedis.js';
+import { dataSourceManager } from '../../src/datasources/dataSourceManager.js';
+import { executeResolver } from '../../src/services/resolverService.js';
+import { initializeRedis, disconnectRedis } from '../../src/services/cacheService.js';
+
+describe('pipeline DAG', () => {
+  let server;
+  let active = 0;
+  let peak = 0;
+  const started = [];
+
+  before(async () => {
+    // /slow/<name> answers after 20ms, /fail answers 400
+    server = http.createServer((req, res) => {
+      started.push(req.url);
+      active++;
+      peak = Math.max(peak, active);
+      setTimeout(() => {
+        active--;
+        res.setHeader('content-type', 'application/json');
+        res.statusCode = req.url === '/fail' ? 400 : 200;
+        res.end(JSON.stringify({ path: req.url }));
+      }, 20);
+    }).listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+
+    dataSourceManager.registerDatasource('DAG_API', {
+      type: 'http',
+      baseUrl: `http://127.0.0.1:${server.address().port}`,
+      timeout: 2000,
+      retryCount: 1
+    });
+  });
+
+  after(async () => {
+    dataSourceManager.unregisterDatasource('DAG_API');
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  const step = (name, extra = {}) => ({ name, datasource: 'DAG_API', path: `/slow/${name}`, ...extra });
+
+  it('runs independent steps concurrently up to the pipeline concurrency', async () => {
+    peak = 0;
+    started.length = 0;
+    const result = await executeResolver({
+      type: 'pipeline',
+      concurrency: 2,
+      steps: [
+        step('a', { dependsOn: [] }),
+        step('b', { dependsOn: [] }),
+        step('c', { dependsOn: [] }),
+        step('total', { dependsOn: ['a', 'b', 'c'], path: '/slow/total-$steps.c.path' })
+      ]
+    }, {});
+
+    assert.equal(result.success, true);
+    assert.equal(peak, 2);
+    assert.deepEqual(result.steps.map(s => s.name), ['a', 'b', 'c', 'total']);
+    assert.match(result.data.path, /^\/slow\/total-/);
+    assert.match(started.at(-1), /^\/slow\/total-/);
+  });
+
+  it('keeps steps without dependsOn sequential', async () => {
+    peak = 0;
+    const result = await executeResolver({ type: 'pipeline', steps: [step('first'), step('second'), step('third')] }, {});
+
+    assert.equal(result.success, true);
+    assert.equal(peak, 1);
+  });
+
+  it('stops scheduling dependents once a failFast step fails', async () => {
+    started.length = 0;
+    const result = await executeResolver({
+      type: 'pipeline',
+      steps: [
+        { name: 'broken', datasource: 'DAG_API', path: '/fail' },
+        step('after')
+      ]
+    }, {});
+
+    assert.equal(result.success, false);
+    assert.match(result.error, /Pipeline failed at step 'broken'/);
+    assert.deepEqual(started, ['/fail']);
+  });
+
+  it('runs dependents of a failed step with onError continue', async () => {
+    const result = await executeResolver({
+      type: 'pipeline',
+      onError: 'continue',
+      steps: [{ name: 'broken', datasource: 'DAG_API', path: '/fail' }, step('after')]
+    }, {});
+
+    assert.equal(result.success, true);
+    assert.deepEqual(result.steps.map(s => s.success), [false, true]);
+  });
+
+  it('substitutes URL-encoded path values and defaults', async () => {
+    started.length = 0;
+    const result = await executeResolver({
+      type: 'pipeline',
+      steps: [step('search', { path: '/slow/$input.term/${$input.page ?? 1}' })]
+    }, { term: 'a/b c' });
+
+    assert.equal(result.success, true);
+    assert.deepEqual(started, ['/slow/a%2Fb%20c/1']);
+  });
+
+  it('refuses a pipeline with a dependency cycle', async () => {
+    await assert.rejects(executeResolver({
+      type: 'pipeline',
+      steps: [step('a', { dependsOn: ['b'] }), step('b', { dependsOn: ['a'] })]
+    }, {}), /Invalid pipeline: Circular step dependency/);
+  });
+});
+
+describe('conditional pipeline steps', () => {
+  let server;
+  const paths = [];
+
+  before(async () => {
+    // /fail answers 400, any other path echoes itself
+    server = http.createServer((req, res) => {
+      paths.push(req.url);
+      res.setHeader('content-type', 'application/json');
+      res.statusCode = req.url === '/fail' ? 400 : 200;
+      res.end(JSON.stringify({ path: req.url, tier: 'gold' }));
+    }).listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+
+    dataSourceManager.registerDatasource('BRANCH_API', {
+      type: 'http',
+      baseUrl: `http://127.0.0.1:${server.address().port}`,
+      timeout: 2000,
+      retryCount: 1
+    });
+  });
+
+  after(async () => {
+    dataSourceManager.unregisterDatasource('BRANCH_API');
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it('skips a step whose when condition is false and reports why', async () => {
+    paths.length = 0;
+    const result = await executeResolver({
+      type: 'pipeline',
+      steps: [
+        { name: 'user', datasource: 'BRANCH_API', path: '/user' },
+        { name: 'admin', datasource: 'BRANCH_API', path: '/admin', when: "$prev.tier == 'admin'" }
+      ]
+    }, {});
+
+    assert.equal(result.success, true);
+    assert.deepEqual(result.steps[1], {
+      name: 'admin',
+      success: true,
+      skipped: true,
+      reason: "Condition not met: $prev.tier == 'admin'"
+    });
+    assert.equal(result.data.path, '/user');
+    assert.deepEqual(paths, ['/user']);
+  });
+
+  it('runs the first matching branch case, else the default', async () => {
+    const pipeline = {
+      type: 'pipeline',
+      steps: [{
+        name: 'offers',
+        datasource: 'BRANCH_API',
+        branch: {
+          cases: [
+            { when: "$input.tier == 'gold'", datasource: 'BRANCH_API', path: '/offers/gold' },
+            { when: '$input.tier', datasource: 'BRANCH_API', path: '/offers/member' }
+          ],
+          default: { datasource: 'BRANCH_API', path: '/offers/guest' }
+        }
+      }]
+    };
+
+    const gold = await executeResolver(pipeline, { tier: 'gold' });
+    assert.equal(gold.steps[0].branch, 'cases[0]');
+    assert.equal(gold.data.path, '/offers/gold');
+
+    const silver = await executeResolver(pipeline, { tier: 'silver' });
+    assert.equal(silver.steps[0].branch, 'cases[1]');
+
+    const guest = await executeResolver(pipeline, {});
+    assert.equal(guest.steps[0].branch, 'default');
+    assert.equal(guest.data.path, '/offers/guest');
+  });
+
+  it('continues past a continueOnError step and exposes its error as $errors', async () => {
+    paths.length = 0;
+    const result = await executeResolver({
+      type: 'pipeline',
+      steps: [
+        { name: 'recommendations', datasource: 'BRANCH_API', path: '/fail', continueOnError: true },
+        { name: 'fallback', datasource: 'BRANCH_API', path: '/popular', when: '$errors.recommendations' }
+      ]
+    }, {});
+
+    assert.equal(result.success, true);
+    assert.equal(result.steps[0].success, false);
+    assert.equal(result.data.path, '/popular');
+    assert.deepEqual(paths, ['/fail', '/popular']);
+  });
+});
+
+describe('response mappings', () => {
+  let server;
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      res.setHeader('content-type', 'application/json');
+      res.end(JSON.stringify(req.url === '/user'
+        ? { id: 1, name: 'Ada', passwordHash: 'x' }
+        : [{ id: 10, title: 'A' }, { id: 11, title: 'B' }]));
+    }).listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+
+    dataSourceManager.registerDatasource('MAPPING_API', {
+      type: 'http',
+      baseUrl: `http://127.0.0.1:${server.address().port}`,
+      timeout: 2000,
+      retryCount: 1
+    });
+  });
+
+  after(async () => {
+    dataSourceManager.unregisterDatasource('MAPPING_API');
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it('shapes a unit resolver response', async () => {
+    const result = await executeResolver({
+      type: 'unit',
+      datasource: 'MAPPING_API',
+      path: '/user',
+      response: { $pick: ['id', 'name'] }
+    }, {});
+
+    assert.deepEqual(result.data, { id: 1, name: 'Ada' });
+  });
+
+  it('lets later steps see mapped step outputs and shapes the pipeline result', async () => {
+    const result = await executeResolver({
+      type: 'pipeline',
+      steps: [
+        { name: 'user', datasource: 'MAPPING_API', path: '/user', response: { $pick: ['id', 'name'] } },
+        { name: 'posts', datasource: 'MAPPING_API', path: '/posts/$prev.id', response: { $map: '$result', to: '$item.title' } }
+      ],
+      response: { author: '$steps.user', titles: '$steps.posts' }
+    }, {});
+
+    assert.equal(result.success, true);
+    assert.equal(result.mapped, true);
+    assert.deepEqual(result.data, { author: { id: 1, name: 'Ada' }, titles: ['A', 'B'] });
+  });
+});
+
+describe('forEach steps', () => {
+  let server;
+  const paths = [];
+  let active = 0;
+  let peak = 0;
+
+  before(async () => {
+    // /notifications/<id> answers after 10ms, id 2 fails with 404
+    server = http.createServer((req, res) => {
+      paths.push(req.url);
+      active++;
+      peak = Math.max(peak, active);
+      setTimeout(() => {
+        active--;
+        res.setHeader('content-type', 'application/json');
+        res.statusCode = req.url === '/notifications/2' ? 404 : 200;
+        res.end(JSON.stringify({ path: req.url }));
+      }, 10);
+    }).listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+
+    dataSourceManager.registerDatasource('FOREACH_API', {
+      type: 'http',
+      baseUrl: `http://127.0.0.1:${server.address().port}`,
+      timeout: 2000,
+      retryCount: 1
+    });
+  });
+
+  after(async () => {
+    dataSourceManager.unregisterDatasource('FOREACH_API');
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  const forEachPipeline = (stepOverrides = {}) => ({
+    type: 'pipeline',
+    steps: [{
+      name: 'notifications',
+      datasource: 'FOREACH_API',
+      path: '/notifications/$item',
+      forEach: '$input.ids',
+      ...stepOverrides
+    }]
+  });
+
+  it('calls the datasource once per item with bounded concurrency, keeping the order', async () => {
+    paths.length = 0;
+    peak = 0;
+    const result = await executeResolver(forEachPipeline({ concurrency: 2 }), { ids: [1, 3, 4, 5] });
+
+    assert.equal(result.success, true);
+    assert.equal(peak, 2);
+    assert.deepEqual(result.data.map(item => item.path), ['/notifications/1', '/notifications/3', '/notifications/4', '/notifications/5']);
+    assert.deepEqual(result.steps[0].items, { total: 4, succeeded: 4, failed: 0 });
+  });
+
+  it('skips, nulls or fails on item errors', async () => {
+    const ids = { ids: [1, 2, 3] };
+
+    const skipped = await executeResolver(forEachPipeline({ onError: 'skip' }), ids);
+    assert.equal(skipped.data.length, 2);
+    assert.equal(skipped.steps[0].itemErrors[0].index, 1);
+
+    const nulled = await executeResolver(forEachPipeline({ onError: 'null' }), ids);
+    assert.equal(nulled.data[1], null);
+
+    const failed = await executeResolver(forEachPipeline(), ids);
+    assert.equal(failed.success, false);
+    assert.match(failed.error, /forEach item 1 failed/);
+  });
+
+  it('calls every item even when the step is cached under a literal key', async () => {
+    paths.length = 0;
+    const result = await executeResolver(forEachPipeline({
+      isToBeCached: true,
+      cachingKeys: 'notification'
+    }), { ids: [1, 3, 4] });
+
+    assert.equal(result.success, true);
+    assert.deepEqual(paths.sort(), ['/notifications/1', '/notifications/3', '/notifications/4']);
+  });
+
+  it('fails when forEach does not resolve to an array', async () => {
+    const result = await executeResolver(forEachPipeline(), { ids: 'all' });
+    assert.equal(result.success, false);
+    assert.match(result.error, /did not resolve to an array/);
+  });
+});
+
+describe('cached resolver authorization', () => {
+  const admin = { identity: { id: 1, roles: ['admin', 'user'] } };
+  const user = { identity: { id: 2, roles: ['user'] } };
+  const fake = createFakeRedis();
+  let server;
+  let calls = 0;
+
+  before(async () => {
+    mock.method(redis, 'createClient', () => fake);
+    await initializeRedis();
+
+    server = http.createServer((req, res) => {
+      calls++;
+      res.setHeader('content-type', 'application/json');
+      res.end(JSON.stringify({ path: req.url }));
+    }).listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+
+    dataSourceManager.registerDatasource('PIPELINE_AUTH', {
+      type: 'http',
+      baseUrl: `http://127.0.0.1:${server.address().port}`,
+      timeout: 2000,
+      retryCount: 1
+    });
+    dataSourceManager.registerDatasource('ADMIN_AUTH', {
+      type: 'http',
+      baseUrl: `http://127.0.0.1:${server.address().port}`,
+      timeout: 2000,
+      retryCount: 1,
+      auth: { roles: ['admin'] }
+    });
+  });
+
+  after(async () => {
+    dataSourceManager.unregisterDatasource('PIPELINE_AUTH');
+    dataSourceManager.unregisterDatasource('ADMIN_AUTH');
+    await new Promise(resolve => server.close(resolve));
+    await disconnectRedis();
+    mock.restoreAll();
+  });
+
+  // One shared cachingKeys: without the denied steps in the key every caller would get one entry
+  const pipeline = (name, stepOverrides = {}) => ({
+    type: 'pipeline',
+    isToBeCached: true,
+    cachingKeys: `auth-test:${name}`,
+    steps: [
+      { name: 'profile', datasource: 'PIPELINE_AUTH', path: '/profile' },
+      {
+        name: 'audit',
+        datasource: 'PIPELINE_AUTH',
+        path: '/audit',
+        auth: { roles: ['admin'] },
+        continueOnError: true,
+        ...stepOverrides
+      }
+    ],
+    response: { profile: '$steps.profile.path', audit: '$steps.audit.path' }
+  });
+
+  it('runs a cached pipeline with a forbidden continueOnError step like an uncached one', async () => {
+    const { isToBeCached, ...uncachedConfig } = pipeline('optional');
+    const uncached = await executeResolver(uncachedConfig, {}, user);
+    const cached = await executeResolver(pipeline('optional'), {}, user);
+
+    assert.equal(uncached.success, true);
+    assert.equal(cached.success, true);
+    assert.deepEqual(cached.data, uncached.data);
+    assert.equal(cached.steps.find(step => step.name === 'audit').code, 'FORBIDDEN');
+  });
+
+  it('never serves a pipeline result cached for a caller allowed more steps', async () => {
+    const adminResult = await executeResolver(pipeline('shared'), {}, admin);
+    assert.equal(adminResult.data.audit, '/audit');
+    assert.ok(fake.data.has('cache:auth-test:shared'));
+
+    // The entry is warm, a caller denied the audit step gets its own run and entry
+    const userResult = await executeResolver(pipeline('shared'), {}, user);
+    assert.equal(userResult.success, true);
+    assert.equal(userResult.fromCache, false);
+    assert.equal(userResult.data.audit, undefined);
+    assert.ok(fake.data.has('cache:auth-test:shared:denied:audit'));
+
+    const userAgain = await executeResolver(pipeline('shared'), {}, user);
+    assert.equal(userAgain.fromCache, true);
+    assert.equal(userAgain.cacheKey, 'auth-test:shared:denied:audit');
+    assert.equal(userAgain.data.audit, undefined);
+
+    const adminAgain = await executeResolver(pipeline('shared'), {}, admin);
+    assert.equal(adminAgain.fromCache, true);
+    assert.equal(adminAgain.data.audit, '/audit');
+  });
+
+  it('refuses a warm unit resolver entry to a denied caller', async () => {
+    const config = { type: 'unit', datasource: 'ADMIN_AUTH', path: '/admin', isToBeCached: true, cachingKeys: 'auth-test:unit' };
+
+    assert.equal((await executeResolver(config, {}, admin)).success, true);
+    assert.equal((await executeResolver(config, {}, admin)).fromCache, true);
+
+    const denied = await executeResolver(config, {}, user);
+    assert.equal(denied.success, false);
+    assert.equal(denied.code, 'FORBIDDEN');
+    assert.equal(denied.data, undefined);
+  });
+
+  it('does not require the policy of a step skipped by its condition', async () => {
+    const result = await executeResolver(pipeline('skipped', { continueOnError: false, when: 'false' }), {}, user);
+
+    assert.equal(result.success, true);
+    assert.equal(result.steps.find(step => step.name === 'audit').skipped, true);
+  });
+
+  it('fails on a forbidden required step, cached or not', async () => {
+    const { isToBeCached, ...uncachedConfig } = pipeline('required', { continueOnError: false });
+    const uncached = await executeResolver(uncachedConfig, {}, user);
+    const callsBefore = calls;
+    const cached = await executeResolver(pipeline('required', { continueOnError: false }), {}, user);
+
+    assert.equal(uncached.success, false);
+    assert.equal(cached.success, false);
+    assert.equal(cached.code, 'FORBIDDEN');
+    assert.equal(cached.fromCache, undefined);
+
+    // The failed run was not cached
+    await executeResolver(pipeline('required', { continueOnError: false }), {}, user);
+    assert.ok(calls > callsBefore + 1);
+  });
+});
+
+describe('resolver cache keys', () => {
+  const alice = { identity: { id: 1, tenantId: 't1' } };
+  const bob = { identity: { id: 2, tenantId: 't1' } };
+  const fake = createFakeRedis();
+  let server;
+  let calls = 0;
+
+  before(async () => {
+    mock.method(redis, 'createClient', () => fake);
+    await initializeRedis();
+
+    server = http.createServer((req, res) => {
+      calls++;
+      res.setHeader('content-type', 'application/json');
+      res.end(JSON.stringify({ path: req.url, call: calls }));
+    }).listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+
+    dataSourceManager.registerDatasource('KEYS_API', {
+      type: 'http',
+      baseUrl: `http://127.0.0.1:${server.address().port}`,
+      timeout: 2000,
+      retryCount: 1
+    });
+  });
+
+  after(async () => {
+    dataSourceManager.unregisterDatasource('KEYS_API');
+    await new Promise(resolve => server.close(resolve));
+    await disconnectRedis();
+    mock.restoreAll();
+  });
+
+  it('renders templated keys and shares them between callers', async () => {
+    const config = { type: 'unit', datasource: 'KEYS_API', path: '/orders/$input.userId', isToBeCached: true, cachingKeys: 'orders:$input.userId' };
+
+    const first = await executeResolver(config, { userId: 'a/b' }, alice);
+    const second = await executeResolver(config, { userId: 'a/b' }, bob);
+
+    assert.equal(first.cacheKey, 'orders:a%2Fb');
+    assert.equal(second.fromCache, true);
+    assert.deepEqual(second.data, first.data);
+  });
+
+  it('keeps entries apart per user with cacheScope user', async () => {
+    const config = { type: 'unit', datasource: 'KEYS_API', path: '/me', isToBeCached: true, cachingKeys: 'me', cacheScope: ['resolver', 'user'] };
+
+    const first = await executeResolver(config, {}, alice, { name: 'getMe' });
+    const other = await executeResolver(config, {}, bob, { name: 'getMe' });
+
+    assert.equal(first.cacheKey, 'resolver:getMe:user:1:me');
+    assert.equal(other.cacheKey, 'resolver:getMe:user:2:me');
+    assert.equal(other.fromCache, false);
+    assert.equal((await executeResolver(config, {}, alice, { name: 'getMe' })).fromCache, true);
+  });
+
+  it('hashes the request into auto keys, pipelines per caller', async () => {
+    const unit = { type: 'unit', datasource: 'KEYS_API', path: '/items/$input.id', isToBeCached: true };
+    const one = await executeResolver(unit, { id: 1 }, alice);
+    const two = await executeResolver(unit, { id: 2 }, alice);
+    assert.match(one.cacheKey, /^auto:[0-9a-f]{32}$/);
+    assert.notEqual(one.cacheKey, two.cacheKey);
+    assert.equal((await executeResolver(unit, { id: 1 }, bob)).fromCache, true);
+
+    const pipeline = { type: 'pipeline', isToBeCached: true, steps: [{ name: 'item', datasource: 'KEYS_API', path: '/items/1' }] };
+    const aliceRun = await executeResolver(pipeline, {}, alice);
+    const bobRun = await executeResolver(pipeline, {}, bob);
+    assert.notEqual(aliceRun.cacheKey, bobRun.cacheKey);
+    assert.equal(bobRun.fromCache, false);
+    assert.equal((await executeResolver(pipeline, {}, alice)).fromCache, true);
+  });
+});
+
+describe('cache invalidation', () => {
+  const identity = { identity: { id: 7 } };
+  const fake = createFakeRedis();
+  let server;
+
+  before(async () => {
+    mock.method(redis, 'createClient', () => fake);
+    await initializeRedis();
+
+    server = http.createServer((req, res) => {
+      res.setHeader('content-type', 'application/json');
+      res.end(JSON.stringify({ userId: 7, path: req.url }));
+    }).listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+
+    dataSourceManager.registerDatasource('INVALIDATION_API', {
+      type: 'http',
+      baseUrl: `http://127.0.0.1:${server.address().port}`,
+      timeout: 2000,
+      retryCount: 1
+    });
+  });
+
+  after(async () => {
+    dataSourceManager.unregisterDatasource('INVALIDATION_API');
+    await new Promise(resolve => server.close(resolve));
+    await disconnectRedis();
+    mock.restoreAll();
+  });
+
+  const getOrders = page => ({
+    type: 'unit',
+    datasource: 'INVALIDATION_API',
+    path: `/orders?page=${page}`,
+    isToBeCached: true,
+    cachingKeys: `orders:$identity.id:${page}`
+  });
+
+  it('deletes the entries a successful mutation invalidates', async () => {
+    await executeResolver(getOrders(1), {}, identity);
+    await executeResolver(getOrders(2), {}, identity);
+    assert.equal((await executeResolver(getOrders(1), {}, identity)).fromCache, true);
+
+    const result = await executeResolver({
+      type: 'unit',
+      datasource: 'INVALIDATION_API',
+      method: 'POST',
+      path: '/orders',
+      invalidates: ['orders:$identity.id:*', 'count:$result.userId']
+    }, {}, identity);
+
+    assert.deepEqual(result.invalidated, ['orders:7:*', 'count:7']);
+    assert.equal((await executeResolver(getOrders(1), {}, identity)).fromCache, false);
+    assert.equal((await executeResolver(getOrders(2), {}, identity)).fromCache, false);
+  });
+
+  it('invalidates once per forEach step and per pipeline', async () => {
+    const clear = mock.method(fake, 'scanIterator');
+
+    const result = await executeResolver({
+      type: 'pipeline',
+      steps: [{
+        name: 'cancel',
+        datasource: 'INVALIDATION_API',
+        method: 'POST',
+        path: '/orders/$item/cancel',
+        forEach: '$input.ids',
+        invalidates: ['orders:$identity.id:*']
+      }],
+      invalidates: ['count:$identity.id']
+    }, { ids: [1, 2, 3] }, identity);
+
+    assert.equal(result.success, true);
+    assert.deepEqual(result.steps[0].invalidated, ['orders:7:*']);
+    assert.deepEqual(result.invalidated, ['count:7']);
+    assert.equal(clear.mock.callCount(), 1);
+  });
+});
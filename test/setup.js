@@ -0,0 +1,4 @@
+// The test runner reads its own messages from the stdout of each test file, application logs written
+// there can interleave with them and break the parsing, so they are sent to stderr during tests
+console.log = console.error;
+console.info = console.error;
@@ -0,0 +1,69 @@
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import redis from 'redis';
+import { createFakeRedis } from '../helpers/fakeRedis.js';
+import { RedisUserStore } from '../../src/stores/redisUserStore.js';
+import {
+  initializeRedis,
+  disconnectRedis,
+  setInCache,
+  overlapsCacheKeyspace,
+  CACHE_KEY_PREFIX
+} from '../../src/services/cacheService.js';
+
+describe('RedisUserStore', () => {
+  const fake = createFakeRedis();
+
+  before(async () => {
+    mock.method(redis, 'createClient', () => fake);
+    await initializeRedis();
+  });
+
+  after(async () => {
+    await disconnectRedis();
+    mock.restoreAll();
+  });
+
+  it('creates users under its prefix and finds them case-insensitively', async () => {
+    const store = new RedisUserStore();
+    const user = await store.create({ id: 99, username: 'Alice', email: 'alice@example.com', passwordHash: 'hash' });
+
+    assert.equal(user.id, 1);
+    assert.ok([...fake.data.keys()].every(key => key.startsWith('bff:users:')));
+    assert.deepEqual(await store.findByUsername('ALICE'), user);
+    assert.deepEqual(await store.findByEmail('Alice@Example.com'), user);
+    assert.equal(await store.findByUsername('bob'), null);
+  });
+
+  it('keeps users outside the cache key space', async () => {
+    await setInCache('probe', true, 60);
+    assert.ok([...fake.data.keys()].filter(key => key.startsWith('bff:users:')).every(key => !key.startsWith(CACHE_KEY_PREFIX)));
+    assert.equal(overlapsCacheKeyspace('bff:users:'), false);
+  });
+
+  it('refuses a prefix inside the cache key space', () => {
+    assert.throws(() => new RedisUserStore({ prefix: 'cache:users' }), /overlaps the cache key space/);
+    assert.throws(() => new RedisUserStore({ prefix: 'cache-tags' }), /overlaps the cache key space/);
+    assert.throws(() => new RedisUserStore({ prefix: 'cache' }), /overlaps the cache key space/);
+  });
+
+  it('refuses a username or email that is already taken', async () => {
+    const store = new RedisUserStore();
+    await assert.rejects(store.create({ username: 'alice', email: 'other@example.com' }), /already exists/);
+    await assert.rejects(store.create({ username: 'carol', email: 'ALICE@example.com' }), /already exists/);
+    // The username claimed before the email check failed is released
+    assert.ok(await store.create({ username: 'carol', email: 'carol@example.com' }));
+  });
+
+  it('moves the lookup keys when the username changes', async () => {
+    const store = new RedisUserStore();
+    const alice = await store.findByUsername('alice');
+
+    const updated = await store.update(alice.id, { username: 'alicia', name: 'Alicia' });
+    assert.equal(updated.name, 'Alicia');
+    assert.equal(await store.findByUsername('alice'), null);
+    assert.equal((await store.findByUsername('alicia')).id, alice.id);
+    await assert.rejects(store.update(alice.id, { username: 'carol' }), /already taken/);
+    assert.equal(await store.update(404, { name: 'nobody' }), null);
+  });
+});
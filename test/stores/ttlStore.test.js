@@ -0,0 +1,56 @@
+import { describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { TtlStore } from '../../src/stores/ttlStore.js';
+
+describe('TtlStore (memory)', () => {
+  it('forgets values once their TTL has passed', async () => {
+    mock.timers.enable({ apis: ['Date'], now: 1000000 });
+    try {
+      const store = new TtlStore({ prefix: 'test' });
+      await store.set('token', { revoked: true }, 1.2);
+
+      mock.timers.tick(1999);
+      assert.deepEqual(await store.get('token'), { revoked: true });
+      mock.timers.tick(1);
+      assert.equal(await store.get('token'), null);
+    } finally {
+      mock.timers.reset();
+    }
+  });
+
+  it('replaces a value only while it holds the expected fields', async () => {
+    const store = new TtlStore({ prefix: 'test' });
+    await store.set('family', { currentJti: 'a', revoked: false }, 60);
+
+    assert.equal(await store.compareAndSet('family', { currentJti: 'b', revoked: false }, { currentJti: 'c' }, 60), false);
+    assert.equal(await store.compareAndSet('family', { currentJti: 'a', revoked: false }, { currentJti: 'b', revoked: false }, 60), true);
+    assert.deepEqual(await store.get('family'), { currentJti: 'b', revoked: false });
+
+    // The first swap moved the value on, a second one from the same state fails
+    assert.equal(await store.compareAndSet('family', { currentJti: 'a', revoked: false }, { currentJti: 'x' }, 60), false);
+  });
+
+  it('does not create missing values', async () => {
+    const store = new TtlStore({ prefix: 'test' });
+    assert.equal(await store.compareAndSet('missing', { currentJti: 'a' }, { currentJti: 'b' }, 60), false);
+    assert.equal(await store.get('missing'), null);
+  });
+
+  it('counts up and renews the TTL of counters', async () => {
+    mock.timers.enable({ apis: ['Date'], now: 1000000 });
+    try {
+      const store = new TtlStore({ prefix: 'test' });
+      assert.equal(await store.increment('version', 10), 1);
+      mock.timers.tick(9000);
+      assert.equal(await store.increment('version', 10), 2);
+      mock.timers.tick(9000);
+      await store.touch('version', 10);
+      mock.timers.tick(9000);
+      assert.equal(await store.get('version'), 2);
+      mock.timers.tick(1000);
+      assert.equal(await store.get('version'), null);
+    } finally {
+      mock.timers.reset();
+    }
+  });
+});
@@ -0,0 +1,32 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { getAuthorizationError, assertAuthorized, FORBIDDEN_CODE } from '../../src/utils/authorization.js';
+
+describe('authorization policies', () => {
+  const reader = { id: 1, roles: ['user'], scopes: ['read'] };
+
+  it('allows everyone when there is no policy or an empty one', () => {
+    assert.equal(getAuthorizationError(null, null), null);
+    assert.equal(getAuthorizationError({ roles: [], scopes: [] }, null), null);
+  });
+
+  it('requires any listed role and every listed scope', () => {
+    assert.equal(getAuthorizationError({ roles: ['admin', 'user'] }, reader), null);
+    assert.match(getAuthorizationError({ roles: ['admin'] }, reader), /roles: admin/);
+    assert.equal(getAuthorizationError({ scopes: ['read'] }, reader), null);
+    assert.match(getAuthorizationError({ scopes: ['read', 'write'] }, reader), /missing scopes: write/);
+    assert.match(getAuthorizationError({ roles: ['user'] }, { id: 2 }), /roles: user/);
+  });
+
+  it('never lets anonymous callers satisfy a policy', () => {
+    assert.equal(getAuthorizationError({ scopes: ['read'] }, null), 'authentication required');
+  });
+
+  it('throws a non retryable 403 FORBIDDEN error', () => {
+    assert.throws(
+      () => assertAuthorized({ roles: ['admin'] }, reader, "step 'audit'"),
+      error => error.status === 403 && error.code === FORBIDDEN_CODE && error.retryable === false &&
+        /Access to step 'audit' denied/.test(error.message)
+    );
+  });
+});
@@ -0,0 +1,31 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createLimiter } from '../../src/utils/concurrency.js';
+
+describe('createLimiter', () => {
+  it('runs at most `limit` tasks at the same time and keeps their results', async () => {
+    const limit = createLimiter(2);
+    let active = 0;
+    let peak = 0;
+
+    const results = await Promise.all([1, 2, 3, 4, 5].map(value => limit(async () => {
+      active++;
+      peak = Math.max(peak, active);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      active--;
+      return value * 10;
+    })));
+
+    assert.equal(peak, 2);
+    assert.deepEqual(results, [10, 20, 30, 40, 50]);
+  });
+
+  it('rejects with the task error and keeps running the queue', async () => {
+    const limit = createLimiter(1);
+    const failing = limit(async () => { throw new Error('boom'); });
+    const next = limit(async () => 'next');
+
+    await assert.rejects(failing, /boom/);
+    assert.equal(await next, 'next');
+  });
+});
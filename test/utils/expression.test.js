@@ -0,0 +1,72 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { evaluateExpression, evaluateCondition, getPath } from '../../src/utils/expression.js';
+
+const scope = {
+  input: { page: 0, 'first-name': 'Ada', tags: ['a', 'b'] },
+  steps: { getUserPosts: [{ id: 7 }] },
+  prev: null
+};
+
+describe('expression evaluator', () => {
+  it('resolves references through properties, indexes and quoted keys', () => {
+    assert.equal(evaluateExpression('$steps.getUserPosts[0].id', scope), 7);
+    assert.equal(evaluateExpression('$input["first-name"]', scope), 'Ada');
+    assert.equal(evaluateExpression('$input.tags.length', scope), 2);
+    assert.equal(evaluateExpression('$input.missing.deeper', scope), undefined);
+  });
+
+  it('falls back with ?? only on null or undefined', () => {
+    assert.equal(evaluateExpression('$input.page ?? 1', scope), 0);
+    assert.equal(evaluateExpression('$input.limit ?? $prev ?? 10', scope), 10);
+    assert.equal(evaluateExpression("($input.sort ?? 'name')", scope), 'name');
+  });
+
+  it('blocks prototype keys and inherited properties', () => {
+    assert.equal(evaluateExpression('$input.__proto__', scope), undefined);
+    assert.equal(evaluateExpression('$input.constructor', scope), undefined);
+    assert.equal(evaluateExpression('$input["constructor"]["prototype"]', scope), undefined);
+    assert.equal(evaluateExpression('$input.toString', scope), undefined);
+    assert.equal(getPath({ a: { prototype: 1 } }, ['a', 'prototype']), undefined);
+  });
+
+  it('only reads roots present in the scope', () => {
+    assert.equal(evaluateExpression('$process.env', scope), undefined);
+  });
+
+  it('rejects function calls and unknown identifiers', () => {
+    assert.throws(() => evaluateExpression('$input.tags.join(",")', scope), /Unexpected/);
+    assert.throws(() => evaluateExpression('process.exit', scope), /Unknown identifier 'process'/);
+    assert.throws(() => evaluateExpression("'open", scope), /Unterminated string/);
+  });
+
+  it('compares strictly, with null equal to undefined for == and !=', () => {
+    assert.equal(evaluateExpression("$input.page == 0", scope), true);
+    assert.equal(evaluateExpression("$input.page == '0'", scope), false);
+    assert.equal(evaluateExpression('$input.missing == null', scope), true);
+    assert.equal(evaluateExpression('$input.missing === null', scope), false);
+    assert.equal(evaluateExpression("$input.page != 1 && $input['first-name'] !== 'Bob'", scope), true);
+  });
+
+  it('orders numbers and strings only', () => {
+    assert.equal(evaluateExpression('$input.tags.length >= 2', scope), true);
+    assert.equal(evaluateExpression("'a' < 'b'", scope), true);
+    assert.equal(evaluateExpression("$input.page < '1'", scope), false);
+    assert.equal(evaluateExpression('$input.missing > 0 || $input.missing <= 0', scope), false);
+  });
+
+  it('tests membership in arrays, strings and objects without prototype keys', () => {
+    assert.equal(evaluateExpression("'b' in $input.tags", scope), true);
+    assert.equal(evaluateExpression("'gold' in ['gold', 'platinum']", scope), true);
+    assert.equal(evaluateExpression("'Ad' in $input['first-name']", scope), true);
+    assert.equal(evaluateExpression("'page' in $input", scope), true);
+    assert.equal(evaluateExpression("'constructor' in $input", scope), false);
+    assert.equal(evaluateExpression("'__proto__' in $input", scope), false);
+  });
+
+  it('evaluates conditions with JavaScript truthiness', () => {
+    assert.equal(evaluateCondition('!$input.page', scope), true);
+    assert.equal(evaluateCondition('$steps.getUserPosts && $steps.getUserPosts[0].id > 5', scope), true);
+    assert.equal(evaluateCondition('($input.page || 0) > 0', scope), false);
+  });
+});
@@ -0,0 +1,62 @@
+import { describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { LruCache, globToRegExp } from '../../src/utils/lruCache.js';
+
+describe('LruCache', () => {
+  it('evicts the least recently used entry over maxEntries', () => {
+    const cache = new LruCache({ maxEntries: 2 });
+    cache.set('a', 1, 60, 1);
+    cache.set('b', 2, 60, 1);
+    cache.get('a');
+    cache.set('c', 3, 60, 1);
+
+    assert.equal(cache.get('b'), undefined);
+    assert.equal(cache.get('a'), 1);
+    assert.equal(cache.get('c'), 3);
+  });
+
+  it('stays under maxBytes and refuses values larger than it', () => {
+    const cache = new LruCache({ maxBytes: 10 });
+    cache.set('a', 'x', 60, 6);
+    cache.set('b', 'y', 60, 6);
+    assert.equal(cache.size, 1);
+    assert.equal(cache.bytes, 6);
+    assert.equal(cache.set('huge', 'z', 60, 11), false);
+    assert.equal(cache.get('huge'), undefined);
+  });
+
+  it('expires entries after their TTL', () => {
+    mock.timers.enable({ apis: ['Date'], now: 0 });
+    try {
+      const cache = new LruCache();
+      cache.set('a', 1, 1, 1);
+      mock.timers.tick(999);
+      assert.equal(cache.get('a'), 1);
+      mock.timers.tick(1);
+      assert.equal(cache.get('a'), undefined);
+      assert.equal(cache.bytes, 0);
+    } finally {
+      mock.timers.reset();
+    }
+  });
+
+  it('deletes keys matching a Redis glob pattern', () => {
+    const cache = new LruCache();
+    ['user:1', 'user:2', 'users', 'post:1'].forEach(key => cache.set(key, key, 60, 1));
+    assert.equal(cache.deleteByPattern('user:*'), 2);
+    assert.equal(cache.deleteByPattern('post:[12]'), 1);
+    assert.equal(cache.size, 1);
+  });
+});
+
+describe('globToRegExp', () => {
+  it('supports *, ?, sets and escapes', () => {
+    assert.ok(globToRegExp('a*c').test('abbc'));
+    assert.ok(globToRegExp('a?c').test('abc'));
+    assert.ok(!globToRegExp('a?c').test('ac'));
+    assert.ok(globToRegExp('a[bc]d').test('acd'));
+    assert.ok(globToRegExp('a\\*').test('a*'));
+    assert.ok(!globToRegExp('a\\*').test('ab'));
+    assert.ok(globToRegExp('a.b').test('a.b') && !globToRegExp('a.b').test('axb'));
+  });
+});
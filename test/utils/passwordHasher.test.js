@@ -0,0 +1,33 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { hashPassword, verifyPassword, verifyLegacyPassword, needsRehash } from '../../src/utils/passwordHasher.js';
+
+describe('passwordHasher', () => {
+  it('hashes with a random salt and verifies the password', async () => {
+    const first = await hashPassword('s3cret!');
+    const second = await hashPassword('s3cret!');
+
+    assert.match(first, /^scrypt\$16384\$8\$1\$[^$]+\$[^$]+$/);
+    assert.notEqual(first, second);
+    assert.equal(await verifyPassword('s3cret!', first), true);
+    assert.equal(await verifyPassword('wrong', first), false);
+  });
+
+  it('rejects values that are not scrypt hashes', async () => {
+    assert.equal(await verifyPassword('s3cret!', 's3cret!'), false);
+    assert.equal(await verifyPassword('s3cret!', undefined), false);
+    assert.equal(await verifyPassword('s3cret!', 'scrypt$16384$8$1$c2FsdA==$'), false);
+  });
+
+  it('compares legacy plaintext passwords', () => {
+    assert.equal(verifyLegacyPassword('password123', 'password123'), true);
+    assert.equal(verifyLegacyPassword('password12', 'password123'), false);
+    assert.equal(verifyLegacyPassword('password123', undefined), false);
+  });
+
+  it('asks for a rehash of plaintext and weaker hashes only', async () => {
+    assert.equal(needsRehash('password123'), true);
+    assert.equal(needsRehash('scrypt$1024$8$1$c2FsdA==$aGFzaA=='), true);
+    assert.equal(needsRehash(await hashPassword('s3cret!')), false);
+  });
+});
@@ -0,0 +1,52 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveDependencies, validateStepGraph, getAncestors } from '../../src/utils/pipelineGraph.js';
+
+describe('pipeline graph', () => {
+  it('makes steps without dependsOn depend on the previous step', () => {
+    const nodes = resolveDependencies([{ name: 'a' }, { name: 'b' }, { name: 'c', dependsOn: [] }, { name: 'd' }]);
+    assert.deepEqual(nodes.map(node => node.dependsOn), [[], ['a'], [], ['c']]);
+  });
+
+  it('accepts a valid graph', () => {
+    assert.deepEqual(validateStepGraph([
+      { name: 'user', dependsOn: [] },
+      { name: 'orders', dependsOn: [] },
+      { name: 'summary', dependsOn: ['user', 'orders'], path: '/summary/$steps.user.id/$steps.orders.count' }
+    ]), []);
+  });
+
+  it('reports cycles', () => {
+    const errors = validateStepGraph([
+      { name: 'a', dependsOn: ['c'] },
+      { name: 'b', dependsOn: ['a'] },
+      { name: 'c', dependsOn: ['b'] }
+    ]);
+    assert.deepEqual(errors, ['Circular step dependency: a → c → b → a']);
+  });
+
+  it('reports duplicate names, unknown and self dependencies', () => {
+    const errors = validateStepGraph([
+      { name: 'a', dependsOn: ['a'] },
+      { name: 'a', dependsOn: [] },
+      { name: 'b', dependsOn: ['missing'] }
+    ]);
+    assert.ok(errors.includes("Duplicate step name 'a'"));
+    assert.ok(errors.includes("Step 'a' cannot depend on itself"));
+    assert.ok(errors.includes("Step 'b' depends on unknown step 'missing'"));
+  });
+
+  it('reports $steps references to steps that are not dependencies', () => {
+    const errors = validateStepGraph([
+      { name: 'user', dependsOn: [] },
+      { name: 'orders', dependsOn: [], params: { userId: '$steps.user.id' } }
+    ]);
+    assert.equal(errors.length, 1);
+    assert.match(errors[0], /Step 'orders' references \$steps\.user but does not depend on 'user'/);
+  });
+
+  it('collects transitive dependencies', () => {
+    const nodes = resolveDependencies([{ name: 'a' }, { name: 'b' }, { name: 'c' }]);
+    assert.deepEqual([...getAncestors(nodes, 'c')].sort(), ['a', 'b']);
+  });
+});
@@ -0,0 +1,40 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyResponseMapping } from '../../src/utils/responseMapping.js';
+
+const scope = {
+  result: { id: 1, title: 'Hello', secret: 'x' },
+  steps: {
+    getUser: { name: 'Ada' },
+    getPosts: [{ id: 10, title: 'A', draft: true }, { id: 11, title: 'B', draft: false }]
+  }
+};
+
+describe('response mapping', () => {
+  it('maps a single value keeping its type', () => {
+    assert.equal(applyResponseMapping('$result.id', scope), 1);
+  });
+
+  it('picks, renames and nests fields from several steps', () => {
+    assert.deepEqual(
+      applyResponseMapping({ postId: '$result.id', owner: { name: '$steps.getUser.name' } }, scope),
+      { postId: 1, owner: { name: 'Ada' } }
+    );
+  });
+
+  it('copies only the listed fields, from $result by default', () => {
+    assert.deepEqual(applyResponseMapping({ $pick: ['id', 'title', 'missing'] }, scope), { id: 1, title: 'Hello' });
+    assert.deepEqual(
+      applyResponseMapping({ $pick: ['id'], from: '$steps.getPosts' }, scope),
+      [{ id: 10 }, { id: 11 }]
+    );
+  });
+
+  it('maps every element of an array with $item and $index', () => {
+    assert.deepEqual(
+      applyResponseMapping({ $map: '$steps.getPosts', to: { id: '$item.id', position: '$index' } }, scope),
+      [{ id: 10, position: 0 }, { id: 11, position: 1 }]
+    );
+    assert.deepEqual(applyResponseMapping({ $map: '$result.missing' }, scope), []);
+  });
+});
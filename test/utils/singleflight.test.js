@@ -0,0 +1,36 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSingleflight } from '../../src/utils/singleflight.js';
+
+describe('createSingleflight', () => {
+  it('shares one call between concurrent callers of a key', async () => {
+    const flights = createSingleflight();
+    let calls = 0;
+    const task = async () => {
+      calls++;
+      await new Promise(resolve => setTimeout(resolve, 10));
+      return calls;
+    };
+
+    const results = await Promise.all([flights.run('a', task), flights.run('a', task), flights.run('b', task)]);
+    assert.deepEqual(results.slice(0, 2), [results[0], results[0]]);
+    assert.equal(calls, 2);
+    assert.equal(flights.size, 0);
+
+    // Settled keys start a new call
+    await flights.run('a', task);
+    assert.equal(calls, 3);
+  });
+
+  it('shares failures and releases the key', async () => {
+    const flights = createSingleflight();
+    const fail = async () => {
+      throw new Error('boom');
+    };
+
+    const [first, second] = await Promise.allSettled([flights.run('a', fail), flights.run('a', fail)]);
+    assert.equal(first.reason, second.reason);
+    assert.equal(flights.size, 0);
+    assert.equal(await flights.run('a', () => 'ok'), 'ok');
+  });
+});
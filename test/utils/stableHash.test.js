@@ -0,0 +1,15 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { stableStringify, hashValue } from '../../src/utils/stableHash.js';
+
+describe('stableHash', () => {
+  it('sorts object keys and drops undefined values', () => {
+    assert.equal(stableStringify({ b: 1, a: [1, undefined], c: undefined }), '{"a":[1,null],"b":1}');
+  });
+
+  it('hashes equal values the same regardless of key order', () => {
+    assert.equal(hashValue({ a: 1, b: { c: 2, d: 3 } }), hashValue({ b: { d: 3, c: 2 }, a: 1 }));
+    assert.notEqual(hashValue({ a: 1 }), hashValue({ a: '1' }));
+    assert.match(hashValue(null), /^[0-9a-f]{32}$/);
+  });
+});
@@ -0,0 +1,35 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { renderString, renderTemplate } from '../../src/utils/template.js';
+
+const scope = { input: { id: 'a/b', limit: 5, filter: { active: true } }, steps: { user: { id: 42 } } };
+
+describe('templates', () => {
+  it('keeps the type of a whole-value reference or expression', () => {
+    assert.equal(renderString('$input.limit', scope), 5);
+    assert.deepEqual(renderString('$input.filter', scope), { active: true });
+    assert.equal(renderString('${$input.page ?? 1}', scope), 1);
+  });
+
+  it('stringifies values inside larger strings', () => {
+    assert.equal(renderString('user $steps.user.id of $input.missing!', scope), 'user 42 of !');
+    assert.equal(renderString('filter=${$input.filter}', scope), 'filter={"active":true}');
+  });
+
+  it('URL-encodes values when encoding is on', () => {
+    assert.equal(renderString('/items/$input.id', scope, { encode: true }), '/items/a%2Fb');
+    assert.equal(renderString('$input.id', scope, { encode: true }), 'a%2Fb');
+    assert.equal(renderString('key:$input.id', scope, { encode: value => value.toUpperCase() }), 'key:A/B');
+  });
+
+  it('leaves references to unknown roots untouched', () => {
+    assert.equal(renderString('price in $USD for $input.limit', scope), 'price in $USD for 5');
+  });
+
+  it('renders nested objects and arrays', () => {
+    assert.deepEqual(
+      renderTemplate({ ids: ['$steps.user.id'], query: { limit: '${$input.limit ?? 10}' }, fixed: 3 }, scope),
+      { ids: [42], query: { limit: 5 }, fixed: 3 }
+    );
+  });
+});